@@ -2,6 +2,8 @@
 module.exports = {
     common: {
         GKB_BASE_PATH: '',
+        GKB_CACHE_SIZE: 500,
+        GKB_CACHE_TTL: 60000,
         GKB_CORS_ORIGIN: '^.*$',
         GKB_DBS_USER: 'root',
         GKB_DB_CREATE: true,
@@ -19,6 +21,7 @@ module.exports = {
         GKB_KEY_FILE: 'id_rsa',
         GKB_LOG_LEVEL: 'debug',
         GKB_PORT: 8080,
+        GKB_QUERY_TIMEOUT: 120000,
         GKB_USER_CREATE: true,
     },
     development: {
@@ -44,6 +47,7 @@ module.exports = {
         GKB_KEYCLOAK_KEY_FILE: 'config/keys/keycloak-dev.key',
     },
     test: {
+        GKB_CACHE_TTL: 0,
         GKB_DISABLE_AUTH: true,
         GKB_LOG_LEVEL: 'error',
     },
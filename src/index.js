@@ -17,15 +17,25 @@ const {
     checkToken,
 } = require('./middleware/auth'); // WARNING: middleware fails if function is not imported by itself
 const { connectDB } = require('./repo');
+const { createCacheStore, setCacheStore } = require('./repo/cache');
 const { getLoadVersion } = require('./repo/migrate/version');
 const { addExtensionRoutes } = require('./extensions');
 const { addSubgraphRoutes } = require('./routes/subgraphs');
+const { addSavedQueryRoutes } = require('./routes/savedQuery');
 const { generateSwaggerSpec, registerSpecEndpoints } = require('./routes/openapi');
 const { addResourceRoutes } = require('./routes/resource');
 const { addPostToken } = require('./routes/auth');
 const { addEulaRoutes } = require('./routes/eula');
 const {
-    addStatsRoute, addParserRoute, addQueryRoute, addErrorRoute,
+    addStatsRoute,
+    addParserRoute,
+    addQueryRoute,
+    addQueryExportRoute,
+    addErrorRoute,
+    addSuggestRoute,
+    addStatementConflictsRoute,
+    addStatementMatchRoute,
+    addVariantMatchRoute,
 } = require('./routes');
 const config = require('./config');
 const packageLockJson = require('../package-lock.json');
@@ -117,6 +127,8 @@ class AppServer {
                 transport.level = conf.GKB_LOG_LEVEL;
             });
         }
+        // query result cache shared by all requests
+        setCacheStore(createCacheStore(conf));
     }
 
     get url() {
@@ -185,7 +197,14 @@ class AppServer {
         addEulaRoutes(this);
 
         addQueryRoute(this);
+        addQueryExportRoute(this);
         addStatsRoute(this);
+        addSuggestRoute(this);
+        // must be added before the variant and statement resource routes
+        addVariantMatchRoute(this);
+        addStatementMatchRoute(this);
+        addStatementConflictsRoute(this);
+        addSavedQueryRoutes(this);
 
         // simple routes
         for (const model of Object.values(schema.models)) {
@@ -71,7 +71,7 @@ const checkClassPermissions = async (req, res, next) => {
         POST: PERMISSIONS.CREATE,
         UPDATE: PERMISSIONS.UPDATE,
     };
-    const operationPermission = mapping[operation];
+    const operationPermission = req.operationPermission || mapping[operation];
 
     if (checkUserAccessFor(user, model.name, operationPermission)) {
         return next();
@@ -81,6 +81,17 @@ const checkClassPermissions = async (req, res, next) => {
     ));
 };
 
+/**
+ * Set the class permission required by a route when it does not follow from the request method
+ * (ex. a POST route which modifies an existing record). Must be added before checkClassPermissions
+ *
+ * @param {Number} permission the permission required for the route
+ */
+const requirePermission = (permission) => (req, res, next) => {
+    req.operationPermission = permission; // eslint-disable-line no-param-reassign
+    return next();
+};
+
 /**
  * Check that the user has permissions for a given subgraph route, for both the intended
  * ontology class and Edge classes. Note that to do this, models and user
@@ -108,4 +119,5 @@ module.exports = {
     checkSubgraphPermissions,
     checkToken,
     checkUserAccessFor,
+    requirePermission,
 };
@@ -0,0 +1,252 @@
+/**
+ * Caching the results of expensive read queries
+ *
+ * Cached results are tagged with the classes they were selected from (and the classes of the
+ * records selected) and are invalidated when records of those classes are created, updated, or
+ * deleted. Records linked to the cached results (ex. neighbors) are not tracked and so may be
+ * stale until the entry expires
+ */
+const _ = require('lodash');
+const { schema, util } = require('@bcgsc-pori/graphkb-schema');
+
+const { logger } = require('./logging');
+
+const DEFAULT_CACHE_SIZE = 500;
+const DEFAULT_CACHE_TTL = 60000;
+
+/**
+ * In-process least recently used (LRU) cache where entries also expire after a fixed time.
+ *
+ * Any other store (ex. a redis client wrapper) can be used in its place as long as it
+ * implements the same async get, set, invalidate, and clear methods
+ */
+class MemoryCacheStore {
+    /**
+     * @param {Object} opt options
+     * @param {Number} [opt.maxEntries=DEFAULT_CACHE_SIZE] the maximum number of entries to keep
+     * @param {Number} [opt.ttl=DEFAULT_CACHE_TTL] the time (in milliseconds) before an entry expires
+     */
+    constructor({ maxEntries = DEFAULT_CACHE_SIZE, ttl = DEFAULT_CACHE_TTL } = {}) {
+        this.maxEntries = maxEntries;
+        this.ttl = ttl;
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * @param {string} key the cache key
+     *
+     * @returns the cached value or undefined if there is no current entry
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return undefined;
+        }
+        this.entries.delete(key);
+
+        if (entry.expiresAt <= Date.now()) {
+            return undefined;
+        }
+        // re-insert so that the entries stay in the order they were last used
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * @param {string} key the cache key
+     * @param value the value to be cached
+     * @param {Array.<string>} [tags=[]] the tags (class names) used to invalidate the entry
+     */
+    async set(key, value, tags = []) {
+        this.entries.delete(key);
+        this.entries.set(key, { expiresAt: Date.now() + this.ttl, tags: new Set(tags), value });
+
+        while (this.entries.size > this.maxEntries) {
+            // the first key is the least recently used
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Remove all the entries with any of the given tags
+     *
+     * @param {Array.<string>} tags the tags (class names) to invalidate
+     */
+    async invalidate(tags) {
+        for (const [key, entry] of this.entries) {
+            if (tags.some((tag) => entry.tags.has(tag))) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+let cacheStore = null;
+
+/**
+ * Set the store used to cache the query results
+ *
+ * @param {?MemoryCacheStore} store the cache store. Null disables caching
+ */
+const setCacheStore = (store) => {
+    cacheStore = store;
+};
+
+/**
+ * Create the cache store from the server configuration
+ *
+ * @param {Object} conf the server configuration
+ * @param {Number} [conf.GKB_CACHE_SIZE] the maximum number of cached results
+ * @param {Number} [conf.GKB_CACHE_TTL] the time (in milliseconds) results are cached for. 0 disables caching
+ *
+ * @returns {?MemoryCacheStore} the cache store or null if caching is disabled
+ */
+const createCacheStore = ({
+    GKB_CACHE_SIZE = DEFAULT_CACHE_SIZE, GKB_CACHE_TTL = DEFAULT_CACHE_TTL,
+}) => {
+    const ttl = Number(GKB_CACHE_TTL);
+
+    if (!ttl) {
+        return null;
+    }
+    return new MemoryCacheStore({ maxEntries: Number(GKB_CACHE_SIZE), ttl });
+};
+
+/**
+ * The part of the cache key for the permissions of the user. Users with the same groups will
+ * see the same records
+ *
+ * @param {?User} user the current user
+ */
+const userCacheKey = (user) => {
+    if (!user) {
+        return '';
+    }
+    return (user.groups || [])
+        .map((group) => util.castToRID(group).toString())
+        .sort()
+        .join(',');
+};
+
+/**
+ * Get the classes referenced by a query statement (to tag the cached results with)
+ *
+ * @param {string} statement the query statement
+ *
+ * @returns {Array.<string>} the class names
+ */
+const getStatementClasses = (statement) => Object.keys(schema.models).filter(
+    (name) => new RegExp(`\\b${name}\\b`).exec(statement),
+);
+
+/**
+ * Get the classes (and parent classes) of the given records (to tag the cached results with).
+ * Needed for queries which do not name their classes (ex. record ID targets)
+ *
+ * @param {Array.<Object>} records the selected records
+ *
+ * @returns {Array.<string>} the class names
+ */
+const getRecordClasses = (records) => {
+    const classes = new Set();
+
+    for (const record of records) {
+        if (record && schema.has(record['@class'])) {
+            const { name } = schema.get(record['@class']);
+            [name, ...schema.ancestors(name)].forEach((cls) => classes.add(cls));
+        }
+    }
+    return [...classes];
+};
+
+/**
+ * Get a cached value or compute and cache it. Errors from the cache store are logged and
+ * otherwise ignored so that the cache can never cause a request to fail. Values without any
+ * tags are not cached since they could not be invalidated
+ *
+ * @param {string} key the cache key
+ * @param {Array.<string>|Function} tags the classes the value depends on (or a function of the computed value returning them)
+ * @param {Function} compute async function to compute the value when it is not cached
+ */
+const cached = async (key, tags, compute) => {
+    const store = cacheStore;
+
+    if (!store) {
+        return compute();
+    }
+
+    try {
+        const value = await store.get(key);
+
+        if (value !== undefined) {
+            logger.log('debug', `cache hit: ${key}`);
+            return value;
+        }
+    } catch (err) {
+        logger.warn(`failed to read from the cache: ${err}`);
+    }
+    const value = await compute();
+    const valueTags = typeof tags === 'function'
+        ? tags(value)
+        : tags;
+
+    if (!valueTags.length) {
+        return value;
+    }
+
+    try {
+        await store.set(key, value, valueTags);
+    } catch (err) {
+        logger.warn(`failed to write to the cache: ${err}`);
+    }
+    return value;
+};
+
+/**
+ * Invalidate the cached results which depend on a class. Results for the parent classes are
+ * also invalidated since they include the records of the class
+ *
+ * @param {?(string|Array.<string>)} modelNames the class (or classes) which were modified. All results are invalidated when not given
+ */
+const invalidateCache = async (modelNames = null) => {
+    const store = cacheStore;
+
+    if (!store) {
+        return;
+    }
+
+    try {
+        if (!modelNames) {
+            await store.clear();
+        } else {
+            const tags = new Set();
+
+            for (const modelName of _.castArray(modelNames)) {
+                const model = schema.get(modelName);
+                [model.name, ...schema.ancestors(model.name)].forEach((tag) => tags.add(tag));
+            }
+            await store.invalidate([...tags]);
+        }
+    } catch (err) {
+        logger.warn(`failed to invalidate the cache: ${err}`);
+    }
+};
+
+module.exports = {
+    cached,
+    createCacheStore,
+    getRecordClasses,
+    getStatementClasses,
+    invalidateCache,
+    setCacheStore,
+    userCacheKey,
+};
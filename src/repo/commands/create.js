@@ -4,7 +4,8 @@ const {
     PERMISSIONS,
 } = require('@bcgsc-pori/graphkb-schema');
 const { logger } = require('../logging');
-const { parseRecord } = require('../query_builder');
+const { invalidateCache } = require('../cache');
+const { parse, parseRecord } = require('../query_builder');
 const {
     RecordConflictError, PermissionError,
 } = require('../error');
@@ -43,19 +44,21 @@ const createUser = async (db, { userName, groupNames, signedLicenseAt }) => {
 };
 
 /**
- * create new edge record in the database
+ * Format and check a new edge record before it is created
  *
  * @param {orientjs.Db} db the orientjs database connection
- * @param {modelName} modelName the model for the table/class to insert the new record into
- * @param {object} content the edge to be created
- * @param {Object} user the user creating the new record
+ * @param {Object} opt options
+ * @param {ClassModel} opt.model the edge model
+ * @param {object} opt.content the edge to be created
+ * @param {Object} opt.user the user creating the new record
+ *
+ * @returns {Object} the vertices to link (from, to) and the remaining edge content (record)
  */
-const createEdge = async (db, { modelName, content: contentIn, user }) => {
+const prepareEdge = async (db, { model, content: contentIn, user }) => {
     const content = { ...contentIn, createdBy: user['@rid'] };
-    const model = schema.get(modelName);
     const {
         out: from, in: to, '@class': className, ...record
-    } = schema.formatRecord(modelName, content, { addDefaults: true, dropExtra: false });
+    } = schema.formatRecord(model.name, content, { addDefaults: true, dropExtra: false });
 
     // already checked not null in the format method
     if (from.toString() === to.toString()) {
@@ -70,29 +73,44 @@ const createEdge = async (db, { modelName, content: contentIn, user }) => {
     ) {
         throw new PermissionError(`user has insufficient permissions to link records of types (${source['@class']}, ${target['@class']})`);
     }
+    return { from, record, to };
+};
+
+/**
+ * create new edge record in the database
+ *
+ * @param {orientjs.Db} db the orientjs database connection
+ * @param {modelName} modelName the model for the table/class to insert the new record into
+ * @param {object} content the edge to be created
+ * @param {Object} user the user creating the new record
+ */
+const createEdge = async (db, { modelName, content, user }) => {
+    const model = schema.get(modelName);
+    const { from, to, record } = await prepareEdge(db, { content, model, user });
 
     try {
-        return await db.create('EDGE', model.name).from(from).to(to).set(record)
+        const result = await db.create('EDGE', model.name).from(from).to(to).set(record)
             .one();
+        await invalidateCache(model.name);
+        return result;
     } catch (err) {
         throw wrapIfTypeError(err);
     }
 };
 
 /**
- * create new record in the database
+ * Format and check a new vertex record before it is created. This includes the check against
+ * the active index and generating the displayName
  *
  * @param {orientjs.Db} db the orientjs database connection
- * @param {string} modelName the model for the table/class to insert the new record into
- * @param {Object} content the contents of the new record
- * @param {Object} user the user creating the new record
+ * @param {Object} opt options
+ * @param {ClassModel} opt.model the model of the new record
+ * @param {Object} opt.content the contents of the new record
+ * @param {Object} opt.user the user creating the new record
+ *
+ * @returns {Object} the record to be inserted
  */
-const create = async (db, { modelName, content, user }) => {
-    const model = schema.get(modelName);
-
-    if (model.isEdge) {
-        return createEdge(db, { content, modelName, user });
-    }
+const prepareVertex = async (db, { model, content, user }) => {
     const newRecordContent = { ...content, createdBy: user['@rid'] };
 
     if (schema.ancestors(model.name).includes('V')) {
@@ -138,13 +156,159 @@ const create = async (db, { modelName, content, user }) => {
             // displayNameTemplate exists but has not been customized on recond content
             record.displayNameTemplate = await fetchDisplayName(db, model.name, record);
         }
+    } catch (err) {
+        throw wrapIfTypeError(err);
+    }
+    return record;
+};
+
+/**
+ * create new record in the database
+ *
+ * @param {orientjs.Db} db the orientjs database connection
+ * @param {string} modelName the model for the table/class to insert the new record into
+ * @param {Object} content the contents of the new record
+ * @param {Object} user the user creating the new record
+ */
+const create = async (db, { modelName, content, user }) => {
+    const model = schema.get(modelName);
+
+    if (model.isEdge) {
+        return createEdge(db, { content, modelName, user });
+    }
+    const record = await prepareVertex(db, { content, model, user });
+
+    try {
         const result = await db.insert().into(model.name).set(omitDBAttributes(record)).one();
 
         logger.debug(`created ${result['@rid']}`);
+        await invalidateCache(model.name);
         return result;
     } catch (err) {
         throw wrapIfTypeError(err);
     }
 };
 
-module.exports = { create, createUser };
+/**
+ * Key for the values of the active index properties of a record. Records in the same batch
+ * with the same key would violate the active index together
+ *
+ * @param {Array.<string>} activeProperties the properties of the active index
+ * @param {Object} record the formatted record
+ */
+const activeIndexKey = (activeProperties, record) => activeProperties
+    .map((prop) => `${record[prop]}`)
+    .join('\t');
+
+/**
+ * Create all the records in a single transaction. All the records are checked before anything
+ * is written so that a failure does not create any records
+ *
+ * @param {orientjs.Db} db the orientjs database connection
+ * @param {Object} opt options
+ * @param {ClassModel} opt.model the model of the new records
+ * @param {Array.<Object>} opt.records the contents of the new records
+ * @param {Object} opt.user the user creating the new records
+ *
+ * @returns {Array.<Object>} the outcome for each record attempted (see createMany)
+ */
+const createManyTx = async (db, { model, records, user }) => {
+    const activeProperties = !model.isEdge && schema.activeProperties(model.name);
+    const activeKeys = new Set();
+    const prepared = [];
+
+    for (const content of records) {
+        try {
+            const record = model.isEdge
+                ? await prepareEdge(db, { content, model, user })
+                : await prepareVertex(db, { content, model, user });
+
+            if (activeProperties) {
+                // records in the same batch are not visible to the active index check
+                const key = activeIndexKey(activeProperties, record);
+
+                if (activeKeys.has(key)) {
+                    throw new RecordConflictError(`Cannot create the record. Violates the unique constraint (${model.name}.active) with another record in the batch`);
+                }
+                activeKeys.add(key);
+            }
+            prepared.push(record);
+        } catch (err) {
+            logger.log('debug', err.toString());
+            return [...prepared.map(() => ({ skipped: true })), { error: err }];
+        }
+    }
+    let commit;
+
+    prepared.forEach((record, index) => {
+        const build = model.isEdge
+            ? (tx) => tx.create('EDGE', model.name).from(record.from).to(record.to)
+                .set(record.record)
+            : (tx) => tx.insert().into(model.name).set(omitDBAttributes(record));
+        commit = commit
+            ? commit.let(`record${index}`, build)
+            : db.let(`record${index}`, build);
+    });
+    commit.commit();
+    logger.log('debug', commit.buildStatement());
+
+    try {
+        await commit.return(`$record${prepared.length - 1}`).all();
+    } catch (err) {
+        err.sql = commit.buildStatement();
+        throw wrapIfTypeError(err);
+    }
+    await invalidateCache(model.name);
+
+    // select the new records to return them in the input order
+    const uuids = prepared.map((record) => (model.isEdge
+        ? record.record.uuid
+        : record.uuid));
+    const created = await select(db, parse({ filters: { uuid: uuids }, target: model.name }));
+    const createdByUUID = {};
+
+    for (const record of created) {
+        createdByUUID[record.uuid] = record;
+    }
+    return uuids.map((uuid) => ({ result: createdByUUID[uuid] }));
+};
+
+/**
+ * Create a list of new records in the database. Each record is created with the same
+ * checks as a single create
+ *
+ * When atomic, all the records are checked first and then created in a single transaction
+ * so that the batch is all-or-nothing. Checking stops at the first failure
+ *
+ * @param {orientjs.Db} db the orientjs database connection
+ * @param {Object} opt options
+ * @param {string} opt.modelName the model for the table/class to insert the new records into
+ * @param {Array.<Object>} opt.records the contents of the new records
+ * @param {Object} opt.user the user creating the new records
+ * @param {boolean} [opt.atomic=false] all records must be created or none are
+ *
+ * @returns {Array.<Object>} the outcome for each record attempted (in input order). Has a result (the new record), an error, or is skipped (atomic batch failed on another record)
+ */
+const createMany = async (db, {
+    modelName, records, user, atomic = false,
+}) => {
+    const model = schema.get(modelName);
+
+    if (atomic) {
+        return createManyTx(db, { model, records, user });
+    }
+    const outcomes = [];
+
+    for (const content of records) {
+        try {
+            const result = await create(db, { content, modelName: model.name, user });
+            outcomes.push({ result });
+        } catch (err) {
+            logger.log('debug', err.toString());
+            outcomes.push({ error: err });
+        }
+    }
+    return outcomes;
+};
+
+module.exports = { create, createMany, createUser };
@@ -0,0 +1,36 @@
+/**
+ * Explaining (dry-running) queries
+ */
+const { logger } = require('../logging');
+const { wrapIfTypeError } = require('./util');
+
+/**
+ * Explain how a query would be run without running it
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {WrapperQuery} query the parsed query
+ *
+ * @returns {Object} the parsed query tree, the generated statement and its parameters, and the execution plan from the database
+ */
+const explain = async (db, query) => {
+    const { params, query: statement } = query.toString();
+    const explainStatement = `EXPLAIN ${statement}`;
+    logger.log('debug', explainStatement);
+    let plan;
+
+    try {
+        [plan = null] = await db.query(explainStatement, { params }).all();
+    } catch (err) {
+        logger.log('debug', `Error in explaining the query statement (${statement})`);
+        throw wrapIfTypeError({ ...err, sql: statement });
+    }
+    return {
+        params,
+        plan,
+        query: query.toJSON(),
+        sql: query.displayString(),
+        statement,
+    };
+};
+
+module.exports = { explain };
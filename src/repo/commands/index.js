@@ -1,23 +1,45 @@
-const { create, createUser } = require('./create');
+const { create, createMany, createUser } = require('./create');
 const {
     fetchDisplayName,
     getUserByName,
     QUERY_LIMIT,
     RELATED_NODE_DEPTH,
     select,
+    selectAsOf,
     selectCounts,
+    selectHistory,
 } = require('./select');
-const { remove, update } = require('./update');
+const {
+    remove, restore, revert, update, updateMany,
+} = require('./update');
+const { merge } = require('./merge');
+const { explain } = require('./explain');
+const { suggest } = require('./suggest');
+const { matchVariant } = require('./variantMatch');
+const { matchStatements } = require('./statementMatch');
+const { selectStatementConflicts } = require('./statementConflicts');
 
 module.exports = {
     QUERY_LIMIT,
     RELATED_NODE_DEPTH,
     create,
+    createMany,
     createUser,
+    explain,
     fetchDisplayName,
     getUserByName,
+    matchStatements,
+    matchVariant,
+    merge,
     remove,
+    restore,
+    revert,
     select,
+    selectAsOf,
     selectCounts,
+    selectHistory,
+    selectStatementConflicts,
+    suggest,
     update,
+    updateMany,
 };
@@ -0,0 +1,479 @@
+/**
+ * Merging duplicate records into a single record
+ */
+/**
+ * @ignore
+ */
+const _ = require('lodash');
+
+const {
+    util: { castToRID, timeStampNow },
+    ValidationError,
+    PERMISSIONS,
+    schema: schemaDefn,
+} = require('@bcgsc-pori/graphkb-schema');
+
+const { logger } = require('../logging');
+const { invalidateCache } = require('../cache');
+const {
+    PermissionError,
+    RecordConflictError,
+} = require('../error');
+const { omitDBAttributes, wrapIfTypeError, hasRecordAccess } = require('./util');
+const { select, selectAll, fetchDisplayName } = require('./select');
+const { diffRecords } = require('../util');
+const { nestedProjection } = require('../query_builder/projection');
+const { OPERATORS } = require('../query_builder/constants');
+const { parse, parseRecord } = require('../query_builder');
+const { checkUserAccessFor } = require('../../middleware/auth');
+
+// links which track the record itself rather than relate it to other records
+const IGNORED_LINKS = ['history', 'createdBy', 'updatedBy', 'deletedBy'];
+
+/**
+ * Get the link properties (by class) which could hold a link to a record of the given class
+ *
+ * @param {string} modelName the class of the record being linked to
+ *
+ * @returns {Object.<string,Array.<Property>>} mapping of class name to its linking properties
+ */
+const linkingProperties = (modelName) => {
+    const linking = {};
+
+    for (const model of Object.values(schemaDefn.models)) {
+        if (model.isAbstract || model.isEdge || !schemaDefn.inheritsFrom(model.name, 'V')) {
+            continue;
+        }
+        const props = Object.values(schemaDefn.getProperties(model.name)).filter(
+            (prop) => ['link', 'linkset', 'linklist'].includes(prop.type)
+                && !IGNORED_LINKS.includes(prop.name)
+                && (
+                    !prop.linkedClass
+                    || prop.linkedClass === modelName
+                    || schemaDefn.inheritsFrom(modelName, prop.linkedClass)
+                ),
+        );
+
+        if (props.length) {
+            linking[model.name] = props;
+        }
+    }
+    return linking;
+};
+
+/**
+ * Find all active records (other than edges) which link to any of the duplicate records and
+ * calculate the changes required to link them to the survivor instead
+ *
+ * @param {orientjs.Db} db the database connection object
+ * @param {Object} opt options
+ * @param {string} opt.modelName the class of the records being merged
+ * @param {Array.<string>} opt.duplicates the record IDs of the duplicate records
+ * @param {string} opt.survivor the record ID of the record being kept
+ */
+const findLinkingRecords = async (db, { modelName, duplicates, survivor }) => {
+    const linking = [];
+    const visited = new Set(duplicates);
+
+    const replace = (value) => {
+        const rid = castToRID(value).toString();
+        return duplicates.includes(rid)
+            ? survivor
+            : rid;
+    };
+
+    for (const [className, props] of Object.entries(linkingProperties(modelName))) {
+        const filters = [];
+
+        for (const prop of props) {
+            if (prop.type === 'link') {
+                filters.push({ [prop.name]: duplicates, operator: OPERATORS.IN });
+            } else {
+                filters.push(...duplicates.map(
+                    (rid) => ({ [prop.name]: rid, operator: OPERATORS.CONTAINS }),
+                ));
+            }
+        }
+        const records = await selectAll(db, { filters: { OR: filters }, target: className });
+
+        for (const record of records) {
+            const rid = castToRID(record['@rid']).toString();
+
+            // subclass records are also returned when selecting from the parent class
+            if (visited.has(rid)) {
+                continue;
+            }
+            visited.add(rid);
+            const changes = {};
+
+            for (const prop of Object.values(schemaDefn.getProperties(record['@class']))) {
+                if (!props.some((p) => p.name === prop.name) || !record[prop.name]) {
+                    continue;
+                }
+                const value = record[prop.name];
+
+                if (prop.type === 'link') {
+                    if (replace(value) !== castToRID(value).toString()) {
+                        changes[prop.name] = survivor;
+                    }
+                } else {
+                    const original = Array.from(value, (v) => castToRID(v).toString());
+                    const replaced = _.uniq(original.map(replace));
+
+                    if (!_.isEqual(original, replaced)) {
+                        changes[prop.name] = replaced;
+                    }
+                }
+            }
+            linking.push({ changes, record });
+        }
+    }
+    return linking;
+};
+
+/**
+ * Plan the re-wiring of the edges of the duplicate records to the survivor
+ *
+ * @param {Object} opt options
+ * @param {Array.<Object>} opt.duplicates the duplicate records (with edges and their linked vertices)
+ * @param {Object} opt.survivor the survivor record (with edges)
+ */
+const planEdges = ({ duplicates, survivor }) => {
+    const survivorId = castToRID(survivor['@rid']).toString();
+    const duplicateIds = duplicates.map((rec) => castToRID(rec['@rid']).toString());
+    const existing = new Set();
+    const visited = new Set();
+    // same properties as the restrictMultiplicity index on the edge classes
+    const edgeKey = (edge, out, tgt) => `${edge['@class']}:${out}:${tgt}:${edge.source
+        ? castToRID(edge.source).toString()
+        : null}`;
+
+    const activeEdges = (record) => Object.keys(record)
+        .filter((attr) => attr.startsWith('out_') || attr.startsWith('in_'))
+        .reduce((edges, attr) => edges.concat(Array.from(record[attr] || [])), [])
+        .filter((edge) => !edge.deletedAt);
+
+    for (const edge of activeEdges(survivor)) {
+        existing.add(edgeKey(edge, castToRID(edge.out).toString(), castToRID(edge.in).toString()));
+    }
+    const plan = [];
+
+    for (const duplicate of duplicates) {
+        const duplicateId = castToRID(duplicate['@rid']).toString();
+
+        for (const edge of activeEdges(duplicate)) {
+            const edgeId = castToRID(edge['@rid']).toString();
+
+            // edges between two duplicates are found from both sides
+            if (visited.has(edgeId)) {
+                continue;
+            }
+            visited.add(edgeId);
+            const direction = castToRID(edge.out).toString() === duplicateId
+                ? 'in'
+                : 'out';
+            const neighbor = edge[direction];
+            const neighborId = castToRID(neighbor).toString();
+            const outcome = { direction, duplicate: duplicateId, edge };
+
+            if (duplicateIds.includes(neighborId)) {
+                // both sides will be deleted so there is no need to copy the neighbor
+                outcome.reason = 'would link the merged record to itself';
+            } else if (neighborId === survivorId) {
+                outcome.neighbor = neighbor;
+                outcome.reason = 'would link the merged record to itself';
+            } else {
+                const replacement = direction === 'in'
+                    ? { in: neighborId, out: survivorId }
+                    : { in: survivorId, out: neighborId };
+                const key = edgeKey(edge, replacement.out, replacement.in);
+                outcome.neighbor = neighbor;
+
+                if (existing.has(key)) {
+                    outcome.reason = 'an equivalent edge already exists';
+                } else {
+                    existing.add(key);
+                    outcome.replacement = replacement;
+                }
+            }
+            plan.push(outcome);
+        }
+    }
+    return plan;
+};
+
+/**
+ * Merge duplicate records into a single (survivor) record. All edges and links to the duplicates
+ * are moved to the survivor, a DeprecatedBy edge is added from each duplicate to the survivor and
+ * the duplicates are deleted. Changes are made in a single transaction and a history copy is kept
+ * for every modified record (as for updates and deletions)
+ *
+ * @param {orientjs.Db} db the database connection object
+ * @param {Object} opt options
+ * @param {string} opt.modelName the class the records must belong to
+ * @param {string} opt.survivor the record ID of the record being kept
+ * @param {Array.<string>} opt.duplicates the record IDs of the records being merged into the survivor
+ * @param {Object} opt.user the user merging the records
+ * @param {boolean} [opt.preview=false] return the changes which would be made without making them
+ *
+ * @returns {Object} the changes (edges, links) and the survivor record (result) when not a preview
+ */
+const merge = async (db, {
+    modelName, survivor: survivorIn, duplicates: duplicatesIn, user, preview = false,
+}) => {
+    const model = schemaDefn.get(modelName);
+
+    if (!model || !user) {
+        throw new ValidationError('missing required argument');
+    }
+    if (!schemaDefn.inheritsFrom(model.name, 'Ontology')) {
+        throw new ValidationError(`Only ontology records can be merged (${model.name})`);
+    }
+    if (!survivorIn) {
+        throw new ValidationError('survivor is a required argument');
+    }
+    if (!Array.isArray(duplicatesIn) || !duplicatesIn.length) {
+        throw new ValidationError('duplicates must be a non-empty array of record IDs');
+    }
+    const survivorId = castToRID(survivorIn).toString();
+    const duplicateIds = _.uniq(duplicatesIn.map((rid) => castToRID(rid).toString()));
+
+    if (duplicateIds.includes(survivorId)) {
+        throw new ValidationError(`The survivor (${survivorId}) cannot also be a duplicate`);
+    }
+    const query = parse({
+        filters: { '@this': model.name, operator: OPERATORS.INSTANCEOF },
+        target: [survivorId, ...duplicateIds],
+    });
+    query.projection = nestedProjection(2);
+    const records = await select(db, query, { exactlyN: duplicateIds.length + 1 });
+    const survivor = records.find((rec) => castToRID(rec['@rid']).toString() === survivorId);
+    const duplicates = records.filter((rec) => rec !== survivor);
+
+    for (const record of records) {
+        if (!hasRecordAccess(user, record)) {
+            throw new PermissionError(`The user '${user.name}' does not have sufficient permissions to interact with record ${record['@rid']}`);
+        }
+        if (record['@class'] !== survivor['@class']) {
+            throw new ValidationError(`Cannot merge records of different classes (${record['@class']}, ${survivor['@class']})`);
+        }
+    }
+
+    const edges = planEdges({ duplicates, survivor });
+    const linking = await findLinkingRecords(db, {
+        duplicates: duplicateIds, modelName: survivor['@class'], survivor: survivorId,
+    });
+
+    // calculate the new content of each linking record and check it does not duplicate an existing record
+    for (const link of linking) {
+        const { record, changes } = link;
+        const className = record['@class'];
+
+        if (
+            !checkUserAccessFor(user, className, PERMISSIONS.UPDATE)
+            || !hasRecordAccess(user, record)
+        ) {
+            throw new PermissionError(`The user '${user.name}' does not have sufficient permissions to update the linked record ${record['@rid']}`);
+        }
+        link.content = schemaDefn.formatRecord(className, omitDBAttributes(record), {
+            addDefaults: false,
+            dropExtra: true,
+        });
+        const postUpdateRecord = _.omit(
+            { ...link.content, ...changes },
+            ['displayName', 'break1Repr', 'break2Repr'],
+        );
+
+        if (className === 'Statement') {
+            changes.displayNameTemplate = await fetchDisplayName(db, className, postUpdateRecord);
+        } else if (schemaDefn.hasProperty(className, 'displayName')) {
+            changes.displayName = await fetchDisplayName(db, className, postUpdateRecord);
+        }
+
+        if (schemaDefn.activeProperties(className)) {
+            const matches = await select(db, parseRecord(
+                className,
+                { ...link.content, ...changes },
+                { activeIndexOnly: true },
+            ));
+            const conflicts = matches.filter(
+                (rec) => castToRID(rec['@rid']).toString() !== castToRID(record['@rid']).toString(),
+            );
+
+            if (conflicts.length) {
+                link.conflict = conflicts.map((rec) => castToRID(rec['@rid']).toString());
+            }
+        }
+    }
+
+    const summary = {
+        duplicates: duplicateIds,
+        edges: edges.map(({
+            edge, duplicate, replacement, reason,
+        }) => ({
+            '@class': edge['@class'],
+            '@rid': castToRID(edge['@rid']).toString(),
+            duplicate,
+            reason: reason || null,
+            replacement: replacement || null,
+        })),
+        links: linking.map(({ record, changes, conflict }) => ({
+            '@class': record['@class'],
+            '@rid': castToRID(record['@rid']).toString(),
+            changes: diffRecords(record, { ...record, ...changes }),
+            conflicts: conflict || [],
+        })),
+        survivor: survivorId,
+    };
+
+    if (preview) {
+        return summary;
+    }
+    const conflicting = linking.filter((link) => link.conflict);
+
+    if (conflicting.length) {
+        throw new RecordConflictError(`Cannot merge. Re-linking would duplicate existing records (${
+            conflicting.map((link) => `${link.record['@rid']} duplicates ${link.conflict.join(', ')}`).join('; ')
+        })`);
+    }
+
+    const userRID = castToRID(user);
+    const timestamp = timeStampNow();
+    let commit;
+
+    const step = (name, build) => {
+        commit = commit
+            ? commit.let(name, build)
+            : db.let(name, build);
+    };
+    const copiedVertices = {}; // mapping of rid string to the let variable name of its history copy
+    // the createdAt guard must use the new timestamp for records already copied in this transaction
+    const createdAtGuard = (record) => (copiedVertices[castToRID(record).toString()] === undefined
+        ? record.createdAt
+        : timestamp);
+
+    // 1. copy the vertices on the other side of the deleted edges as history
+    for (const { edge, neighbor } of edges) {
+        if (!neighbor || copiedVertices[castToRID(neighbor).toString()] !== undefined) {
+            continue;
+        }
+        const index = Object.keys(copiedVertices).length;
+        const content = omitDBAttributes(neighbor);
+        content.deletedAt = timestamp;
+        content.deletedBy = userRID;
+
+        for (const [attr, value] of Object.entries(content)) {
+            if (value && value['@rid'] !== undefined) {
+                content[attr] = castToRID(value);
+            }
+        }
+        logger.debug(`copy ${castToRID(neighbor)} as history for the edge ${edge['@rid']}`);
+        step(`vertexCopy${index}`, (tx) => tx.create('VERTEX', neighbor['@class'])
+            .set(content));
+        step(`vertex${index}`, (tx) => tx.update(castToRID(neighbor))
+            .set(`history = $vertexCopy${index}[0]`)
+            .set({ createdAt: timestamp, createdBy: userRID })
+            .where({ createdAt: neighbor.createdAt })
+            .return('AFTER @rid'));
+        copiedVertices[castToRID(neighbor).toString()] = `vertexCopy${index}`;
+    }
+
+    // 2. delete the edges of the duplicates (moved to the copies) and re-create them on the survivor
+    edges.forEach(({
+        edge, direction, neighbor, replacement,
+    }, index) => {
+        step(`deletedEdge${index}`, (tx) => {
+            const deletion = tx.update(castToRID(edge))
+                .set({ deletedAt: timestamp, deletedBy: userRID });
+
+            if (neighbor) {
+                deletion.set(`${direction} = $${copiedVertices[castToRID(neighbor).toString()]}[0]`);
+            }
+            return deletion
+                .where({ createdAt: edge.createdAt })
+                .return('AFTER @rid');
+        });
+
+        if (replacement) {
+            const {
+                out: from, in: to, '@class': className, ...content
+            } = schemaDefn.formatRecord(edge['@class'], {
+                ..._.omit(omitDBAttributes(edge), ['createdAt', 'createdBy', 'history', 'uuid']),
+                createdBy: userRID,
+                in: replacement.in,
+                out: replacement.out,
+            }, { addDefaults: true, dropExtra: true });
+            step(`newEdge${index}`, (tx) => tx.create('EDGE', edge['@class'])
+                .from(from)
+                .to(to)
+                .set(content));
+        }
+    });
+
+    // 3. update the records linking to the duplicates
+    linking.forEach(({ record, content, changes }, index) => {
+        const copied = copiedVertices[castToRID(record).toString()] !== undefined;
+
+        // a record copied in step 1 already has its history copy for this transaction
+        if (!copied) {
+            const copy = { ...content, deletedAt: timestamp, deletedBy: userRID };
+            step(`linkCopy${index}`, (tx) => tx.create('VERTEX', record['@class'])
+                .set(copy));
+        }
+        step(`link${index}`, (tx) => {
+            const update = tx.update(castToRID(record))
+                .set(omitDBAttributes({ ...changes, updatedAt: timestamp, updatedBy: userRID }));
+
+            if (!copied) {
+                update.set(`history = $linkCopy${index}[0]`);
+            }
+            return update
+                .where({ createdAt: createdAtGuard(record) })
+                .return('AFTER @rid');
+        });
+    });
+
+    // 4. deprecate and delete the duplicates
+    duplicates.forEach((duplicate, index) => {
+        const {
+            out: from, in: to, '@class': className, ...content
+        } = schemaDefn.formatRecord('DeprecatedBy', {
+            createdBy: userRID,
+            in: survivorId,
+            out: castToRID(duplicate),
+        }, { addDefaults: true, dropExtra: true });
+        step(`deprecatedBy${index}`, (tx) => tx.create('EDGE', 'DeprecatedBy')
+            .from(from)
+            .to(to)
+            .set(content));
+        step(`duplicate${index}`, (tx) => tx.update(castToRID(duplicate))
+            .set({ deletedAt: timestamp, deletedBy: userRID })
+            .where({ createdAt: createdAtGuard(duplicate) })
+            .return('AFTER @rid'));
+    });
+    step('result', (tx) => tx.select()
+        .from(survivor['@class'])
+        .where({ '@rid': survivor['@rid'] }));
+    commit.commit();
+    logger.log('debug', commit.buildStatement());
+
+    try {
+        const result = await commit.return('$result').one();
+
+        if (!result) {
+            throw new Error('Failed to merge');
+        }
+        // the edges of the duplicates are moved to the survivor and may link records of any class
+        await invalidateCache();
+        return { ...summary, result };
+    } catch (err) {
+        err.sql = commit.buildStatement();
+        throw wrapIfTypeError(err);
+    }
+};
+
+module.exports = {
+    linkingProperties,
+    merge,
+    planEdges,
+};
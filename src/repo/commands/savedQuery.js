@@ -0,0 +1,320 @@
+/**
+ * Saved (named) queries. These are stored and managed by the API rather than the schema
+ * definition and can be shared with user groups
+ */
+const _ = require('lodash');
+const { util, ValidationError } = require('@bcgsc-pori/graphkb-schema');
+
+const { logger } = require('../logging');
+const { NoRecordFoundError, PermissionError } = require('../error');
+const { parse } = require('../query_builder');
+const { wrapIfTypeError } = require('./util');
+
+// not part of the schema definition and so is skipped when the schema is loaded
+const SAVED_QUERY_CLASS = 'SavedQuery';
+
+// placeholders must be the entire value (ex. { name: '$gene' })
+const PLACEHOLDER_PATTERN = /^\$([a-zA-Z]\w*)$/;
+
+/**
+ * Check if the table for the saved queries exists
+ *
+ * @param {orientjs.Db} db the orientjs database connection object
+ */
+const hasSavedQueryClass = async (db) => {
+    const classes = await db.class.list();
+    return classes.some((cls) => cls.name === SAVED_QUERY_CLASS);
+};
+
+/**
+ * Creates the table for the saved queries if it does not already exist
+ *
+ * @param {orientjs.Db} db the orientjs database connection object
+ */
+const createSavedQueryClass = async (db) => {
+    if (await hasSavedQueryClass(db)) {
+        return null;
+    }
+    logger.log('info', `creating the ${SAVED_QUERY_CLASS} table`);
+    const cls = await db.class.create(SAVED_QUERY_CLASS, null, null, false);
+
+    for (const property of [
+        {
+            mandatory: true, name: 'name', notNull: true, type: 'string',
+        },
+        { name: 'description', type: 'string' },
+        {
+            mandatory: true, name: 'query', notNull: true, type: 'string',
+        },
+        { linkedClass: 'UserGroup', name: 'groups', type: 'linkset' },
+        {
+            linkedClass: 'User', mandatory: true, name: 'createdBy', notNull: true, type: 'link',
+        },
+        {
+            mandatory: true, name: 'createdAt', notNull: true, type: 'long',
+        },
+        { name: 'deletedAt', type: 'long' },
+    ]) {
+        await cls.property.create(property);
+    }
+    return cls;
+};
+
+/**
+ * Get the names of the placeholders (ex. $gene) used as values in a query body
+ *
+ * @param {Object} body the query body
+ *
+ * @returns {Array.<string>} the placeholder names (without the $ prefix)
+ */
+const getQueryParameters = (body) => {
+    const found = new Set();
+    const queue = [body];
+
+    while (queue.length) {
+        const value = queue.shift();
+
+        if (typeof value === 'string') {
+            const match = PLACEHOLDER_PATTERN.exec(value);
+
+            if (match) {
+                found.add(match[1]);
+            }
+        } else if (value && typeof value === 'object') {
+            queue.push(...Object.values(value));
+        }
+    }
+    return Array.from(found).sort();
+};
+
+/**
+ * Replace the placeholders in a query body with the given values
+ *
+ * @param {Object} body the query body
+ * @param {Object.<string,string>} params the values to use for each placeholder name
+ *
+ * @returns {Object} a copy of the query body with the placeholders replaced
+ * @throws {ValidationError} when a value is missing or given for a placeholder that is not used
+ */
+const substituteQueryParameters = (body, params = {}) => {
+    const expected = getQueryParameters(body);
+    const missing = expected.filter((name) => params[name] === undefined);
+    const unexpected = Object.keys(params).filter((name) => !expected.includes(name));
+
+    if (missing.length) {
+        throw new ValidationError(`Missing values for the query parameter(s): ${missing.join(', ')}`);
+    }
+    if (unexpected.length) {
+        throw new ValidationError(`Did not recognize the query parameter(s): ${unexpected.sort().join(', ')}`);
+    }
+
+    const substitute = (value) => {
+        if (typeof value === 'string') {
+            const match = PLACEHOLDER_PATTERN.exec(value);
+            return match
+                ? params[match[1]]
+                : value;
+        } if (Array.isArray(value)) {
+            return value.map(substitute);
+        } if (value && typeof value === 'object') {
+            return _.mapValues(value, substitute);
+        }
+        return value;
+    };
+    return substitute(body);
+};
+
+/**
+ * Check if a user can see (and run) a saved query. Saved queries are visible to the user who
+ * created them and to the members of the groups they are shared with
+ *
+ * @param {User} user the current user
+ * @param {Object} record the saved query record
+ */
+const canReadSavedQuery = (user, record) => {
+    if (util.castToRID(record.createdBy).toString() === util.castToRID(user).toString()) {
+        return true;
+    }
+    const userGroups = new Set(user.groups.map((group) => util.castToRID(group).toString()));
+    return Array.from(record.groups || []).some(
+        (group) => userGroups.has(util.castToRID(group).toString()),
+    );
+};
+
+/**
+ * Format the saved query record returned by the database for the response
+ *
+ * @param {Object} record the saved query record
+ */
+const formatSavedQuery = (record) => {
+    const query = JSON.parse(record.query);
+    return {
+        '@class': SAVED_QUERY_CLASS,
+        '@rid': util.castToRID(record['@rid']).toString(),
+        createdAt: record.createdAt,
+        createdBy: util.castToRID(record.createdBy).toString(),
+        description: record.description || null,
+        groups: Array.from(record.groups || [], (group) => util.castToRID(group).toString()),
+        name: record.name,
+        parameters: getQueryParameters(query),
+        query,
+    };
+};
+
+/**
+ * Validate and store a new saved query
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Object} opt options
+ * @param {Object} opt.content the saved query content
+ * @param {string} opt.content.name the name of the saved query
+ * @param {string} [opt.content.description] a description of the saved query
+ * @param {Object} opt.content.query the query body (as it would be given to POST /query)
+ * @param {Array.<string>} [opt.content.groups] the user groups (of the current user) to share the saved query with
+ * @param {User} opt.user the current user
+ */
+const createSavedQuery = async (db, { content, user }) => {
+    const {
+        name, description, query, groups = [], ...rest
+    } = content || {};
+
+    if (Object.keys(rest).length) {
+        throw new ValidationError(`Did not recognize the body parameter(s): ${Object.keys(rest).sort().join(', ')}`);
+    }
+    if (!name || typeof name !== 'string') {
+        throw new ValidationError('name is required and must be a string');
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        throw new ValidationError('description must be a string');
+    }
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+        throw new ValidationError('query is required and must be a query body');
+    }
+    if (!Array.isArray(groups)) {
+        throw new ValidationError('groups must be a list of user group record IDs');
+    }
+    // saved queries can only be shared with the groups the user belongs to
+    const userGroups = new Set(
+        (user.groups || []).map((group) => util.castToRID(group).toString()),
+    );
+
+    for (const group of groups) {
+        if (!util.looksLikeRID(group, false)) {
+            throw new ValidationError(`groups must be a list of user group record IDs (${group})`);
+        }
+        if (!userGroups.has(util.castToRID(group).toString())) {
+            throw new ValidationError(`Cannot share the saved query with a group (${group}) the user is not a member of`);
+        }
+    }
+    // check the query is valid (placeholders are left as string values)
+    parse(query);
+
+    const record = {
+        createdAt: util.timeStampNow(),
+        createdBy: util.castToRID(user),
+        description: description || null,
+        groups: groups.map(util.castToRID),
+        name: name.trim(),
+        query: JSON.stringify(query),
+    };
+
+    try {
+        const result = await db.insert().into(SAVED_QUERY_CLASS).set(record).one();
+        return formatSavedQuery(result);
+    } catch (err) {
+        throw wrapIfTypeError(err);
+    }
+};
+
+/**
+ * Get a saved query by its record ID
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Object} opt options
+ * @param {string} opt.target the record ID of the saved query
+ * @param {User} opt.user the current user
+ *
+ * @returns {Object} the saved query record
+ * @throws {NoRecordFoundError} when the saved query does not exist or is not visible to the user
+ */
+const getSavedQuery = async (db, { target, user }) => {
+    const rid = util.castToRID(target).toString();
+    const statement = `SELECT FROM [${rid}] WHERE deletedAt IS NULL`;
+    logger.log('debug', statement);
+    let records;
+
+    try {
+        records = await db.query(statement).all();
+    } catch (err) {
+        throw wrapIfTypeError({ ...err, sql: statement });
+    }
+    const [record] = records.filter((rec) => rec['@class'] === SAVED_QUERY_CLASS);
+
+    if (!record || !canReadSavedQuery(user, record)) {
+        throw new NoRecordFoundError({
+            message: `no saved query found for the record ID ${rid}`,
+            sql: statement,
+        });
+    }
+    return formatSavedQuery(record);
+};
+
+/**
+ * Get all the saved queries visible to the current user
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Object} opt options
+ * @param {User} opt.user the current user
+ */
+const listSavedQueries = async (db, { user }) => {
+    const statement = `SELECT FROM ${SAVED_QUERY_CLASS} WHERE deletedAt IS NULL ORDER BY name`;
+    logger.log('debug', statement);
+    let records;
+
+    try {
+        records = await db.query(statement).all();
+    } catch (err) {
+        throw wrapIfTypeError({ ...err, sql: statement });
+    }
+    return records
+        .filter((record) => canReadSavedQuery(user, record))
+        .map(formatSavedQuery);
+};
+
+/**
+ * Delete a saved query. Only the user who created the saved query may delete it
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Object} opt options
+ * @param {string} opt.target the record ID of the saved query
+ * @param {User} opt.user the current user
+ */
+const removeSavedQuery = async (db, { target, user }) => {
+    const record = await getSavedQuery(db, { target, user });
+
+    if (record.createdBy !== util.castToRID(user).toString()) {
+        throw new PermissionError(`The user ${user.name} cannot delete a saved query they did not create`);
+    }
+    const deletedAt = util.timeStampNow();
+
+    try {
+        await db.command(
+            `UPDATE ${record['@rid']} SET deletedAt = :deletedAt`,
+            { params: { deletedAt } },
+        ).all();
+    } catch (err) {
+        throw wrapIfTypeError(err);
+    }
+    return { ...record, deletedAt };
+};
+
+module.exports = {
+    createSavedQuery,
+    createSavedQueryClass,
+    getQueryParameters,
+    getSavedQuery,
+    hasSavedQueryClass,
+    listSavedQueries,
+    removeSavedQuery,
+    substituteQueryParameters,
+};
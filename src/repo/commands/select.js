@@ -11,19 +11,26 @@ const {
     util,
 } = require('@bcgsc-pori/graphkb-schema');
 const { stringifyVariant } = require('@bcgsc-pori/graphkb-parser');
+const _ = require('lodash');
 
 const { logger } = require('../logging');
 const { parse } = require('../query_builder');
+const { OPERATORS } = require('../query_builder/constants');
+const { castTimestamp, versionActiveAt } = require('../query_builder/util');
+const {
+    cached, getRecordClasses, getStatementClasses, userCacheKey,
+} = require('../cache');
 
 const {
     MultipleRecordsFoundError,
     NoRecordFoundError,
 } = require('../error');
-const { trimRecords } = require('../util');
+const { diffRecords, trimRecords } = require('../util');
 const { wrapIfTypeError } = require('./util');
 
 const RELATED_NODE_DEPTH = 3;
 const QUERY_LIMIT = 1000;
+const HISTORY_ATTRIBUTES = ['history', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy', 'deletedAt', 'deletedBy'];
 
 const groupableParams = Object.values(schema.queryableProperties('V'))
     .filter((prop) => prop.linkedClass && (
@@ -37,18 +44,28 @@ const groupableParams = Object.values(schema.queryableProperties('V'))
  * @param {Array.<string>} opt.classList list of classes to gather stats for. Defaults to all
  * @param {Boolean} [opt.history=true] ignore deleted records
  * @param {Boolean} [opt.groupBy=''] linked property to group the results by (must be a class with the displayName property)
+ * @param {Boolean} [opt.cache=false] use the cached counts for these options when there are some
  */
 const selectCounts = async (db, opt = {}) => {
     const {
         groupBy = '',
         history = false,
         classList = Object.keys(schema.models),
+        cache = false,
     } = opt;
 
     if (groupBy && !groupableParams.includes(groupBy)) {
         throw new ValidationError(`Invalid groupBy parameter (${groupBy}) must be one of (${groupableParams.join(',')})`);
     }
 
+    if (cache) {
+        return cached(
+            `counts:${JSON.stringify({ classList, groupBy, history })}`,
+            classList,
+            () => selectCounts(db, { classList, groupBy, history }),
+        );
+    }
+
     const tempCounts = await Promise.all(classList.map(
         async (cls) => {
             let statement;
@@ -119,6 +136,45 @@ const getUserByName = async (db, username) => {
     }
 };
 
+/**
+ * Run the query statement and filter the records the user does not have access to
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Query} query the query object
+ * @param {Object} opt options
+ * @param {string} opt.statement the query statement
+ * @param {Object} opt.params the query parameters
+ * @param {User} [opt.user] the current user
+ */
+const selectRecords = async (db, query, { statement, params, user }) => {
+    const queryOpt = {
+        params,
+    };
+    logger.log('debug', JSON.stringify(queryOpt));
+
+    let recordList;
+
+    try {
+        recordList = await db.query(`${statement}`, queryOpt).all();
+    } catch (err) {
+        logger.log('debug', `Error in executing the query statement (${statement})`);
+        logger.log('debug', err);
+        const error = wrapIfTypeError({ ...err, sql: statement });
+        throw error;
+    }
+
+    logger.log('debug', `selected ${recordList.length} records`);
+
+    if (query.paginate) {
+        query.setNextCursor(recordList);
+    }
+
+    if (query.ranked) {
+        recordList = query.rank(recordList);
+    }
+    return trimRecords(recordList, { db, history: query.history, user });
+};
+
 /**
  * Builds the query statement for selecting or matching records from the database
  *
@@ -129,6 +185,7 @@ const getUserByName = async (db, username) => {
  * @param {?number} [opt.exactlyN=null] if not null, check that the returned record list is the same length as this value
  * @param {User} [opt.user] the current user
  * @param {string} [opt.fetchPlan] overrides the default fetch plan created from the neighbors
+ * @param {boolean} [opt.cache=false] use the cached result for this query and user groups when there is one
  *
  * @todo Add support for permissions base-d fetch plans
  *
@@ -136,7 +193,7 @@ const getUserByName = async (db, username) => {
  */
 const select = async (db, query, opt = {}) => {
     // set the default options
-    const { exactlyN = null, user } = opt;
+    const { exactlyN = null, user, cache = false } = opt;
     logger.log('debug', query.displayString());
 
     // send the query statement to the database
@@ -144,26 +201,27 @@ const select = async (db, query, opt = {}) => {
         ? query.toString()
         : query;
 
-    const queryOpt = {
-        params,
-    };
-    logger.log('debug', JSON.stringify(queryOpt));
-
     let recordList;
 
-    try {
-        recordList = await db.query(`${statement}`, queryOpt).all();
-    } catch (err) {
-        logger.log('debug', `Error in executing the query statement (${statement})`);
-        logger.log('debug', err);
-        const error = wrapIfTypeError({ ...err, sql: statement });
-        throw error;
+    if (cache) {
+        // the paging and ranking state of the query is cached with the records
+        const { records, ...state } = await cached(
+            `select:${userCacheKey(user)}:${query.history}:${query.displayString()}`,
+            // record ID targets do not name their classes so the records are also used
+            (value) => _.union(getStatementClasses(statement), getRecordClasses(value.records)),
+            async () => {
+                const result = await selectRecords(db, query, { params, statement, user });
+                return {
+                    nextCursor: query.nextCursor, records: result, relevance: query.relevance,
+                };
+            },
+        );
+        Object.assign(query, state);
+        recordList = records;
+    } else {
+        recordList = await selectRecords(db, query, { params, statement, user });
     }
 
-    logger.log('debug', `selected ${recordList.length} records`);
-
-    recordList = await trimRecords(recordList, { db, history: query.history, user });
-
     if (exactlyN !== null) {
         if (recordList.length < exactlyN) {
             throw new NoRecordFoundError({
@@ -183,6 +241,191 @@ const select = async (db, query, opt = {}) => {
     }
 };
 
+/**
+ * Select all the records matching a query. The records are selected a page at a time (using
+ * cursor pagination) so that the result is not truncated by the query limit
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Object} queryOpt the query options (see parse). Cannot use the options which are incompatible with pagination (ex. skip)
+ * @param {Object} [opt] Selection options (see select)
+ *
+ * @returns {Array.<Object>} array of database records
+ */
+const selectAll = async (db, queryOpt, opt = {}) => {
+    const records = [];
+    let cursor = null;
+
+    do {
+        const query = parse({
+            ...queryOpt, cursor, limit: QUERY_LIMIT, paginate: true,
+        });
+        records.push(...await select(db, query, opt));
+        cursor = query.nextCursor;
+    } while (cursor);
+
+    return records;
+};
+
+/**
+ * Select every version of a record by following the history links back to the first version
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Object} opt options
+ * @param {string} opt.target the record ID of the version to start from (usually the current version)
+ * @param {string} opt.modelName the class the record is expected to belong to
+ * @param {User} [opt.user] the current user
+ * @param {Number} [opt.limit=QUERY_LIMIT] the maximum number of versions to return
+ *
+ * @returns {Array.<Object>} the versions (newest first) with the changes from the previous version
+ */
+const selectHistory = async (db, {
+    target, modelName, user, limit = QUERY_LIMIT,
+}) => {
+    const rid = util.castToRID(target).toString();
+    const statement = `TRAVERSE history FROM ${rid} MAXDEPTH ${limit - 1}`;
+    logger.log('debug', statement);
+    let recordList;
+
+    try {
+        recordList = await db.query(statement).all();
+    } catch (err) {
+        logger.log('debug', `Error in executing the query statement (${statement})`);
+        throw wrapIfTypeError({ ...err, sql: statement });
+    }
+    recordList = await trimRecords(recordList, { db, history: true, user });
+
+    const recordsById = {};
+
+    for (const record of recordList) {
+        recordsById[util.castToRID(record['@rid']).toString()] = record;
+    }
+    const current = recordsById[rid];
+
+    if (!current || (
+        modelName
+        && current['@class'] !== modelName
+        && !schema.inheritsFrom(current['@class'], modelName)
+    )) {
+        throw new NoRecordFoundError({
+            message: `no ${modelName || 'record'} found for the record ID ${rid}`,
+            sql: statement,
+        });
+    }
+
+    // order by following the history links so traversal order does not matter
+    const versions = [];
+    let record = current;
+
+    while (record && versions.length < limit) {
+        versions.push(_.omit(record, Object.keys(record).filter(
+            (key) => key.startsWith('out_') || key.startsWith('in_'),
+        )));
+        record = record.history
+            ? recordsById[util.castToRID(record.history).toString()]
+            : null;
+    }
+
+    // resolve the names of the users responsible for each version
+    const userIds = new Set();
+
+    for (const version of versions) {
+        for (const attr of ['createdBy', 'updatedBy', 'deletedBy']) {
+            if (version[attr]) {
+                userIds.add(util.castToRID(version[attr]).toString());
+            }
+        }
+    }
+    const usersById = {};
+
+    if (userIds.size) {
+        const users = await select(db, parse({
+            history: true,
+            returnProperties: ['@rid', 'name'],
+            target: Array.from(userIds),
+        }));
+
+        for (const { '@rid': userId, name } of users) {
+            usersById[util.castToRID(userId).toString()] = { '@rid': userId, name };
+        }
+    }
+
+    return versions.map((version, index) => {
+        const previous = versions[index + 1];
+        const result = {
+            '@class': version['@class'],
+            '@rid': version['@rid'],
+            changes: previous
+                ? diffRecords(previous, version, { ignore: HISTORY_ATTRIBUTES })
+                : null,
+            record: version,
+            version: versions.length - index,
+        };
+
+        for (const attr of HISTORY_ATTRIBUTES) {
+            result[attr] = version[attr] === undefined
+                ? null
+                : version[attr];
+        }
+
+        for (const attr of ['createdBy', 'updatedBy', 'deletedBy']) {
+            if (result[attr]) {
+                const userId = util.castToRID(result[attr]).toString();
+                result[attr] = usersById[userId] || { '@rid': userId };
+            }
+        }
+        return result;
+    });
+};
+
+/**
+ * Select the version of a record which was current at a given point in time by following the
+ * history links back from the given version
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Object} opt options
+ * @param {string} opt.target the record ID of the version to start from (usually the current version)
+ * @param {string} opt.modelName the class the record is expected to belong to
+ * @param {Number} opt.asOf the point in time (timestamp) to select the version for
+ * @param {Number} [opt.neighbors=0] the number of neighboring record levels to fetch
+ * @param {User} [opt.user] the current user
+ *
+ * @returns {Object} the version of the record
+ * @throws {NoRecordFoundError} when the record did not exist at the given time
+ */
+const selectAsOf = async (db, {
+    target, modelName, asOf, neighbors = 0, user,
+}) => {
+    const rid = util.castToRID(target).toString();
+    const timestamp = castTimestamp(asOf);
+    const statement = `SELECT @rid FROM (TRAVERSE history FROM ${rid} MAXDEPTH ${
+        QUERY_LIMIT - 1
+    }) WHERE ${versionActiveAt(timestamp)}`;
+    logger.log('debug', statement);
+    let versions;
+
+    try {
+        versions = await db.query(statement).all();
+    } catch (err) {
+        logger.log('debug', `Error in executing the query statement (${statement})`);
+        throw wrapIfTypeError({ ...err, sql: statement });
+    }
+
+    if (!versions.length) {
+        throw new NoRecordFoundError({
+            message: `no version of the record ${rid} was current at ${new Date(timestamp).toISOString()}`,
+            sql: statement,
+        });
+    }
+    const query = parse({
+        filters: { '@this': modelName, operator: OPERATORS.INSTANCEOF },
+        history: true,
+        neighbors,
+        target: versions.map((version) => version['@rid']),
+    });
+    const [result] = await select(db, query, { exactlyN: 1, user });
+    return result;
+};
+
 /**
  * Calculate the display name when it requires a db connection to resolve linked records
  */
@@ -270,11 +513,15 @@ const fetchDisplayName = async (db, modelName, content) => {
 };
 
 module.exports = {
+    HISTORY_ATTRIBUTES,
     QUERY_LIMIT,
     RELATED_NODE_DEPTH,
     fetchDisplayName,
     getUserByName,
     groupableParams,
     select,
+    selectAll,
+    selectAsOf,
     selectCounts,
+    selectHistory,
 };
@@ -0,0 +1,188 @@
+/**
+ * Find the statements which contradict each other. Statements conflict when they have the same
+ * conditions and subject but their relevances are linked by an OppositeOf edge
+ * (ex. sensitivity and resistance)
+ */
+const { schema, util, ValidationError } = require('@bcgsc-pori/graphkb-schema');
+
+const { OPERATORS } = require('../query_builder/constants');
+const { buildLooseSearch } = require('../query_builder/variant');
+const { selectAll } = require('./select');
+
+const castRID = (record) => util.castToRID(record['@rid'] || record).toString();
+
+/**
+ * Select the terms linked by OppositeOf edges
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {User} user the current user
+ *
+ * @returns {Object.<string,Set.<string>>} the record IDs of the opposite terms by record ID
+ */
+const selectOpposites = async (db, user) => {
+    const edges = await selectAll(db, { target: 'OppositeOf' }, { user });
+    const opposites = {};
+
+    for (const edge of edges) {
+        const [out, tgt] = [castRID(edge.out), castRID(edge.in)];
+
+        for (const [term, opposite] of [[out, tgt], [tgt, out]]) {
+            if (!opposites[term]) {
+                opposites[term] = new Set();
+            }
+            opposites[term].add(opposite);
+        }
+    }
+    return opposites;
+};
+
+/**
+ * Create the statement filters for the report options
+ *
+ * @param {Object} opt options
+ * @param {string} [opt.gene] the gene (name, sourceId, or record ID) the variant conditions must be on
+ * @param {string} [opt.source] the source (name or record ID) of the statements
+ * @param {string} [opt.subjectClass] the class of the statement subjects
+ *
+ * @returns {Array.<Object>} the filter clauses
+ */
+const buildReportFilters = ({ gene, source, subjectClass }) => {
+    const filters = [];
+
+    if (source) {
+        filters.push({
+            source: util.looksLikeRID(source, false)
+                ? source
+                : { filters: { name: source }, target: 'Source' },
+        });
+    }
+
+    if (subjectClass) {
+        if (!schema.has(subjectClass)) {
+            throw new ValidationError(`subjectClass (${subjectClass}) is not a valid class`);
+        }
+        const { name } = schema.get(subjectClass);
+        filters.push({
+            subject: {
+                filters: { '@this': name, operator: OPERATORS.INSTANCEOF },
+                target: name,
+            },
+        });
+    }
+
+    if (gene) {
+        const features = util.looksLikeRID(gene, false)
+            ? [gene]
+            : buildLooseSearch('Feature', gene);
+        filters.push({
+            conditions: {
+                filters: { OR: [{ reference1: features }, { reference2: features }] },
+                target: 'Variant',
+            },
+            operator: OPERATORS.CONTAINSANY,
+        });
+    }
+    return filters;
+};
+
+/**
+ * Select the statements (record IDs, conditions, relevance, and subject only) which have any of
+ * the given relevances
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Array.<string>} relevances the relevance record IDs
+ * @param {Array.<Object>} filters the other filter clauses
+ * @param {User} user the current user
+ */
+const selectCandidates = async (db, relevances, filters, user) => selectAll(db, {
+    filters: { AND: [{ relevance: relevances }, ...filters] },
+    returnProperties: ['@rid', 'conditions', 'relevance', 'subject'],
+    target: 'Statement',
+}, { user });
+
+/**
+ * Find the groups of conflicting statements. Statements are grouped by their conditions and
+ * subject and each group is returned with the statements whose relevance is opposite to the
+ * relevance of another statement in the group
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Object} opt options
+ * @param {string} [opt.gene] the gene (name, sourceId, or record ID) the variant conditions must be on
+ * @param {string} [opt.source] the source (name or record ID) of the statements
+ * @param {string} [opt.subjectClass] the class of the statement subjects (ex. Therapy)
+ * @param {User} opt.user the current user
+ *
+ * @returns {Array.<Object>} the conflicting groups
+ */
+const selectStatementConflicts = async (db, {
+    gene, source, subjectClass, user,
+}) => {
+    const filters = buildReportFilters({ gene, source, subjectClass });
+    const opposites = await selectOpposites(db, user);
+
+    if (!Object.keys(opposites).length) {
+        return [];
+    }
+    const candidates = await selectCandidates(db, Object.keys(opposites), filters, user);
+    const groups = {};
+
+    for (const statement of candidates) {
+        const conditions = (statement.conditions || []).map(castRID).sort();
+        const key = `${castRID(statement.subject)} ${conditions.join(',')}`;
+
+        if (!groups[key]) {
+            groups[key] = [];
+        }
+        groups[key].push({ relevance: castRID(statement.relevance), rid: castRID(statement) });
+    }
+    const conflicts = [];
+
+    for (const group of Object.values(groups)) {
+        const relevances = new Set(group.map(({ relevance }) => relevance));
+        const pairs = [];
+
+        for (const relevance of relevances) {
+            for (const opposite of opposites[relevance]) {
+                // each pair is only added once
+                if (relevance < opposite && relevances.has(opposite)) {
+                    pairs.push([relevance, opposite]);
+                }
+            }
+        }
+
+        if (pairs.length) {
+            const conflicting = new Set(pairs.flat());
+            conflicts.push({
+                relevances: pairs,
+                statements: group
+                    .filter(({ relevance }) => conflicting.has(relevance))
+                    .map(({ rid }) => rid),
+            });
+        }
+    }
+
+    if (!conflicts.length) {
+        return [];
+    }
+    // fetch the details (ex. evidence) of the conflicting statements only
+    const records = await selectAll(
+        db,
+        { neighbors: 1, target: conflicts.flatMap(({ statements }) => statements) },
+        { user },
+    );
+    const recordsById = {};
+
+    for (const record of records) {
+        recordsById[castRID(record)] = record;
+    }
+
+    return conflicts.map(({ relevances, statements }) => {
+        const found = statements.map((rid) => recordsById[rid]).filter((record) => record);
+        const [{ conditions, subject } = {}] = found;
+        return {
+            conditions, relevances, statements: found, subject,
+        };
+    }).filter(({ statements }) => statements.length > 1);
+};
+
+module.exports = { selectStatementConflicts };
@@ -0,0 +1,229 @@
+/**
+ * Match the statements relevant to a list of (patient) variants and an optional disease
+ */
+const { ParsingError } = require('@bcgsc-pori/graphkb-parser');
+const { schema, util, ValidationError } = require('@bcgsc-pori/graphkb-schema');
+
+const { parse } = require('../query_builder');
+const { OPERATORS } = require('../query_builder/constants');
+const { select, selectAll } = require('./select');
+const { matchVariant, selectSimilarTerms } = require('./variantMatch');
+
+const MAX_MATCH_VARIANTS = 100;
+
+/**
+ * Select the records linked to the given records by the similarity and tree edges
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Array.<string>} rids the record IDs to start from
+ * @param {?string} matchType the class of records to return (any class when null)
+ * @param {User} user the current user
+ */
+const selectRelated = async (db, rids, matchType, user) => select(
+    db,
+    parse({ matchType, queryType: 'similarTo', target: rids }),
+    { user },
+);
+
+const isVariant = (record) => schema.inheritsFrom(record['@class'], 'Variant');
+
+/**
+ * Find the KB variants for a single input variant. Each variant is returned with the reasons
+ * (path) it was matched to the input
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {string} input the variant notation or the record ID of a variant
+ * @param {User} user the current user
+ *
+ * @returns {Object.<string,Array.<string>>} the reasons for each matched variant by record ID
+ * @throws {ValidationError} when the input record ID is not a variant
+ */
+const matchInputVariant = async (db, input, user) => {
+    const matched = {};
+    let related;
+
+    if (util.looksLikeRID(input, false)) {
+        const rid = util.castToRID(input).toString();
+        // the input record is selected with the related records to check it is a variant
+        const records = await selectRelated(db, [rid], null, user);
+        const record = records.find((rec) => util.castToRID(rec['@rid']).toString() === rid);
+
+        if (!record) {
+            return matched;
+        }
+        if (!isVariant(record)) {
+            throw new ValidationError(`the input record (${input}) is a ${record['@class']} not a Variant`);
+        }
+        matched[rid] = [`is the input record ${input}`];
+        related = records.filter(isVariant);
+    } else {
+        const matches = await matchVariant(db, { user, variant: input });
+
+        for (const { matchType, reasons, variant } of matches) {
+            matched[util.castToRID(variant['@rid']).toString()] = [
+                `${matchType} match for ${input}`,
+                ...reasons,
+            ];
+        }
+
+        if (!Object.keys(matched).length) {
+            return matched;
+        }
+        // expand to variants implied by or equivalent to the matched variants
+        related = await selectRelated(db, Object.keys(matched), 'Variant', user);
+    }
+
+    for (const record of related) {
+        const rid = util.castToRID(record['@rid']).toString();
+
+        if (!matched[rid]) {
+            matched[rid] = [
+                `linked to the variant(s) matched for ${input} by similarity or inheritance edges`,
+            ];
+        }
+    }
+    return matched;
+};
+
+/**
+ * Find the diseases related to the input disease
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {string} disease the disease name, sourceId, or record ID
+ * @param {User} user the current user
+ *
+ * @returns {Object.<string,string>} the reason for each matched disease by record ID
+ */
+const matchDisease = async (db, disease, user) => {
+    const matched = {};
+
+    if (util.looksLikeRID(disease, false)) {
+        const records = await selectRelated(db, [disease], 'Disease', user);
+        const target = util.castToRID(disease).toString();
+
+        for (const record of records) {
+            const rid = util.castToRID(record['@rid']).toString();
+            matched[rid] = rid === target
+                ? `disease (${record.displayName || record.name}) is the input record ${disease}`
+                : `disease (${record.displayName || record.name}) is related to ${disease}`;
+        }
+        return matched;
+    }
+    const terms = await selectSimilarTerms(db, 'Disease', disease, user);
+
+    for (const [rid, { direct, name }] of Object.entries(terms)) {
+        matched[rid] = direct
+            ? `disease (${name}) matches ${disease}`
+            : `disease (${name}) is related to ${disease}`;
+    }
+    return matched;
+};
+
+/**
+ * Select all the statements which have any of the given variants as a condition
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Array.<string>} variants the variant record IDs
+ * @param {User} user the current user
+ */
+const selectStatements = async (db, variants, user) => selectAll(db, {
+    filters: { conditions: variants, operator: OPERATORS.CONTAINSANY },
+    neighbors: 1,
+    target: 'Statement',
+}, { user });
+
+/**
+ * Find the statements relevant to a list of variants (and a disease). Each input variant is
+ * matched to the KB variants and expanded by the similarity and tree edges. A statement matches
+ * when all of its variant conditions are matched by the input variants and, when a disease is
+ * given, all of its disease conditions are related to the disease
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Object} opt options
+ * @param {Array.<string>} opt.variants the variant notations (ex. KRAS:p.G12D) or record IDs
+ * @param {string} [opt.disease] the disease name, sourceId, or record ID
+ * @param {User} opt.user the current user
+ *
+ * @returns {Array.<Object>} the statements (and matched conditions) for each input variant
+ */
+const matchStatements = async (db, { variants, disease, user }) => {
+    if (!Array.isArray(variants) || !variants.length) {
+        throw new ValidationError('variants must be a non-empty list');
+    }
+    if (variants.length > MAX_MATCH_VARIANTS) {
+        throw new ValidationError(`variants cannot have more than ${MAX_MATCH_VARIANTS} items`);
+    }
+    if (variants.some((variant) => typeof variant !== 'string' || !variant.trim())) {
+        throw new ValidationError('variants must be variant notations or record IDs');
+    }
+    if (disease !== undefined && disease !== null && (typeof disease !== 'string' || !disease.trim())) {
+        throw new ValidationError('disease must be a disease name, sourceId, or record ID');
+    }
+    const inputs = [];
+
+    for (const [index, variant] of variants.entries()) {
+        try {
+            inputs.push({ input: variant, matched: await matchInputVariant(db, variant, user) });
+        } catch (err) {
+            if (err instanceof ParsingError || err instanceof ValidationError) {
+                throw new ValidationError(`Unable to match variants[${index}] (${variant}): ${err.message}`);
+            }
+            throw err;
+        }
+    }
+    const diseases = disease
+        ? await matchDisease(db, disease, user)
+        : null;
+    const allVariants = new Set(inputs.flatMap(({ matched }) => Object.keys(matched)));
+
+    if (!allVariants.size || (diseases && !Object.keys(diseases).length)) {
+        return inputs.map(({ input }) => ({ input, statements: [] }));
+    }
+    const statements = await selectStatements(db, Array.from(allVariants), user);
+
+    return inputs.map(({ input, matched }) => {
+        const result = [];
+
+        for (const statement of statements) {
+            const conditions = (statement.conditions || []).map((condition) => ({
+                '@class': condition['@class'],
+                '@rid': util.castToRID(condition['@rid'] || condition).toString(),
+                displayName: condition.displayName,
+            }));
+            const variantConditions = conditions.filter(
+                (condition) => schema.inheritsFrom(condition['@class'], 'Variant'),
+            );
+            const diseaseConditions = conditions.filter(
+                (condition) => condition['@class'] === 'Disease',
+            );
+
+            if (
+                !variantConditions.some((condition) => matched[condition['@rid']])
+                || !variantConditions.every((condition) => allVariants.has(condition['@rid']))
+                || (diseases && !diseaseConditions.every((condition) => diseases[condition['@rid']]))
+            ) {
+                continue;
+            }
+            const matches = [];
+
+            for (const condition of variantConditions) {
+                // co-occurring variants may have been matched by another input variant
+                const { matched: matchedBy } = matched[condition['@rid']]
+                    ? { matched }
+                    : inputs.find((other) => other.matched[condition['@rid']]);
+                const path = matchedBy[condition['@rid']];
+                matches.push({ condition, path });
+            }
+
+            if (diseases) {
+                for (const condition of diseaseConditions) {
+                    matches.push({ condition, path: [diseases[condition['@rid']]] });
+                }
+            }
+            result.push({ matches, statement });
+        }
+        return { input, statements: result };
+    });
+};
+
+module.exports = { matchStatements };
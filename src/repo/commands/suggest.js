@@ -0,0 +1,135 @@
+/**
+ * Typeahead suggestions for ontology terms
+ */
+const { schema, util, ValidationError } = require('@bcgsc-pori/graphkb-schema');
+
+const { logger } = require('../logging');
+const { SIMILARITY_EDGES } = require('../query_builder/constants');
+const { castRangeInt } = require('../query_builder/util');
+const { trimRecords } = require('../util');
+const { wrapIfTypeError } = require('./util');
+
+const DEFAULT_SUGGEST_LIMIT = 10;
+const MAX_SUGGEST_LIMIT = 50;
+// the number of prefix matches to consider before the aliases are collapsed
+const SUGGEST_CANDIDATE_LIMIT = 250;
+
+/**
+ * Order the suggestions. Exact matches come first, then current (not deprecated) terms,
+ * then shorter names
+ *
+ * @param {string} term the normalized prefix
+ */
+const compareSuggestions = (term) => (first, second) => {
+    const isExact = (record) => record.name === term || record.sourceId === term;
+
+    if (isExact(first) !== isExact(second)) {
+        return isExact(first)
+            ? -1
+            : 1;
+    }
+    if (Boolean(first.deprecated) !== Boolean(second.deprecated)) {
+        return first.deprecated
+            ? 1
+            : -1;
+    }
+    return (first.name || '').length - (second.name || '').length
+        || (first.name || '').localeCompare(second.name || '');
+};
+
+/**
+ * Suggest ontology terms starting with a given prefix. Terms linked by similarity edges
+ * (ex. aliases) are collapsed so that each concept is only suggested once
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Object} opt options
+ * @param {string} opt.modelName the ontology class to suggest terms from
+ * @param {string} opt.prefix the prefix to match the name or sourceId of the terms
+ * @param {Number} [opt.limit=DEFAULT_SUGGEST_LIMIT] the maximum number of suggestions
+ * @param {User} [opt.user] the current user
+ *
+ * @returns {Array.<Object>} the suggested terms
+ */
+const suggest = async (db, {
+    modelName, prefix, limit = DEFAULT_SUGGEST_LIMIT, user,
+}) => {
+    const model = schema.get(modelName, false);
+
+    if (!model || (model.name !== 'Ontology' && !schema.inheritsFrom(model.name, 'Ontology'))) {
+        throw new ValidationError(`class (${modelName}) must be an ontology class`);
+    }
+    const term = `${prefix || ''}`.trim().toLowerCase();
+
+    if (!term) {
+        throw new ValidationError('prefix must be a non-empty string');
+    }
+    const pageSize = castRangeInt(limit, 1, MAX_SUGGEST_LIMIT);
+
+    const edges = SIMILARITY_EDGES.map((edge) => `'${edge}'`).join(', ');
+    const statement = `SELECT @rid, @class, deprecated, displayName, groupRestrictions, name, sourceId,
+            source:{@rid, @class, name, groupRestrictions}, both(${edges}) AS similar
+        FROM (
+            SELECT expand(UNIONALL($exact, $prefixed))
+            LET $exact = (
+                    SELECT FROM ${model.name} WHERE (name = :term OR sourceId = :term) AND deletedAt IS NULL
+                ),
+                $prefixed = (
+                    SELECT FROM ${model.name} WHERE (name LIKE :prefix OR sourceId LIKE :prefix) AND deletedAt IS NULL
+                    LIMIT ${SUGGEST_CANDIDATE_LIMIT}
+                )
+        )`;
+    logger.log('debug', statement);
+    let recordList;
+
+    try {
+        recordList = await db.query(statement, { params: { prefix: `${term}%`, term } }).all();
+    } catch (err) {
+        logger.log('debug', `Error in executing the query statement (${statement})`);
+        throw wrapIfTypeError({ ...err, sql: statement });
+    }
+    recordList = await trimRecords(recordList, { db, user });
+
+    // the prefix is not escaped in the LIKE pattern so check the matches here
+    const candidates = recordList.filter(
+        (record) => [record.name, record.sourceId].some(
+            (value) => typeof value === 'string' && value.toLowerCase().startsWith(term),
+        ),
+    );
+    candidates.sort(compareSuggestions(term));
+
+    const suggested = new Set();
+    const result = [];
+
+    for (const record of candidates) {
+        const rid = util.castToRID(record['@rid']).toString();
+
+        if (suggested.has(rid)) {
+            continue;
+        }
+        suggested.add(rid);
+
+        for (const similar of record.similar || []) {
+            suggested.add(util.castToRID(similar).toString());
+        }
+        result.push({
+            '@class': record['@class'],
+            '@rid': rid,
+            deprecated: Boolean(record.deprecated),
+            displayName: record.displayName,
+            source: record.source
+                ? { '@rid': util.castToRID(record.source).toString(), name: record.source.name }
+                : null,
+        });
+
+        if (result.length >= pageSize) {
+            break;
+        }
+    }
+    return result;
+};
+
+module.exports = {
+    DEFAULT_SUGGEST_LIMIT,
+    MAX_SUGGEST_LIMIT,
+    suggest,
+};
@@ -7,13 +7,14 @@
 const _ = require('lodash');
 
 const {
-    util: { castToRID, timeStampNow },
+    util: { castToRID, looksLikeRID, timeStampNow },
     ValidationError,
     constants: { PERMISSIONS },
     schema: schemaDefn,
 } = require('@bcgsc-pori/graphkb-schema');
 
 const { logger } = require('../logging');
+const { invalidateCache } = require('../cache');
 
 const {
     NotImplementedError,
@@ -23,9 +24,13 @@ const {
 const {
     omitDBAttributes, wrapIfTypeError, hasRecordAccess,
 } = require('./util');
-const { select, fetchDisplayName } = require('./select');
+const { diffRecords } = require('../util');
+const {
+    select, selectHistory, fetchDisplayName, HISTORY_ATTRIBUTES,
+} = require('./select');
 const { nestedProjection } = require('../query_builder/projection');
-const { parse } = require('../query_builder');
+const { MAX_LIMIT, OPERATORS } = require('../query_builder/constants');
+const { parse, parseRecord } = require('../query_builder');
 const { checkUserAccessFor } = require('../../middleware/auth');
 
 /**
@@ -263,9 +268,11 @@ const modifyEdgeTx = async (db, { original, changes, user }) => {
  */
 const deleteNodeTx = async (db, { original, user }) => {
     const userRID = castToRID(user);
+    // use a single timestamp so the edges deleted with this node can be found to restore them
+    const deletedAt = timeStampNow();
     const commit = db
         .let('deleted', (tx) => tx.update(original['@rid'])
-            .set({ deletedAt: timeStampNow(), deletedBy: userRID })
+            .set({ deletedAt, deletedBy: userRID })
             .where({ createdAt: original.createdAt }));
     const updatedVertices = {}; // mapping of rid string to let variable name
     let edgeCount = 0;
@@ -286,7 +293,7 @@ const deleteNodeTx = async (db, { original, user }) => {
             const targetNode = value[direction];
             const target = castToRID(targetNode);
             const targetContent = omitDBAttributes(targetNode);
-            targetContent.deletedAt = timeStampNow();
+            targetContent.deletedAt = deletedAt;
             targetContent.deletedBy = userRID;
 
             // clean any nested content
@@ -304,7 +311,7 @@ const deleteNodeTx = async (db, { original, user }) => {
                         .set(targetContent))
                     .let(`vertex${Object.keys(updatedVertices).length}`, (tx) => tx.update(target)
                         .set(`history = $${name}[0]`)
-                        .set({ createdAt: timeStampNow(), createdBy: userRID })
+                        .set({ createdAt: deletedAt, createdBy: userRID })
                         .where({ createdAt: targetContent.createdAt })
                         .return('AFTER @rid'));
                 updatedVertices[target.toString()] = name;
@@ -313,7 +320,7 @@ const deleteNodeTx = async (db, { original, user }) => {
             // move the current edge to point to the copied node
             edgeCount += 1;
             commit.let(`edge${edgeCount}`, (tx) => tx.update(castToRID(value))
-                .set({ deletedAt: timeStampNow(), deletedBy: userRID })
+                .set({ deletedAt, deletedBy: userRID })
                 .set(`${direction} = $${updatedVertices[target.toString()]}[0]`)
                 .where({ createdAt: value.createdAt })
                 .return('AFTER @rid'));
@@ -323,6 +330,37 @@ const deleteNodeTx = async (db, { original, user }) => {
     return commit.commit();
 };
 
+/**
+ * Get the classes of the records written by the transaction modifying a record. Deleting a
+ * node also deletes its edges and copies the nodes on the other side of them. Modifying an
+ * edge copies the nodes it links
+ *
+ * @param {Object} original the original record (edges and linked nodes must be fetched)
+ * @param {boolean} deleted flag to indicate the record is being deleted
+ *
+ * @returns {?Array.<string>} the class names or null if they cannot all be determined
+ */
+const modifiedClasses = (original, deleted) => {
+    const records = [original];
+
+    if (schemaDefn.get(original['@class']).isEdge) {
+        records.push(original.out, original.in);
+    } else if (deleted) {
+        for (const [attr, edges] of Object.entries(original)) {
+            if (attr.startsWith('out_')) {
+                records.push(...edges.flatMap((edge) => [edge, edge.in]));
+            } else if (attr.startsWith('in_')) {
+                records.push(...edges.flatMap((edge) => [edge, edge.out]));
+            }
+        }
+    }
+
+    if (records.some((record) => !record || !record['@class'])) {
+        return null;
+    }
+    return _.uniq(records.map((record) => record['@class']));
+};
+
 /**
  * Check if the record to be deleted is used by some links
  *
@@ -453,6 +491,7 @@ const modify = async (db, {
             if (count !== 1) {
                 throw new Error('Failed to modify');
             }
+            await invalidateCache(model.name);
             return count;
         } catch (err) {
             throw wrapIfTypeError(err);
@@ -479,6 +518,8 @@ const modify = async (db, {
             if (!result) {
                 throw new Error('Failed to modify');
             }
+            // all the classes are invalidated when the linked records were not fetched
+            await invalidateCache(modifiedClasses(original, changes === null));
             return result;
         } catch (err) {
             err.sql = commit.buildStatement();
@@ -504,6 +545,333 @@ const update = async (db, opt) => {
     return modify(db, opt);
 };
 
+/**
+ * Revert a record to the content of one of its previous versions. The revert is applied as a
+ * regular update so that it is also recorded in the history of the record. Edges cannot be
+ * updated so they cannot be reverted
+ *
+ * @param {orientjs.Db} db orientjs database connection
+ * @param {Object} opt options
+ * @param {string} opt.target the record ID of the current version of the record
+ * @param {string} opt.version the record ID of the previous version to revert to
+ * @param {string} opt.modelName the class model the record must belong to
+ * @param {Object} opt.user the user reverting the record
+ */
+const revert = async (db, {
+    target, version, modelName, user,
+}) => {
+    const model = schemaDefn.get(modelName);
+
+    if (model.isEdge) {
+        throw new NotImplementedError(`Cannot revert ${model.name} records. Edges cannot be updated, delete and re-create the edge instead`);
+    }
+    if (!version || !looksLikeRID(version)) {
+        throw new ValidationError(`version must be the record ID of a previous version (${version})`);
+    }
+    const rid = castToRID(target).toString();
+    const versionId = castToRID(version).toString();
+    const [current, ...previous] = await selectHistory(db, { modelName, target: rid, user });
+
+    if (current.deletedAt) {
+        throw new ValidationError(`Cannot revert ${rid}. Only the current version of a record can be reverted`);
+    }
+    if (schemaDefn.get(current['@class']).isEdge) {
+        throw new NotImplementedError(`Cannot revert ${rid}. Edges cannot be updated, delete and re-create the edge instead`);
+    }
+    const match = previous.find((v) => castToRID(v['@rid']).toString() === versionId);
+
+    if (!match) {
+        throw new ValidationError(`${versionId} is not a previous version of the record ${rid}`);
+    }
+    const diff = diffRecords(current.record, match.record, { ignore: HISTORY_ATTRIBUTES });
+
+    if (_.isEmpty(diff)) {
+        throw new ValidationError(`Nothing to revert. The content of ${versionId} is the same as the current version`);
+    }
+
+    return update(db, {
+        changes: _.mapValues(diff, (value) => value.new),
+        modelName: current['@class'],
+        query: parse({ target: [rid] }),
+        user,
+    });
+};
+
+/**
+ * Find the edges which were deleted along with a node (same deletedAt and deletedBy) and the
+ * current version of the node on the other side of each edge
+ *
+ * @param {orientjs.Db} db orientjs database connection
+ * @param {Object} original the deleted node (edges must be fetched)
+ *
+ * @returns {Array.<Object>} the edge, the record IDs to link and the reason if it cannot be restored
+ */
+const deletedNodeEdges = async (db, original) => {
+    const deletedBy = castToRID(original.deletedBy).toString();
+    const edges = [];
+
+    for (const attr of Object.keys(original)) {
+        let direction;
+
+        if (attr.startsWith('out_')) {
+            direction = 'in';
+        } else if (attr.startsWith('in_')) {
+            direction = 'out';
+        } else {
+            continue;
+        }
+
+        for (const edge of original[attr]) {
+            if (edge.deletedAt !== original.deletedAt
+                || !edge.deletedBy
+                || castToRID(edge.deletedBy).toString() !== deletedBy
+            ) {
+                continue;
+            }
+            // the edge was moved to a history copy of the neighbor, which shares its uuid
+            const [neighbor] = await db.query(
+                'SELECT @rid FROM V WHERE uuid = :uuid AND deletedAt IS NULL',
+                { params: { uuid: edge[direction].uuid } },
+            ).all();
+            const outcome = { edge };
+
+            if (!neighbor) {
+                outcome.reason = `the linked record (${castToRID(edge[direction])}) has been deleted`;
+            } else {
+                const ends = {
+                    [direction]: castToRID(neighbor['@rid']),
+                    [direction === 'in'
+                        ? 'out'
+                        : 'in']: castToRID(original['@rid']),
+                };
+                const [existing] = await db.query(
+                    `SELECT @rid FROM ${edge['@class']} WHERE out = :out AND in = :in AND deletedAt IS NULL`,
+                    { params: ends },
+                ).all();
+
+                if (existing) {
+                    outcome.reason = `an equivalent edge (${castToRID(existing['@rid'])}) already exists`;
+                } else {
+                    Object.assign(outcome, ends);
+                }
+            }
+            edges.push(outcome);
+        }
+    }
+    return edges;
+};
+
+/**
+ * Restore a deleted node. The deleted version is copied as history (as for an update) and the
+ * node is re-activated. Optionally re-creates the edges which were deleted along with the node
+ *
+ * @param {orientjs.Db} db orientjs database connection
+ * @param {Object} opt options
+ * @param {string} opt.target the record ID of the deleted record
+ * @param {string} opt.modelName the class model the record must belong to
+ * @param {Object} opt.user the user restoring the record
+ * @param {boolean} [opt.edges=false] re-create the edges deleted with the record
+ *
+ * @returns {Object} the restored record (result) and the edges restored/skipped
+ */
+const restore = async (db, {
+    target, modelName, user, edges: restoreEdges = false,
+}) => {
+    const model = schemaDefn.get(modelName);
+
+    if (!target || !model || !user) {
+        throw new ValidationError('missing required argument');
+    }
+    if (model.isEdge) {
+        throw new NotImplementedError('Cannot restore edges. Restore one of the linked records instead');
+    }
+    const rid = castToRID(target).toString();
+    const query = parse({
+        filters: { '@this': model.name, operator: OPERATORS.INSTANCEOF },
+        history: true,
+        target: [rid],
+    });
+    query.projection = nestedProjection(2);
+    const [original] = await select(db, query, { exactlyN: 1 });
+
+    if (!hasRecordAccess(user, original)) {
+        throw new PermissionError(`The user '${user.name}' does not have sufficient permissions to interact with record ${rid}`);
+    }
+    if (!original.deletedAt) {
+        throw new ValidationError(`Cannot restore ${rid}. The record has not been deleted`);
+    }
+    const [{ count }] = await db.query(
+        `SELECT count(*) AS count FROM ${original['@class']} WHERE uuid = :uuid AND (deletedAt IS NULL OR history = :rid)`,
+        { params: { rid: castToRID(rid), uuid: original.uuid } },
+    ).all();
+
+    if (count > 0) {
+        throw new ValidationError(`Cannot restore ${rid}. The record is a previous version of another record`);
+    }
+    const content = schemaDefn.formatRecord(original['@class'], omitDBAttributes(original), {
+        addDefaults: false,
+        dropExtra: true,
+    });
+
+    if (schemaDefn.activeProperties(original['@class'])) {
+        // restoring must not create a duplicate of an active record (same check as create)
+        const records = await select(db, parseRecord(original['@class'], content, { activeIndexOnly: true }));
+
+        if (records.length) {
+            throw new RecordConflictError(`Cannot restore the record. Violates the unique constraint (${original['@class']}.active)`);
+        }
+    }
+    const linked = restoreEdges && schemaDefn.inheritsFrom(original['@class'], 'V')
+        ? await deletedNodeEdges(db, original)
+        : [];
+
+    const userRID = castToRID(user);
+    const changes = { deletedAt: null, deletedBy: null };
+    let commit;
+
+    if (schemaDefn.inheritsFrom(original['@class'], 'V')) {
+        changes.updatedAt = timeStampNow();
+        changes.updatedBy = userRID;
+        commit = db
+            .let('copy', (tx) => tx.create('VERTEX', original['@class'])
+                .set(content));
+    } else {
+        changes.createdAt = timeStampNow();
+        changes.createdBy = userRID;
+        commit = db
+            .let('copy', (tx) => tx.insert().into(original['@class'])
+                .set(content));
+    }
+    commit
+        .let('restored', (tx) => tx.update(original['@rid'])
+            .set(changes)
+            .set('history = $copy[0]')
+            .where({ deletedAt: original.deletedAt })
+            .return('AFTER @rid'));
+
+    linked.filter((outcome) => !outcome.reason).forEach(({ edge, out, in: tgt }, index) => {
+        // re-created as a new edge (same as create) since the deleted edge links the history copies
+        const {
+            out: from, in: to, '@class': className, ...edgeContent
+        } = schemaDefn.formatRecord(edge['@class'], {
+            ..._.omit(omitDBAttributes(edge), ['createdAt', 'deletedAt', 'deletedBy', 'history', 'uuid']),
+            createdBy: userRID,
+            in: tgt,
+            out,
+        }, { addDefaults: true, dropExtra: true });
+        commit.let(`edge${index}`, (tx) => tx.create('EDGE', edge['@class'])
+            .from(from)
+            .to(to)
+            .set(edgeContent));
+    });
+    commit.let('result', (tx) => tx.select().from(original['@class']).where({ '@rid': original['@rid'] }));
+    commit.commit();
+    logger.log('debug', commit.buildStatement());
+
+    try {
+        const result = await commit.return('$result').one();
+
+        if (!result) {
+            throw new Error('Failed to restore');
+        }
+        // restored edges may link records of any class
+        await invalidateCache(linked.length
+            ? null
+            : original['@class']);
+        return {
+            restoredEdges: linked.filter((outcome) => !outcome.reason)
+                .map(({ edge }) => castToRID(edge).toString()),
+            result,
+            skippedEdges: linked.filter((outcome) => outcome.reason)
+                .map(({ edge, reason }) => ({ '@rid': castToRID(edge).toString(), reason })),
+        };
+    } catch (err) {
+        err.sql = commit.buildStatement();
+        throw wrapIfTypeError(err);
+    }
+};
+
+/**
+ * Update all records matched by a query. Each record is updated separately (as it would be
+ * for a single update) so that a history copy is created for every record. Queries using the
+ * default limit must not match more than MAX_LIMIT records since the records past the limit
+ * would not be updated
+ *
+ * @param {orientjs.Db} db orientjs database connection
+ * @param {Object} opt options
+ * @param {Query} opt.query the selection criteria for the records to be updated
+ * @param {Object} opt.changes the new content to be set for each record
+ * @param {string} opt.modelName the class model all matched records must belong to
+ * @param {Object} opt.user the user updating the records
+ * @param {boolean} [opt.dryRun=false] do not update any records, return the expected changes instead
+ *
+ * @returns {Array.<Object>} the outcome for each record matched by the query. Has the updated record (result), the expected changes (dryRun) or an error
+ * @throws {ValidationError} when the query (with the default limit) matches more than MAX_LIMIT records
+ */
+const updateMany = async (db, {
+    query, changes, modelName, user, dryRun = false,
+}) => {
+    const model = schemaDefn.get(modelName);
+
+    if (!query || !model || !user) {
+        throw new ValidationError('missing required argument');
+    }
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || _.isEmpty(changes)) {
+        throw new ValidationError('changes must be a non-empty object');
+    }
+    if (model.isEdge) {
+        throw new NotImplementedError('Cannot update edges. Waiting on external fix: https://github.com/orientechnologies/orientdb/issues/8444');
+    }
+    const records = await select(db, query, { user });
+
+    if (query.limit === MAX_LIMIT && records.length >= MAX_LIMIT) {
+        // cannot tell if there are more matching records past the limit which would not be updated
+        throw new ValidationError(`query matched ${MAX_LIMIT} or more records. Cannot update more than ${MAX_LIMIT} records at a time, use a more specific query`);
+    }
+
+    // all records must be checked before any are updated
+    for (const record of records) {
+        if (record['@class'] !== model.name && !schemaDefn.inheritsFrom(record['@class'], model.name)) {
+            throw new ValidationError(`query matched the record ${record['@rid']} which is not a ${model.name} record (${record['@class']})`);
+        }
+    }
+    const outcomes = [];
+
+    for (const record of records) {
+        const rid = castToRID(record['@rid']).toString();
+
+        try {
+            if (!hasRecordAccess(user, record)) {
+                throw new PermissionError(`The user '${user.name}' does not have sufficient permissions to interact with record ${rid}`);
+            }
+            if (dryRun) {
+                const formattedChanges = schemaDefn.formatRecord(record['@class'], changes, {
+                    addDefaults: false,
+                    dropExtra: false,
+                    ignoreExtra: false,
+                    ignoreMissing: true,
+                });
+                outcomes.push({
+                    '@rid': rid,
+                    changes: diffRecords(record, { ...record, ...formattedChanges }),
+                });
+            } else {
+                const result = await update(db, {
+                    changes: _.cloneDeep(changes),
+                    modelName: record['@class'],
+                    query: parse({ target: [rid] }),
+                    user,
+                });
+                outcomes.push({ '@rid': rid, result });
+            }
+        } catch (err) {
+            logger.log('debug', err.toString());
+            outcomes.push({ '@rid': rid, error: err });
+        }
+    }
+    return outcomes;
+};
+
 /**
  * Delete a record by marking it deleted. For node, delete the connecting edges as well.
  *
@@ -518,5 +886,8 @@ const remove = async (db, opt) => modify(db, { ...opt, changes: null });
 module.exports = {
     modifyEdgeTx,
     remove,
+    restore,
+    revert,
     update,
+    updateMany,
 };
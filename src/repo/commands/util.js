@@ -7,6 +7,7 @@ const {
     RecordConflictError,
     DatabaseConnectionError,
     DatabaseRequestError,
+    QueryTimeoutError,
 } = require('../error');
 
 /**
@@ -24,6 +25,8 @@ const wrapIfTypeError = (err) => {
                 return new NoRecordFoundError(err);
             } if (type.includes('odatabaseexception')) {
                 return new DatabaseConnectionError(err);
+            } if (type.includes('otimeoutexception')) {
+                return new QueryTimeoutError(err);
             }
         }
         if (err.name) {
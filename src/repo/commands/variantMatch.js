@@ -0,0 +1,245 @@
+/**
+ * Match a sequenced variant to the (positional and category) variants in GraphKB
+ */
+const { util, ValidationError } = require('@bcgsc-pori/graphkb-schema');
+const { parseVariant } = require('@bcgsc-pori/graphkb-parser');
+
+const { parse } = require('../query_builder');
+const { buildBreakFilters, buildLooseSearch, buildSequenceFilters } = require('../query_builder/variant');
+const { select, selectAll } = require('./select');
+
+const BREAKPOINTS = ['break1Start', 'break1End', 'break2Start', 'break2End'];
+
+// the order matches are returned in (most specific first)
+const MATCH_TYPES = ['exact', 'overlap', 'category'];
+
+/**
+ * Read the variant to be matched from the request content
+ *
+ * @param {string|Object} variant the variant notation or the parsed variant
+ *
+ * @returns {Object} the parsed variant
+ * @throws {ParsingError} when the variant notation cannot be parsed
+ * @throws {ValidationError} when the parsed variant is missing the gene or type
+ */
+const parseInputVariant = (variant) => {
+    const parsed = typeof variant === 'string'
+        ? parseVariant(variant, true)
+        : variant;
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new ValidationError('variant must be a variant notation or a parsed variant');
+    }
+
+    for (const name of ['reference1', 'type']) {
+        if (!parsed[name] || typeof parsed[name] !== 'string') {
+            throw new ValidationError(`variant.${name} is required and must be a string`);
+        }
+    }
+
+    if (![undefined, null].includes(parsed.reference2) && typeof parsed.reference2 !== 'string') {
+        throw new ValidationError('variant.reference2 must be a string');
+    }
+
+    for (const name of BREAKPOINTS) {
+        if (parsed[name] && (typeof parsed[name] !== 'object' || !parsed[name]['@class'])) {
+            throw new ValidationError(`variant.${name} must be a position with a @class`);
+        }
+    }
+
+    if (parsed.break1End && !parsed.break1Start) {
+        throw new ValidationError('variant.break1End cannot be given without variant.break1Start');
+    }
+    return parsed;
+};
+
+/**
+ * Select the terms similar to the given term name. The terms which are a direct match for the
+ * name are flagged so that the reason for a match can be given
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {string} modelName the class of the terms
+ * @param {string} name the term name or sourceId
+ * @param {User} user the current user
+ *
+ * @returns {Object.<string,Object>} the terms by record ID
+ */
+const selectSimilarTerms = async (db, modelName, name, user) => {
+    const records = await select(db, parse(buildLooseSearch(modelName, name)), { user });
+    const term = name.trim().toLowerCase();
+    const terms = {};
+
+    for (const record of records) {
+        terms[util.castToRID(record['@rid']).toString()] = {
+            direct: [record.name, record.sourceId].some(
+                (value) => typeof value === 'string' && value.toLowerCase() === term,
+            ),
+            name: record.displayName || record.name,
+        };
+    }
+    return terms;
+};
+
+const valueOrNull = (value) => (value === undefined
+    ? null
+    : value);
+
+/**
+ * Check if two positions (or two missing positions) are the same
+ *
+ * @param {?Object} first the first position
+ * @param {?Object} second the second position
+ */
+const samePosition = (first, second) => {
+    if (!first || !second) {
+        return !first && !second;
+    }
+    return ['@class', 'pos', 'arm', 'majorBand', 'minorBand'].every(
+        (attr) => valueOrNull(first[attr]) === valueOrNull(second[attr]),
+    );
+};
+
+/**
+ * Describe why a variant record matched the input variant
+ *
+ * @param {Object} record the matched variant record
+ * @param {Object} parsed the input variant
+ * @param {Object} terms the terms similar to the input variant (by record ID)
+ * @param {Object} terms.features1 the features similar to the input reference1
+ * @param {Object} terms.features2 the features similar to the input reference2
+ * @param {Object} terms.types the vocabulary terms related to the input type
+ *
+ * @returns {Object} the match type and the reasons for the match
+ */
+const describeMatch = (record, parsed, { features1, features2, types }) => {
+    const reasons = [];
+
+    const describeTerm = (attr, terms, input) => {
+        const rid = util.castToRID(record[attr]).toString();
+        const { direct, name } = terms[rid] || { direct: false, name: rid };
+
+        if (direct) {
+            reasons.push(`${attr} (${name}) matches ${input}`);
+        } else {
+            reasons.push(`${attr} (${name}) is similar to ${input}`);
+        }
+    };
+
+    for (const attr of ['reference1', 'reference2']) {
+        if (record[attr]) {
+            // category variants of fusions may be defined on either partner
+            if (features1[util.castToRID(record[attr]).toString()]) {
+                describeTerm(attr, features1, parsed.reference1);
+            } else {
+                describeTerm(attr, features2, parsed.reference2);
+            }
+        }
+    }
+    describeTerm('type', types, parsed.type);
+
+    if (record['@class'] === 'CategoryVariant') {
+        reasons.push('category variant (no positions) of the matched gene(s)');
+        return { matchType: 'category', reasons };
+    }
+    const sameSequence = ['refSeq', 'untemplatedSeq', 'untemplatedSeqSize'].every(
+        (name) => parsed[name] === undefined
+            || `${record[name]}`.toLowerCase() === `${parsed[name]}`.toLowerCase(),
+    );
+
+    if (sameSequence && BREAKPOINTS.every((name) => samePosition(record[name], parsed[name]))) {
+        reasons.push('positions and sequence are the same');
+        return { matchType: 'exact', reasons };
+    }
+    const positions = [record.break1Repr, record.break2Repr].filter((repr) => repr);
+    reasons.push(`positions (${positions.join(', ')}) overlap the input positions`);
+    return { matchType: 'overlap', reasons };
+};
+
+/**
+ * Find the variants in GraphKB which match a sequenced variant. This includes variants on similar
+ * genes (ex. aliases) with related types (ex. a missense mutation is a mutation), positional
+ * variants with overlapping positions, and category variants (ex. KRAS mutation). For fusions,
+ * category variants may be defined on either partner
+ *
+ * @param {orientjs.Db} db Database connection from orientjs
+ * @param {Object} opt options
+ * @param {string|Object} opt.variant the variant notation (ex. KRAS:p.G12D) or the parsed variant
+ * @param {User} opt.user the current user
+ *
+ * @returns {Array.<Object>} the matched variants with the type of and reasons for each match
+ */
+const matchVariant = async (db, { variant, user }) => {
+    const parsed = parseInputVariant(variant);
+    const features1 = await selectSimilarTerms(db, 'Feature', parsed.reference1, user);
+    const features2 = parsed.reference2
+        ? await selectSimilarTerms(db, 'Feature', parsed.reference2, user)
+        : {};
+    const types = await selectSimilarTerms(db, 'Vocabulary', parsed.type, user);
+
+    if (
+        !Object.keys(features1).length
+        || !Object.keys(types).length
+        || (parsed.reference2 && !Object.keys(features2).length)
+    ) {
+        return [];
+    }
+    const typeFilter = { type: Object.keys(types) };
+    const queries = [];
+
+    if (parsed.reference2) {
+        // category variants may be defined for either fusion partner
+        const partners = Object.keys({ ...features1, ...features2 });
+        queries.push({
+            filters: {
+                AND: [
+                    { reference1: partners },
+                    { OR: [{ reference2: null }, { reference2: partners }] },
+                    typeFilter,
+                ],
+            },
+            target: 'CategoryVariant',
+        });
+    } else {
+        queries.push({
+            filters: {
+                AND: [{ reference1: Object.keys(features1) }, { reference2: null }, typeFilter],
+            },
+            target: 'CategoryVariant',
+        });
+    }
+
+    if (parsed.break1Start) {
+        queries.push({
+            filters: {
+                AND: [
+                    { reference1: Object.keys(features1) },
+                    parsed.reference2
+                        ? { reference2: Object.keys(features2) }
+                        : { reference2: null },
+                    typeFilter,
+                    ...buildSequenceFilters(parsed),
+                    ...buildBreakFilters(parsed),
+                ],
+            },
+            target: 'PositionalVariant',
+        });
+    }
+    const result = [];
+
+    for (const query of queries) {
+        // genes may have more variants than fit in a single page of results
+        const records = await selectAll(db, query, { user });
+
+        for (const record of records) {
+            result.push({
+                ...describeMatch(record, parsed, { features1, features2, types }),
+                variant: record,
+            });
+        }
+    }
+    const order = (match) => MATCH_TYPES.indexOf(match.matchType);
+    result.sort((first, second) => order(first) - order(second));
+    return result;
+};
+
+module.exports = { matchVariant, selectSimilarTerms };
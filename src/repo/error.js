@@ -21,6 +21,10 @@ class DatabaseConnectionError extends ErrorMixin {}
 
 class DatabaseRequestError extends ErrorMixin {}
 
+class QueryTimeoutError extends ErrorMixin {}
+
+class QueryCancelledError extends ErrorMixin {}
+
 module.exports = {
     AuthenticationError,
     ControlledVocabularyError,
@@ -32,6 +36,8 @@ module.exports = {
     NotImplementedError,
     ParsingError,
     PermissionError,
+    QueryCancelledError,
+    QueryTimeoutError,
     RecordConflictError,
     ValidationError,
 };
@@ -4,7 +4,7 @@ const { util } = require('@bcgsc-pori/graphkb-schema');
 
 const { logger } = require('./logging');
 const { loadSchema, createSchema } = require('./schema');
-const { migrate } = require('./migrate');
+const { migrate, migrateSavedQueries } = require('./migrate');
 const { createUser, update, getUserByName } = require('./commands');
 const { RecordConflictError } = require('./error');
 const { parseRecord } = require('./query_builder');
@@ -156,6 +156,7 @@ const connectDB = async ({
     // check if migration is required
     try {
         await migrate(session, { checkOnly: !GKB_DB_MIGRATE });
+        await migrateSavedQueries(session, { checkOnly: !GKB_DB_MIGRATE });
         // close and re-open the session (so that the db class models are updated)
         await session.close();
         session = await pool.acquire();
@@ -18,6 +18,7 @@ const { PERMISSIONS } = constants;
 const { logger } = require('../logging');
 const { createPropertyInDb, createModelInDb } = require('../model');
 const { generateDefaultGroups, DEFAULT_LICENSE_CONTENT } = require('../schema');
+const { createSavedQueryClass, hasSavedQueryClass } = require('../commands/savedQuery');
 
 const _version = require('./version');
 
@@ -711,6 +712,25 @@ const migrate = async (db, opt = {}) => {
     }
 };
 
+/**
+ * Creates the saved query table for databases created before saved queries were added. Saved
+ * queries are not part of the schema definition so this does not depend on the schema version
+ *
+ * @param {orientjs.Db} db the database connection
+ * @param {Object} opt options
+ * @param {boolean} [opt.checkOnly=false] throw an error instead of creating the missing table
+ */
+const migrateSavedQueries = async (db, opt = {}) => {
+    const { checkOnly = false } = opt;
+
+    if (await hasSavedQueryClass(db)) {
+        return;
+    } if (checkOnly) {
+        throw new Error('The SavedQuery table does not exist and requires migration');
+    }
+    await createSavedQueryClass(db);
+};
+
 module.exports = {
-    migrate, requiresMigration,
+    migrate, migrateSavedQueries, requiresMigration,
 };
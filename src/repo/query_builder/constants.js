@@ -16,6 +16,14 @@ const MAX_TRAVEL_DEPTH = 50;
  * @default
  */
 const MAX_LIMIT = 1000;
+/**
+ * the maximum length of a LIKE pattern or regular expression (MATCHES) in a comparison
+ *
+ * @constant
+ * @type {Number}
+ * @default
+ */
+const MAX_PATTERN_LENGTH = 250;
 
 /**
  * @constant
@@ -28,6 +36,7 @@ const PARAM_PREFIX = 'param';
  * operators to be used in generating SQL statements
  * @namespace
  * @property {string} EQ equal to
+ * @property {string} EQI case-insensitive equal to
  * @property {string} CONTAINS
  * @property {string} CONTAINSALL
  * @property {string} CONTAINSTEXT
@@ -37,8 +46,11 @@ const PARAM_PREFIX = 'param';
  * @property {string} LTE
  * @property {string} LT
  * @property {string} IS
+ * @property {string} LIKE pattern match where % matches any characters and _ matches a single character
+ * @property {string} MATCHES regular expression match against the entire value
  * @property {string} OR
  * @property {string} AND
+ * @property {string} NOT
  */
 const OPERATORS = {
     AND: 'AND',
@@ -47,16 +59,48 @@ const OPERATORS = {
     CONTAINSANY: 'CONTAINSANY',
     CONTAINSTEXT: 'CONTAINSTEXT',
     EQ: '=',
+    EQI: 'EQI',
     GT: '>',
     GTE: '>=',
     IN: 'IN',
     INSTANCEOF: 'INSTANCEOF',
     IS: 'IS',
+    LIKE: 'LIKE',
     LT: '<',
     LTE: '<=',
+    MATCHES: 'MATCHES',
+    NOT: 'NOT',
     OR: 'OR',
 };
 
+/**
+ * the base relevance score for each kind of keyword match. Partial and edit-distance matches
+ * add a fraction (< 1) to the base score depending on how close the match is
+ *
+ * @namespace
+ * @property {Number} EXACT the name (or displayName) is the keyword
+ * @property {Number} ALIAS the name of an alias is the keyword
+ * @property {Number} SOURCE_ID the sourceId is the keyword
+ * @property {Number} PARTIAL the name, displayName, or sourceId contains every word of the keyword
+ * @property {Number} FUZZY the keyword is within a small edit distance of the name, sourceId, or an alias
+ */
+const RELEVANCE = {
+    ALIAS: 4,
+    EXACT: 5,
+    FUZZY: 1,
+    PARTIAL: 2,
+    SOURCE_ID: 3,
+};
+
+/**
+ * the property the alias names are projected as for ranking (removed after ranking)
+ *
+ * @constant
+ * @type {string}
+ * @default
+ */
+const RANKING_ALIASES = 'rankingAliases';
+
 const DIRECTIONS = ['out', 'in', 'both'];
 
 const TREE_EDGES = ['SubClassOf', 'ElementOf', 'Infers'];
@@ -73,10 +117,13 @@ module.exports = {
     DIRECTIONS,
     MAX_LIMIT,
     MAX_NEIGHBORS,
+    MAX_PATTERN_LENGTH,
     MAX_TRAVEL_DEPTH,
     MIN_WORD_SIZE: 3,
     OPERATORS,
     PARAM_PREFIX,
+    RANKING_ALIASES,
+    RELEVANCE,
     SIMILARITY_EDGES,
     TREE_EDGES,
 };
@@ -17,15 +17,19 @@ const {
 const { quoteWrap } = require('../util');
 
 const {
+    DIRECTIONS,
     MAX_TRAVEL_DEPTH,
     MAX_NEIGHBORS,
     DEFAULT_NEIGHBORS,
+    MAX_LIMIT,
     OPERATORS,
     MIN_WORD_SIZE,
     SIMILARITY_EDGES,
     TREE_EDGES,
 } = require('./constants');
-const { castRangeInt } = require('./util');
+const { castBoolean, castRangeInt, queryToJSON } = require('./util');
+const { fuzzyFragments, searchesTermNames } = require('./ranking');
+const { buildBreakFilters, buildLooseSearch, buildSequenceFilters } = require('./variant');
 
 const disambiguationClause = (cond, edges = SIMILARITY_EDGES) => `TRAVERSE both(${edges.map((e) => `'${e}'`).join(', ')}) FROM ${cond} MAXDEPTH ${MAX_NEIGHBORS}`;
 
@@ -201,19 +205,6 @@ const descendants = (opt) => {
     return treeQuery(opt);
 };
 
-const buildLooseSearch = (cls, name) => ({
-    queryType: 'similarTo',
-    target: {
-        filters: {
-            OR: [
-                { name },
-                { sourceId: name },
-            ],
-        },
-        target: cls,
-    },
-});
-
 const buildHgvsQuery = (hgvsInput) => {
     const parsed = parseVariant(hgvsInput);
     const payload = {
@@ -231,79 +222,11 @@ const buildHgvsQuery = (hgvsInput) => {
     };
 
     if (parsed.reference2) {
-        payload.filters.AND.push(buildLooseSearch(parsed.reference2));
+        payload.filters.AND.push({ reference2: buildLooseSearch('Feature', parsed.reference2) });
     } else {
         payload.filters.AND.push({ reference2: null });
     }
-
-    // sequence property filters
-    for (const name of ['refSeq', 'untemplatedSeq', 'untemplatedSeqSize']) {
-        if (parsed[name] !== undefined) {
-            const filters = {
-                OR: [
-                    { [name]: parsed[name] },
-                    { [name]: null },
-                ],
-            };
-
-            if (name !== 'untemplatedSeqSize') {
-                filters.OR.push({ [name]: 'x'.repeat(parsed[name].length) });
-            }
-            payload.filters.AND.push(filters);
-        }
-    }
-
-    // position property filters
-    for (const breakProp of ['break1', 'break2']) {
-        const start = `${breakProp}Start`,
-            end = `${breakProp}End`;
-
-        if (!parsed[start]) {
-            continue;
-        }
-        payload.filters.AND.push({
-            [`${start}.@class`]: parsed[start]['@class'],
-        });
-
-        if (parsed[start].pos !== undefined) { // ignore cytoband positions for now
-            if (parsed[end]) {
-                payload.filters.AND.push({
-                    OR: [
-                        {
-                            AND: [ // range vs single
-                                { [`${start}.pos`]: parsed[start].pos, operator: OPERATORS.LTE },
-                                { [`${start}.pos`]: parsed[end].pos, operator: OPERATORS.GTE },
-                                { [`${end}.pos`]: null },
-                            ],
-                        },
-                        {
-                            AND: [ // range vs range
-                                { [`${end}.pos`]: parsed[start].pos, operator: OPERATORS.LTE },
-                                { [`${start}.pos`]: parsed[end].pos, operator: OPERATORS.GTE },
-                            ],
-                        },
-                    ],
-                });
-            } else {
-                payload.filters.AND.push({
-                    OR: [
-                        {
-                            AND: [ // single vs single
-                                { [`${start}.pos`]: parsed[start].pos },
-                                { [`${end}.pos`]: null },
-                            ],
-                        },
-                        {
-                            AND: [ // single vs range
-                                { [`${end}.pos`]: parsed[start].pos, operator: OPERATORS.LTE },
-                                { [`${start}.pos`]: parsed[start].pos, operator: OPERATORS.GTE },
-                            ],
-                        },
-                    ],
-                });
-            }
-        }
-    }
+    payload.filters.AND.push(...buildSequenceFilters(parsed), ...buildBreakFilters(parsed));
 
     return payload;
 };
@@ -446,6 +369,7 @@ const keywordSearch = ({
     prefix = '',
     operator = OPERATORS.CONTAINSTEXT,
     subQueryParser,
+    ranked = false,
     ...opt
 }) => {
     const model = schemaDefn.get(target);
@@ -491,6 +415,61 @@ const keywordSearch = ({
         }
     }
 
+    if (ranked) {
+        // widen the candidates to include aliases and misspellings. Each kind of candidate is
+        // limited separately so that the closer matches cannot be crowded out by the others.
+        // All the candidates are ranked before the skip and limit of the query are applied
+        const term = keyword.trim().toLowerCase();
+        const exact = keywordSearch({
+            ...opt,
+            keyword,
+            operator: OPERATORS.EQ,
+            paramIndex,
+            prefix: `${prefix}exact`,
+            subQueryParser,
+            target,
+        });
+        const partial = keywordSearch({
+            ...opt,
+            keyword,
+            operator,
+            paramIndex,
+            prefix: `${prefix}partial`,
+            subQueryParser,
+            target,
+        });
+        Object.assign(params, exact.params, partial.params);
+        const lets = [
+            `$${prefix}exact = (${exact.query} LIMIT ${MAX_LIMIT})`,
+            `$${prefix}partial = (${partial.query} LIMIT ${MAX_LIMIT})`,
+        ];
+        const candidates = [`$${prefix}exact`];
+
+        if (searchesTermNames(model.name)) {
+            lets.push(`$${prefix}aliases = (SELECT expand(both('AliasOf')) FROM (SELECT expand($${prefix}exact)) LIMIT ${MAX_LIMIT})`);
+            candidates.push(`$${prefix}aliases`);
+        }
+        candidates.push(`$${prefix}partial`);
+        const fragments = searchesTermNames(model.name)
+            ? fuzzyFragments(term)
+            : [];
+
+        if (fragments.length) {
+            // misspellings contain at least one of the fragments wherever the typos are
+            const clauses = fragments.map((fragment, index) => {
+                const param = `${prefix}param${paramIndex}fuzzy${index}`;
+                params[param] = `%${fragment}%`;
+                return `name.toLowerCase() LIKE :${param} OR sourceId.toLowerCase() LIKE :${param}`;
+            });
+            lets.push(`$${prefix}fuzzy = (SELECT * FROM ${model.name} WHERE (${clauses.join(' OR ')}) AND deletedAt IS NULL LIMIT ${MAX_LIMIT})`);
+            candidates.push(`$${prefix}fuzzy`);
+        }
+        return {
+            params,
+            query: `SELECT DISTINCT * FROM (SELECT expand(UNIONALL(${candidates.join(', ')})) LET ${lets.join(', ')}) WHERE deletedAt IS NULL`,
+        };
+    }
+
     let query;
 
     keywords.forEach((word, wordIndex) => {
@@ -532,6 +511,87 @@ const displayNameSearch = ({
     };
 };
 
+/**
+ * Find the shortest path between two records. Returns the records along the path (starting
+ * from the first record) alternating between vertices and the edges connecting them
+ *
+ * @param {Object} opt options
+ * @param {string} opt.target the class of the records being connected
+ * @param {string|Object} opt.from the record ID or query for the record at the start of the path
+ * @param {string|Object} opt.to the record ID or query for the record at the end of the path
+ * @param {Array.<string>} opt.edges list of edge class names which may be used in the path
+ * @param {string} [opt.direction='both'] the direction to follow the edges
+ * @param {Number} [opt.depth=MAX_TRAVEL_DEPTH] the maximum length (number of edges) of the path
+ * @param {Number} opt.paramIndex the starting index to use in naming parameter aliases
+ * @param {function} opt.subQueryParser the parser to use for the from/to queries
+ */
+const shortestPath = ({
+    target,
+    from,
+    to,
+    edges = [...SIMILARITY_EDGES, ...TREE_EDGES],
+    direction = 'both',
+    depth: depthIn,
+    history = false,
+    paramIndex = 0,
+    prefix = '',
+    subQueryParser,
+}) => {
+    const model = schemaDefn.get(target, false);
+
+    if (!model || model.isEdge) {
+        throw new ValidationError(`target (${target}) must be a vertex class`);
+    }
+    if (!from || !to) {
+        throw new ValidationError('shortestPath requires both the from and to records');
+    }
+    if (!DIRECTIONS.includes(direction)) {
+        throw new ValidationError(`direction (${direction}) must be one of: ${DIRECTIONS.join(', ')}`);
+    }
+    if (!Array.isArray(edges) || !edges.length) {
+        throw new ValidationError('Must specify 1 or more edge types to follow');
+    }
+
+    for (const edge of edges) {
+        if (!schemaDefn.has(edge) || !schemaDefn.get(edge).isEdge) {
+            throw new ValidationError(`Invalid edge parameter (${edge})`);
+        }
+    }
+    const depth = castRangeInt(depthIn || MAX_TRAVEL_DEPTH, 1, MAX_TRAVEL_DEPTH);
+    const params = {};
+    let currentIndex = paramIndex;
+    const lets = [];
+
+    // resolve the path end points to a record ID (or the first record matched by a query)
+    const endpoint = (value, name) => {
+        if (typeof value === 'string') {
+            if (!util.looksLikeRID(value)) {
+                throw new ValidationError(`${name} (${value}) does not look like a valid record ID`);
+            }
+            return util.castToRID(value).toString();
+        }
+        const subquery = Array.isArray(value)
+            ? { history, target: value }
+            : { history, target: model.name, ...value };
+        const { query, params: subParams } = subQueryParser(subquery)
+            .toString(currentIndex, `${prefix}${name}`);
+        currentIndex += Object.keys(subParams).length;
+        Object.assign(params, subParams);
+        lets.push(`$${prefix}${name} = (${query})`);
+        return `$${prefix}${name}[0]`;
+    };
+    const source = endpoint(from, 'from');
+    const destination = endpoint(to, 'to');
+
+    const edgeList = Array.from(edges, (e) => `'${schemaDefn.get(e).name}'`).join(', ');
+    let query = `SELECT expand(shortestPath(${source}, ${destination}, '${direction.toUpperCase()}', [${edgeList}], {"maxDepth": ${depth}, "edge": true}))`;
+
+    if (lets.length) {
+        query = `${query} LET ${lets.join(', ')}`;
+    }
+    return { params, query };
+};
+
 class FixedSubquery {
     constructor(queryType, queryBuilder, opt = {}) {
         this.queryType = queryType;
@@ -549,6 +609,10 @@ class FixedSubquery {
         return query;
     }
 
+    toJSON() {
+        return { ...queryToJSON(this.opt), queryType: this.queryType };
+    }
+
     static parse({ queryType, ...opt }, subQueryParser) {
         if (queryType === 'ancestors') {
             return new this(queryType, ancestors, opt);
@@ -559,13 +623,18 @@ class FixedSubquery {
         } if (queryType === 'similarTo') {
             return new this(queryType, similarTo, opt);
         } if (queryType === 'keyword') {
-            return new this(queryType, keywordSearch, { ...opt, subQueryParser });
+            const { ranked = false, ...rest } = opt;
+            return new this(queryType, keywordSearch, {
+                ...rest, ranked: castBoolean(ranked), subQueryParser,
+            });
         } if (queryType === 'displayName') {
             return new this(queryType, displayNameSearch, opt);
         } if (queryType === 'edge') {
             return new this(queryType, edgeQuery, { ...opt, subQueryParser });
+        } if (queryType === 'shortestPath') {
+            return new this(queryType, shortestPath, { ...opt, subQueryParser });
         }
-        throw new ValidationError(`Unrecognized query type (${queryType}) expected one of [ancestors, descendants, neighborhood, similarTo, keyword, displayName, edge]`);
+        throw new ValidationError(`Unrecognized query type (${queryType}) expected one of [ancestors, descendants, neighborhood, similarTo, keyword, displayName, edge, shortestPath]`);
     }
 }
 
@@ -3,11 +3,81 @@ const { RecordID: RID } = require('orientjs');
 
 const { ValidationError, schema, util } = require('@bcgsc-pori/graphkb-schema');
 
-const { OPERATORS, PARAM_PREFIX } = require('./constants');
+const { MAX_PATTERN_LENGTH, OPERATORS, PARAM_PREFIX } = require('./constants');
 const { FixedSubquery } = require('./fixed');
-const { getQueryableProps } = require('./util');
+const { getQueryableProps, queryToJSON } = require('./util');
 
 const NUMBER_ONLY_OPERATORS = [OPERATORS.GT, OPERATORS.GTE, OPERATORS.LT, OPERATORS.LTE];
+const STRING_ONLY_OPERATORS = [OPERATORS.EQI, OPERATORS.LIKE, OPERATORS.MATCHES];
+const QUANTIFIERS = ['*', '+', '?', '{'];
+
+/**
+ * Check that a regular expression is valid and unlikely to take exponential time to match.
+ * Back-references and quantified groups which themselves contain a quantifier (ex. (a+)+)
+ * or an alternation (ex. (a|aa)+) are rejected
+ *
+ * @param {string} pattern the regular expression
+ *
+ * @throws {ValidationError} when the regular expression is invalid or not allowed
+ */
+const checkRegex = (pattern) => {
+    try {
+        new RegExp(pattern); // eslint-disable-line no-new
+    } catch (err) {
+        throw new ValidationError(`Invalid regular expression (${pattern}): ${err.message}`);
+    }
+
+    if (/\\([1-9]|k<)/.exec(pattern)) {
+        throw new ValidationError(`Back-references are not allowed in regular expressions (${pattern})`);
+    }
+    // for each open group, whether it contains a quantifier or an alternation
+    const groups = [];
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\') {
+            i += 1;
+        } else if (char === '[') {
+            // skip the character class
+            while (i < pattern.length - 1 && pattern[i + 1] !== ']') {
+                i += pattern[i + 1] === '\\'
+                    ? 2
+                    : 1;
+            }
+            i += 1;
+        } else if (char === '(') {
+            groups.push({ hasAlternation: false, hasQuantifier: false });
+        } else if (char === ')') {
+            const { hasAlternation, hasQuantifier } = groups.pop();
+            const quantified = ['*', '+', '{'].includes(pattern[i + 1]);
+
+            if (hasQuantifier && quantified) {
+                throw new ValidationError(
+                    `Nested quantifiers are not allowed in regular expressions (${pattern})`,
+                );
+            }
+            if (hasAlternation && quantified) {
+                throw new ValidationError(
+                    `Quantified groups containing an alternation (|) are not allowed in regular expressions (${pattern})`,
+                );
+            }
+            if (groups.length) {
+                const parent = groups[groups.length - 1];
+                parent.hasQuantifier = parent.hasQuantifier || hasQuantifier;
+                parent.hasAlternation = parent.hasAlternation || hasAlternation;
+            }
+        } else if (char === '|' && groups.length) {
+            groups[groups.length - 1].hasAlternation = true;
+        } else if (
+            QUANTIFIERS.includes(char)
+            && groups.length
+            && !(char === '?' && pattern[i - 1] === '(')
+        ) {
+            groups[groups.length - 1].hasQuantifier = true;
+        }
+    }
+};
 
 class Comparison {
     /**
@@ -39,16 +109,24 @@ class Comparison {
         const { prop, prop: { cast } } = this;
 
         const validateValue = (value) => {
-            if (value !== null) {
+            if (value !== null && !STRING_ONLY_OPERATORS.includes(this.operator)) {
                 if (prop.choices && !prop.choices.includes(value)) {
                     throw new ValidationError(`Expect the property (${prop.name}) to be restricted to enum values but found: ${value}`);
                 }
             }
 
-            if (cast && value && !value.isSubquery) {
-                return cast(value);
+            if (this.operator === OPERATORS.MATCHES) {
+                // casting (ex. to lower case) would change the meaning of the regular expression
+                return value;
+            }
+            const castValue = cast && value && !value.isSubquery
+                ? cast(value)
+                : value;
+
+            if (this.operator === OPERATORS.EQI) {
+                return `${castValue}`.toLowerCase();
             }
-            return value;
+            return castValue;
         };
 
         if (this.length && [...NUMBER_ONLY_OPERATORS, OPERATORS.EQ, OPERATORS.NE].includes(this.operator)) {
@@ -65,6 +143,29 @@ class Comparison {
                     })`,
                 );
             }
+        } else if (STRING_ONLY_OPERATORS.includes(this.operator)) {
+            if (
+                this.isLength
+                || prop.iterable
+                || (prop.type && prop.type !== 'string')
+                || typeof this.value !== 'string'
+            ) {
+                throw new ValidationError(
+                    `String operator (${
+                        this.operator
+                    }) can only be used to compare a string property with a string value (${
+                        prop.name
+                    })`,
+                );
+            }
+            if (this.value.length > MAX_PATTERN_LENGTH) {
+                throw new ValidationError(
+                    `Value for the ${this.operator} operator exceeds the maximum length (${MAX_PATTERN_LENGTH})`,
+                );
+            }
+            if (this.operator === OPERATORS.MATCHES) {
+                checkRegex(this.value);
+            }
         } else if (this.operator === OPERATORS.IS) {
             if (this.value !== null) {
                 throw new ValidationError(`IS operator (${
@@ -176,12 +277,15 @@ class Comparison {
         }
         const operator = inputOperator || defaultOperator;
 
-        if (!Object.values(OPERATORS).includes(operator) || operator === OPERATORS.OR || operator === OPERATORS.AND) {
+        if (
+            !Object.values(OPERATORS).includes(operator)
+            || [OPERATORS.OR, OPERATORS.AND, OPERATORS.NOT].includes(operator)
+        ) {
             throw new ValidationError(
                 `Invalid operator (${
                     operator
                 }). Must be one of (${
-                    Object.values(_.omit(OPERATORS, ['AND', 'OR'])).join(', ')
+                    Object.values(_.omit(OPERATORS, ['AND', 'OR', 'NOT'])).join(', ')
                 })`,
             );
         }
@@ -246,6 +350,8 @@ class Comparison {
 
                 if (this.isLength) {
                     query = `${attr}.size() ${this.operator} :${pname}`;
+                } else if (this.operator === OPERATORS.EQI) {
+                    query = `${attr}.toLowerCase() = :${pname}`;
                 } else {
                     query = `${attr} ${this.operator} :${pname}`;
                 }
@@ -258,6 +364,15 @@ class Comparison {
         }
         return { params, query };
     }
+
+    toJSON() {
+        const {
+            name, operator, negate, isLength, value,
+        } = this;
+        return {
+            isLength, name, negate, operator, value: queryToJSON(value),
+        };
+    }
 }
 
 class Clause {
@@ -269,12 +384,24 @@ class Clause {
 
     static parse(modelName, content) {
         if (Object.keys(content).length !== 1) {
-            throw new ValidationError(`Filter clauses must be an object with a single AND or OR key. Found multiple keys (${Object.keys(content)})`);
+            throw new ValidationError(`Filter clauses must be an object with a single AND, OR, or NOT key. Found multiple keys (${Object.keys(content)})`);
         }
         const [operator] = Object.keys(content);
 
-        if (!['AND', 'OR'].includes(operator)) {
-            throw new ValidationError(`Filter clauses must be an object with a single AND or OR key. Found ${operator}`);
+        if (![OPERATORS.AND, OPERATORS.OR, OPERATORS.NOT].includes(operator)) {
+            throw new ValidationError(`Filter clauses must be an object with a single AND, OR, or NOT key. Found ${operator}`);
+        }
+        if (operator === OPERATORS.NOT) {
+            // negates a single clause or comparison
+            const negated = content[operator];
+
+            if (!negated || typeof negated !== 'object' || Array.isArray(negated)) {
+                throw new ValidationError('Expected NOT clause value to be a single clause or comparison object');
+            }
+            const parsed = negated.AND || negated.OR || negated.NOT
+                ? this.parse(modelName, negated)
+                : Comparison.parse(modelName, negated);
+            return new this(modelName, operator, [parsed]);
         }
         if (!Array.isArray(content[operator])) {
             throw new ValidationError('Expected filter clause value to be an array');
@@ -289,7 +416,7 @@ class Clause {
             try {
                 parsed = this.parse(modelName, clause);
             } catch (err) {
-                if (clause.OR || clause.AND) {
+                if (clause.OR || clause.AND || clause.NOT) {
                     throw err;
                 }
                 // direct property instead of a nested clause
@@ -309,6 +436,11 @@ class Clause {
      * @param {int} [initialParamIndex=0] the number to append to parameter names
      */
     toString(initialParamIndex = 0, prefix = '') {
+        if (this.operator === OPERATORS.NOT) {
+            const [negated] = this.filters;
+            const { params, query } = negated.toString(initialParamIndex, prefix);
+            return { params, query: `NOT (${query})` };
+        }
         const params = {};
         const components = [];
         let paramIndex = initialParamIndex;
@@ -327,6 +459,10 @@ class Clause {
         const query = components.join(` ${this.operator} `);
         return { params, query };
     }
+
+    toJSON() {
+        return { filters: queryToJSON(this.filters), model: this.model, operator: this.operator };
+    }
 }
 
 class Subquery {
@@ -378,6 +514,11 @@ class Subquery {
         return { params, query: statement };
     }
 
+    toJSON() {
+        const { filters, history, target } = this;
+        return { filters: queryToJSON(filters), history, target: queryToJSON(target) };
+    }
+
     static parse({
         target: rawTarget,
         history = false,
@@ -1,22 +1,46 @@
-const { schema: schemaDefn } = require('@bcgsc-pori/graphkb-schema');
+const { schema: schemaDefn, ValidationError } = require('@bcgsc-pori/graphkb-schema');
 
 const {
-    checkStandardOptions, displayQuery, getQueryableProps,
+    castBoolean,
+    castRangeInt,
+    castTimestamp,
+    checkStandardOptions,
+    decodeCursor,
+    displayQuery,
+    encodeCursor,
+    getQueryableProps,
+    queryToJSON,
+    versionActiveAt,
 } = require('./util');
 const {
     propsToProjection, nonSpecificProjection, nestedProjection,
 } = require('./projection');
 const { Subquery } = require('./fragment');
+const { rankRecords, searchesTermNames } = require('./ranking');
 const constants = require('./constants');
 
-const { MAX_LIMIT } = constants;
+const { MAX_LIMIT, RANKING_ALIASES } = constants;
 
 /**
  * Top level query class
  */
 class WrapperQuery {
     constructor({
-        target, limit, skip, projection, query, orderByDirection, orderBy, count = false, history = false,
+        target,
+        limit,
+        skip,
+        projection,
+        query,
+        orderByDirection,
+        orderBy,
+        count = false,
+        history = false,
+        paginate = false,
+        cursor = null,
+        groupBy = null,
+        ranked = false,
+        timeout = null,
+        asOf = null,
     }) {
         this.target = target;
         this.limit = limit;
@@ -27,10 +51,25 @@ class WrapperQuery {
         this.orderByDirection = orderByDirection;
         this.count = count;
         this.history = history;
+        this.paginate = paginate;
+        this.cursor = cursor;
+        this.nextCursor = null;
+        this.groupBy = groupBy;
+        this.ranked = ranked;
+        this.relevance = null;
+        this.timeout = timeout;
+        this.asOf = asOf;
     }
 
     expectedCount() {
-        if (!this.count && this.query.expectedCount() && !this.skip) {
+        if (
+            !this.count
+            && !this.groupBy
+            && this.query.expectedCount()
+            && !this.skip
+            && !this.paginate
+            && !this.ranked
+        ) {
             let count = this.query.expectedCount();
 
             if (this.limit !== null) {
@@ -41,15 +80,112 @@ class WrapperQuery {
         return null;
     }
 
+    /**
+     * Store the cursor for the page following the given (current) page of results. Must be
+     * called with the records before any permission filtering so that no records are skipped
+     *
+     * @param {Array.<Object>} records the records returned by the database for the current page
+     */
+    setNextCursor(records) {
+        this.nextCursor = this.limit === null || records.length < this.limit
+            ? null
+            : encodeCursor(records[records.length - 1]['@rid']);
+    }
+
+    /**
+     * Convert the rows returned by a groupBy query to use the grouping property names as keys
+     *
+     * @param {Array.<Object>} rows the rows returned by the database
+     *
+     * @returns {Array.<Object>} the groups (with their counts)
+     */
+    formatGroups(rows) {
+        return rows.map((row) => {
+            const group = { count: row.count };
+            this.groupBy.forEach((prop, index) => {
+                group[prop] = row[`group${index}`] === undefined
+                    ? null
+                    : row[`group${index}`];
+            });
+            return group;
+        });
+    }
+
+    /**
+     * Order the records returned by a ranked keyword search by their relevance to the keyword
+     * and then apply the skip and limit. The scores are stored by record ID
+     *
+     * @param {Array.<Object>} records the candidate records returned by the database
+     *
+     * @returns {Array.<Object>} the page of ranked records
+     */
+    rank(records) {
+        const { skip, limit } = this;
+        const ranked = rankRecords(records, this.query.opt.keyword, {
+            strict: searchesTermNames(this.query.opt.target),
+        });
+        const page = limit === undefined || limit === null
+            ? ranked.slice(skip)
+            : ranked.slice(skip, skip + limit);
+        this.relevance = {};
+
+        return page.map(({ record: { [RANKING_ALIASES]: aliases, ...record }, score }) => {
+            if (record['@rid']) {
+                this.relevance[record['@rid'].toString()] = score;
+            }
+            return record;
+        });
+    }
+
+    /**
+     * Have the database abort the statement when it runs longer than the timeout. Only
+     * SELECT statements support a timeout
+     *
+     * @param {Object} statement the query statement and params
+     */
+    withTimeout({ params, query }) {
+        if (this.timeout === null || !/^\s*SELECT\b/i.exec(query)) {
+            return { params, query };
+        }
+        return { params, query: `${query} TIMEOUT ${this.timeout} EXCEPTION` };
+    }
+
     toString() {
         const {
-            skip, limit, projection, count, orderByDirection, orderBy,
+            skip, limit, projection, count, orderByDirection, cursor, paginate, groupBy, ranked,
         } = this;
-        const { query, params } = this.query.toString(0);
+        const { query: baseQuery, params } = this.query.toString(0);
+        // select the version of each record which was current at the given time
+        const query = this.asOf === null
+            ? baseQuery
+            : `SELECT * FROM (${baseQuery}) WHERE ${versionActiveAt(this.asOf)}`;
+
+        if (ranked) {
+            // skip and limit are applied after the candidates are ranked. The number of
+            // candidates is already limited by the keyword search
+            return this.withTimeout({
+                params, query: `SELECT ${projection} FROM (${query})`,
+            });
+        }
+
+        if (groupBy) {
+            // group properties may be traversals (ex. relevance.name) which are not valid aliases
+            const groups = groupBy.map((prop, index) => `${prop} AS group${index}`);
+            let statement = `SELECT ${groups.join(', ')}, count(*) AS count FROM (${query}) GROUP BY ${groupBy.join(', ')} ORDER BY count DESC`;
+
+            if (limit !== undefined && limit !== null) {
+                statement = `${statement} LIMIT ${limit}`;
+            }
+            return this.withTimeout({ params, query: statement });
+        }
+        // cursor pagination requires a stable ordering by record ID
+        const orderBy = paginate
+            ? ['@rid']
+            : this.orderBy;
 
         if (!count && !orderBy && !skip && limit === undefined) {
             // don't need to wrap since there are no modificiations
-            return { params, query };
+            return this.withTimeout({ params, query });
         }
 
         let statement = query;
@@ -58,6 +194,12 @@ class WrapperQuery {
             statement = `SELECT count(*) AS count FROM (${query})`;
         } else if (projection !== '*') {
             statement = `SELECT ${projection} FROM (${query})`;
+        } else if (cursor) {
+            statement = `SELECT * FROM (${query})`;
+        }
+
+        if (cursor) {
+            statement = `${statement} WHERE @rid > ${cursor}`;
         }
 
         if (!count) {
@@ -73,13 +215,36 @@ class WrapperQuery {
                 statement = `${statement} LIMIT ${limit}`;
             }
         }
-        return { params, query: statement };
+        return this.withTimeout({ params, query: statement });
     }
 
     displayString() {
         return displayQuery(this.toString());
     }
 
+    /**
+     * The parsed query tree (ex. for explaining how a query was interpreted)
+     */
+    toJSON() {
+        return {
+            asOf: this.asOf,
+            count: this.count,
+            cursor: this.cursor,
+            groupBy: this.groupBy,
+            history: this.history,
+            limit: this.limit,
+            orderBy: this.orderBy,
+            orderByDirection: this.orderByDirection,
+            paginate: this.paginate,
+            projection: this.projection,
+            query: queryToJSON(this.query),
+            ranked: this.ranked,
+            skip: this.skip,
+            target: queryToJSON(this.target),
+            timeout: this.timeout,
+        };
+    }
+
     static parse(opt) {
         const {
             target,
@@ -92,23 +257,87 @@ class WrapperQuery {
             returnProperties,
             count,
             model: inputModel,
+            paginate: paginateIn = false,
+            cursor: cursorIn,
+            groupBy: groupByIn,
+            timeout: timeoutIn = null,
+            asOf: asOfIn = null,
             ...rest
         } = checkStandardOptions(opt);
+        const paginate = Boolean(cursorIn) || castBoolean(paginateIn);
+
+        if (paginate && (orderBy || orderByDirection || skip || count)) {
+            throw new ValidationError('Cursor pagination cannot be combined with the orderBy, orderByDirection, skip, or count options');
+        }
+        const cursor = cursorIn
+            ? decodeCursor(cursorIn)
+            : null;
+        const timeout = timeoutIn === null
+            ? null
+            : castRangeInt(timeoutIn, 1, null);
+        const asOf = asOfIn === null
+            ? null
+            : castTimestamp(asOfIn);
+
+        if (asOf !== null && history) {
+            throw new ValidationError('asOf cannot be combined with the history option');
+        }
 
+        // previous versions are deleted records so they must be included to be selected by asOf
         const query = Subquery.parse({
-            history, model: inputModel, target, ...rest,
+            history: history || asOf !== null, model: inputModel, target, ...rest,
         });
         const model = schemaDefn.get(inputModel, false) || schemaDefn.get(target, false) || schemaDefn.models.V;
+        const ranked = query.queryType === 'keyword' && query.opt.ranked;
+
+        if (ranked && (paginate || orderBy || orderByDirection || count || groupByIn)) {
+            throw new ValidationError('Ranked keyword search cannot be combined with the paginate, cursor, orderBy, orderByDirection, count, or groupBy options');
+        }
 
         // try to project the ordering to ensure they are valid properties
         if (orderBy) {
             propsToProjection(model.name, orderBy);
         }
+        let groupBy = null;
+
+        if (groupByIn) {
+            groupBy = Array.isArray(groupByIn)
+                ? groupByIn.map((prop) => `${prop}`.trim())
+                : `${groupByIn}`.split(',').map((prop) => prop.trim());
+
+            if (
+                !groupBy.length
+                || paginate
+                || orderBy
+                || skip
+                || count
+                || returnProperties
+                || neighbors
+            ) {
+                throw new ValidationError('groupBy must be a non-empty list of properties and cannot be combined with the paginate, cursor, orderBy, skip, count, returnProperties, or neighbors options');
+            }
+            // project the grouping properties to ensure they are valid
+            propsToProjection(model.name, groupBy);
+        }
 
         let projection = '*';
 
         if (returnProperties) {
-            projection = propsToProjection(model.name, returnProperties, true);
+            // the record ID of the last record is needed to create the next cursor
+            let properties = paginate && !returnProperties.includes('@rid')
+                ? [...returnProperties, '@rid']
+                : returnProperties;
+
+            if (ranked) {
+                // properties the relevance is scored on
+                const queryable = getQueryableProps(model.name);
+                properties = Array.from(new Set([
+                    ...properties,
+                    '@rid',
+                    ...['displayName', 'name', 'sourceId'].filter((prop) => queryable[prop]),
+                ]));
+            }
+            projection = propsToProjection(model.name, properties, true);
         } else if (neighbors && neighbors < 2) {
             projection = nestedProjection(neighbors);
         } else if (neighbors) {
@@ -119,16 +348,26 @@ class WrapperQuery {
             });
         }
 
+        if (ranked && searchesTermNames(model.name)) {
+            projection = `${projection}, both('AliasOf').name AS ${RANKING_ALIASES}`;
+        }
+
         return new this({
+            asOf,
             count,
+            cursor,
+            groupBy,
             history,
             limit,
             orderBy,
             orderByDirection,
+            paginate,
             projection,
             query,
+            ranked,
             skip,
             target,
+            timeout,
         });
     }
 }
@@ -0,0 +1,178 @@
+/**
+ * Scoring and ordering the results of ranked keyword searches
+ */
+const { util, schema: schemaDefn } = require('@bcgsc-pori/graphkb-schema');
+
+const { RANKING_ALIASES, RELEVANCE } = require('./constants');
+
+/**
+ * Check if keyword searches for this class match the name and sourceId of the records directly
+ * (rather than through linked records) and so can be widened to aliases and misspellings
+ *
+ * @param {string} modelName the class being searched
+ */
+const searchesTermNames = (modelName) => (
+    modelName === 'Ontology'
+    || modelName === 'Evidence'
+    || schemaDefn.inheritsFrom(modelName, 'Ontology')
+);
+
+/**
+ * The Levenshtein distance between two strings
+ *
+ * @param {string} first
+ * @param {string} second
+ *
+ * @returns {Number} the minimum number of single character insertions, deletions, or substitutions
+ */
+const editDistance = (first, second) => {
+    let previous = Array.from({ length: second.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= first.length; i++) {
+        const current = [i];
+
+        for (let j = 1; j <= second.length; j++) {
+            const cost = first[i - 1] === second[j - 1]
+                ? 0
+                : 1;
+            current.push(Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + cost,
+            ));
+        }
+        previous = current;
+    }
+    return previous[second.length];
+};
+
+/**
+ * The maximum number of edits for a misspelling of the keyword to still be considered a match
+ *
+ * @param {string} keyword the (normalized) keyword
+ */
+const maxEdits = (keyword) => Math.floor(keyword.length / 4);
+
+/**
+ * Split a keyword into the fragments used to select the candidates for misspelled matches.
+ * The keyword is split into one more fragment than the maximum number of edits so any text
+ * within the maximum number of edits of the keyword contains at least one of the fragments
+ * unchanged, wherever the edits are
+ *
+ * @param {string} keyword the (normalized) keyword
+ *
+ * @returns {Array.<string>} the fragments (empty when no edits are allowed)
+ */
+const fuzzyFragments = (keyword) => {
+    const edits = maxEdits(keyword);
+
+    if (!edits) {
+        return [];
+    }
+    const size = Math.ceil(keyword.length / (edits + 1));
+    const fragments = [];
+
+    for (let start = 0; start < keyword.length; start += size) {
+        fragments.push(keyword.slice(start, start + size));
+    }
+    return Array.from(new Set(fragments));
+};
+
+/**
+ * Score how well a record matches a keyword
+ *
+ * @param {Object} record the record to score
+ * @param {string} keyword the keyword being searched
+ *
+ * @returns {?Number} the relevance score or null if the record does not match the keyword
+ */
+const scoreRecord = (record, keyword) => {
+    const term = keyword.trim().toLowerCase();
+    const lower = (value) => (typeof value === 'string'
+        ? value.toLowerCase()
+        : null);
+    const name = lower(record.name);
+    const displayName = lower(record.displayName);
+    const sourceId = lower(record.sourceId);
+    const aliases = (record[RANKING_ALIASES] || []).map(lower).filter((alias) => alias);
+
+    if (util.looksLikeRID(term) && record['@rid']) {
+        if (util.castToRID(record['@rid']).toString() === util.castToRID(term).toString()) {
+            return RELEVANCE.EXACT;
+        }
+    }
+
+    if (name === term || displayName === term) {
+        return RELEVANCE.EXACT;
+    } if (aliases.includes(term)) {
+        return RELEVANCE.ALIAS;
+    } if (sourceId === term) {
+        return RELEVANCE.SOURCE_ID;
+    }
+    const words = term.split(/\s+/);
+    let score = null;
+
+    for (const text of [name, displayName, sourceId]) {
+        if (text && words.every((word) => text.includes(word))) {
+            // closer to an exact match when the keyword covers more of the text
+            score = Math.max(score, RELEVANCE.PARTIAL + term.length / (text.length + 1));
+        }
+    }
+
+    if (score !== null) {
+        return score;
+    }
+
+    for (const text of [name, sourceId, ...aliases]) {
+        if (!text) {
+            continue;
+        }
+        const distance = editDistance(term, text);
+
+        if (distance <= maxEdits(term)) {
+            score = Math.max(
+                score,
+                RELEVANCE.FUZZY + 1 - distance / (Math.max(term.length, text.length) + 1),
+            );
+        }
+    }
+    return score;
+};
+
+/**
+ * Order records by their relevance to a keyword. Records with equal scores keep their
+ * original order
+ *
+ * @param {Array.<Object>} records the records to rank
+ * @param {string} keyword the keyword being searched
+ * @param {Object} opt options
+ * @param {boolean} [opt.strict=true] drop records which do not match the keyword. Otherwise they are considered partial matches (ex. statements matched through their linked records)
+ *
+ * @returns {Array.<Object>} the records with their scores ({ record, score }) from most to least relevant
+ */
+const rankRecords = (records, keyword, { strict = true } = {}) => {
+    const ranked = [];
+
+    records.forEach((record, index) => {
+        let score = scoreRecord(record, keyword);
+
+        if (score === null) {
+            if (strict) {
+                return;
+            }
+            score = RELEVANCE.PARTIAL;
+        }
+        ranked.push({ index, record, score });
+    });
+
+    ranked.sort((a, b) => b.score - a.score || a.index - b.index);
+    return ranked.map(({ record, score }) => ({ record, score }));
+};
+
+module.exports = {
+    editDistance,
+    fuzzyFragments,
+    rankRecords,
+    scoreRecord,
+    searchesTermNames,
+};
@@ -1,3 +1,4 @@
+const _ = require('lodash');
 const { RecordID: RID } = require('orientjs');
 const {
     ValidationError,
@@ -40,6 +41,80 @@ const castBoolean = (value) => {
     throw new ValidationError(`Expected a boolean value but found ${castValue}`);
 };
 
+/**
+ * Format a point in time as a timestamp (milliseconds since the epoch). Accepts timestamps
+ * or date strings (ex. 2020-01-31 or 2020-01-31T12:00:00Z)
+ *
+ * @param value the timestamp or date to be cast
+ *
+ * @returns {Number} the timestamp
+ * @throws {ValidationError} on bad input
+ */
+const castTimestamp = (value) => {
+    let timestamp = NaN;
+
+    if (typeof value === 'number' || /^\d+$/.exec(`${value}`.trim())) {
+        timestamp = Number(value);
+    } else if (typeof value === 'string') {
+        timestamp = Date.parse(value);
+    }
+
+    if (!Number.isSafeInteger(timestamp) || timestamp < 0) {
+        throw new ValidationError(`Expected a timestamp or date but found ${value}`);
+    }
+    return timestamp;
+};
+
+/**
+ * Create the condition for selecting the version of each record which was current at a given
+ * time. When a record is updated the previous version is copied to a history record which is
+ * marked deleted at the time of the update. A version starts at the later of its createdAt and
+ * updatedAt since the records copied when their edges change are given a new createdAt but keep
+ * the updatedAt of their last update
+ *
+ * @param {Number} timestamp the point in time (must already be cast with castTimestamp)
+ *
+ * @returns {string} the SQL condition
+ */
+const versionActiveAt = (timestamp) => `createdAt <= ${timestamp} AND (updatedAt IS NULL OR updatedAt <= ${
+    timestamp
+}) AND (deletedAt IS NULL OR deletedAt > ${timestamp})`;
+
+/**
+ * Create the opaque cursor used to fetch the page of results following the given record
+ *
+ * @param {string|RID} rid the record ID of the last record in the current page
+ *
+ * @returns {string} the cursor
+ */
+const encodeCursor = (rid) => Buffer.from(
+    JSON.stringify({ rid: util.castToRID(rid).toString() }),
+).toString('base64');
+
+/**
+ * Read the record ID from a cursor created by encodeCursor
+ *
+ * @param {string} cursor the cursor returned with the previous page of results
+ *
+ * @returns {string} the record ID of the last record in the previous page
+ * @throws {ValidationError} on a malformed cursor
+ */
+const decodeCursor = (cursor) => {
+    let rid;
+
+    try {
+        ({ rid } = JSON.parse(Buffer.from(`${cursor}`, 'base64').toString()));
+    } catch (err) {
+        throw new ValidationError(`Invalid cursor (${cursor})`);
+    }
+
+    // the record ID is written directly into the statement so it must be strictly formatted
+    if (typeof rid !== 'string' || !/^#\d+:\d+$/.test(rid)) {
+        throw new ValidationError(`Invalid cursor (${cursor})`);
+    }
+    return rid;
+};
+
 /**
  *
  * @param {string} modelName
@@ -133,10 +208,39 @@ const displayQuery = ({ query: statement, params = {} }) => {
     return result;
 };
 
+/**
+ * Convert a parsed query (or part of one) to a plain object. Nested query fragments are
+ * converted by their own toJSON methods and functions (ex. the subquery parser) are dropped
+ *
+ * @param value the parsed query or value to be converted
+ */
+const queryToJSON = (value) => {
+    if (value instanceof RID) {
+        return `#${value.cluster}:${value.position}`;
+    } if (value instanceof String) {
+        // record IDs cast by the schema are String objects
+        return value.toString();
+    } if (Array.isArray(value) || value instanceof Set) {
+        return Array.from(value, queryToJSON);
+    } if (value && typeof value.toJSON === 'function') {
+        return value.toJSON();
+    } if (value && typeof value === 'object') {
+        return _.omitBy(_.mapValues(value, queryToJSON), _.isUndefined);
+    } if (typeof value === 'function') {
+        return undefined;
+    }
+    return value;
+};
+
 module.exports = {
     castBoolean,
     castRangeInt,
+    castTimestamp,
     checkStandardOptions,
+    decodeCursor,
     displayQuery,
+    encodeCursor,
     getQueryableProps,
+    queryToJSON,
+    versionActiveAt,
 };
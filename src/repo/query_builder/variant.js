@@ -0,0 +1,122 @@
+/**
+ * Query filters for matching a parsed variant to the variant records in GraphKB
+ */
+const { OPERATORS } = require('./constants');
+
+/**
+ * Create the subquery for the records similar to a term with the given name or sourceId
+ *
+ * @param {string} cls the class of the term (ex. Feature)
+ * @param {string} name the name or sourceId of the term
+ */
+const buildLooseSearch = (cls, name) => ({
+    queryType: 'similarTo',
+    target: {
+        filters: {
+            OR: [
+                { name },
+                { sourceId: name },
+            ],
+        },
+        target: cls,
+    },
+});
+
+/**
+ * Create the filters for the sequence properties of a positional variant. Variants with
+ * unspecified (null) or masked (ex. xxx) sequences also match
+ *
+ * @param {Object} parsed the parsed variant
+ *
+ * @returns {Array.<Object>} the filter clauses
+ */
+const buildSequenceFilters = (parsed) => {
+    const result = [];
+
+    for (const name of ['refSeq', 'untemplatedSeq', 'untemplatedSeqSize']) {
+        if (parsed[name] !== undefined) {
+            const filters = {
+                OR: [
+                    { [name]: parsed[name] },
+                    { [name]: null },
+                ],
+            };
+
+            if (name !== 'untemplatedSeqSize') {
+                filters.OR.push({ [name]: 'x'.repeat(parsed[name].length) });
+            }
+            result.push(filters);
+        }
+    }
+    return result;
+};
+
+/**
+ * Create the filters for the breakpoints of a positional variant. A breakpoint matches when
+ * it uses the same kind of position (ex. ProteinPosition) and the positions (or ranges) overlap
+ *
+ * @param {Object} parsed the parsed variant
+ *
+ * @returns {Array.<Object>} the filter clauses
+ */
+const buildBreakFilters = (parsed) => {
+    const result = [];
+
+    for (const breakProp of ['break1', 'break2']) {
+        const start = `${breakProp}Start`,
+            end = `${breakProp}End`;
+
+        if (!parsed[start]) {
+            continue;
+        }
+        result.push({
+            [`${start}.@class`]: parsed[start]['@class'],
+        });
+
+        if (parsed[start].pos !== undefined) { // ignore cytoband positions for now
+            if (parsed[end]) {
+                result.push({
+                    OR: [
+                        {
+                            AND: [ // range vs single
+                                { [`${start}.pos`]: parsed[start].pos, operator: OPERATORS.GTE },
+                                { [`${start}.pos`]: parsed[end].pos, operator: OPERATORS.LTE },
+                                { [`${end}.pos`]: null },
+                            ],
+                        },
+                        {
+                            AND: [ // range vs range
+                                { [`${start}.pos`]: parsed[end].pos, operator: OPERATORS.LTE },
+                                { [`${end}.pos`]: parsed[start].pos, operator: OPERATORS.GTE },
+                            ],
+                        },
+                    ],
+                });
+            } else {
+                result.push({
+                    OR: [
+                        {
+                            AND: [ // single vs single
+                                { [`${start}.pos`]: parsed[start].pos },
+                                { [`${end}.pos`]: null },
+                            ],
+                        },
+                        {
+                            AND: [ // single vs range
+                                { [`${start}.pos`]: parsed[start].pos, operator: OPERATORS.LTE },
+                                { [`${end}.pos`]: parsed[start].pos, operator: OPERATORS.GTE },
+                            ],
+                        },
+                    ],
+                });
+            }
+        }
+    }
+    return result;
+};
+
+module.exports = {
+    buildBreakFilters,
+    buildLooseSearch,
+    buildSequenceFilters,
+};
@@ -14,6 +14,7 @@ const { logger } = require('./logging');
 const { createModelInDb, createPropertyInDb, compareToDbClass } = require('./model');
 const { getLoadVersion } = require('./migrate/version');
 const { createUser } = require('./commands');
+const { createSavedQueryClass } = require('./commands/savedQuery');
 
 const DEFAULT_LICENSE_CONTENT = [
     { content: 'Canada\'s Michael Smith Genome Sciences Centre retains ownership of all intellectual property rights of any kind related to the Platform and Service, including applicable copyrights, patents, trademarks, and other proprietary rights. Other trademarks, service marks, graphics and logos used in connection with the GraphKB platform and its services may be the trademarks of users and third parties. Canada\'s Michael Smith Genome Sciences Centre does not transfer to users any intellectual property. All rights, titles and interests in and to such property will remain solely with the original owner. Canada\'s Michael Smith Genome Sciences Centre reserve all rights that are not expressly granted under this Term of Use.', id: 'copyright', label: 'Copyright' },
@@ -151,6 +152,8 @@ const createSchema = async (db) => {
 
     await Promise.all(Array.from(defaultGroups, async (x) => db.insert().into('UserGroup').set(x).one()));
 
+    await createSavedQueryClass(db);
+
     logger.info('creating the default user agreement');
     await db.insert().into(schema.models.LicenseAgreement.name).set({
         content: DEFAULT_LICENSE_CONTENT,
@@ -181,7 +184,7 @@ const loadSchema = async (db) => {
     const classes = await db.class.list();
 
     for (const cls of classes) {
-        if (cls.name === 'SchemaHistory') {
+        if (cls.name === 'SchemaHistory' || cls.name === 'SavedQuery') {
             continue;
         }
         if (/^(O[A-Z]|_)/.exec(cls.name)) { // orientdb builtin classes
@@ -14,6 +14,7 @@ const {
 
 const { parsePropertyList } = require('../query_builder/projection');
 const { logger } = require('../logging');
+const { wrapIfTypeError } = require('../commands/util');
 const {
     DEFAULT_DIRECTIONS,
     DEFAULT_EDGES,
@@ -504,6 +505,31 @@ const formatToFlowchart = ({
     return flowchart;
 };
 
+/**
+ * Wrap a database session so that the database aborts the SELECT statements which run
+ * longer than the timeout (as is done for the query route)
+ *
+ * @param {Object} db - The database session object
+ * @param {number} timeout - The timeout (in milliseconds) for each statement
+ * @returns {Object} the wrapped session. Only supports queries (and fetching all of their results)
+ */
+const withTimeout = (db, timeout) => ({
+    query: (queryString, params) => {
+        const statement = db.query(
+            /^\s*SELECT\b/i.test(queryString)
+                ? `${queryString} TIMEOUT ${timeout} EXCEPTION`
+                : queryString,
+            params,
+        );
+        return {
+            // the database timeout error is returned as a QueryTimeoutError
+            all: () => statement.all().catch((err) => {
+                throw wrapIfTypeError(err);
+            }),
+        };
+    },
+});
+
 module.exports = {
     baseValidation,
     buildTraverseExpr,
@@ -515,4 +541,5 @@ module.exports = {
     getPropsPerClass,
     oneliner,
     queryWithPagination,
+    withTimeout,
 };
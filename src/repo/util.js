@@ -5,6 +5,7 @@ const {
     schema,
 } = require('@bcgsc-pori/graphkb-schema');
 const { RecordID: RID } = require('orientjs');
+const _ = require('lodash');
 
 /**
  * Join a list of strings as you would for putting into a sentence
@@ -92,6 +93,66 @@ const groupRecordsBy = (records, keysList, opt = {}) => {
     return nested;
 };
 
+/**
+ * Simplify a record property value for comparison. Linked records and record IDs are
+ * replaced by their record ID string
+ *
+ * @param {*} value the property value
+ */
+const simplifyValue = (value) => {
+    if (value === undefined || value === null) {
+        return null;
+    } if (value instanceof RID) {
+        return value.toString();
+    } if (Array.isArray(value) || value instanceof Set) {
+        return Array.from(value, simplifyValue);
+    } if (typeof value === 'object') {
+        if (value['@rid'] !== undefined) {
+            return util.castToRID(value['@rid']).toString();
+        }
+        return _.mapValues(_.omit(value, ['@type', '@version']), simplifyValue);
+    }
+    return value;
+};
+
+/**
+ * Compare two versions of a record and return the properties which have changed. Database
+ * attributes (@rid, @version, etc.) and edges are ignored
+ *
+ * @param {Object} original the record before the changes
+ * @param {Object} updated the record after the changes
+ * @param {Object} opt options
+ * @param {Array.<string>} [opt.ignore=[]] properties to exclude from the comparison
+ *
+ * @returns {Object} mapping of property name to the old and new values
+ *
+ * @example
+ * > diffRecords({name: 'bob', city: 'van'}, {name: 'alice', city: 'van'})
+ * {name: {new: 'alice', old: 'bob'}}
+ */
+const diffRecords = (original, updated, { ignore = [] } = {}) => {
+    const diff = {};
+    const keys = new Set([...Object.keys(original || {}), ...Object.keys(updated || {})]);
+
+    for (const key of Array.from(keys).sort()) {
+        if (key.startsWith('@')
+            || key.startsWith('out_')
+            || key.startsWith('in_')
+            || key.startsWith('_')
+            || ignore.includes(key)
+        ) {
+            continue;
+        }
+        const oldValue = simplifyValue((original || {})[key]);
+        const newValue = simplifyValue((updated || {})[key]);
+
+        if (!_.isEqual(oldValue, newValue)) {
+            diff[key] = { new: newValue, old: oldValue };
+        }
+    }
+    return diff;
+};
+
 /**
  * Given a list of records, removes any object which contains a non-null deletedAt property
  *
@@ -224,6 +285,7 @@ const trimRecords = async (recordList, { history = false, user = null } = {}) =>
 };
 
 module.exports = {
+    diffRecords,
     groupRecordsBy,
     naturalListJoin,
     quoteWrap,
@@ -8,9 +8,43 @@ const {
     RecordConflictError,
     AuthenticationError,
     PermissionError,
+    QueryTimeoutError,
 } = require('../repo/error');
 const { logger } = require('../repo/logging');
 
+/**
+ * Get the HTTP status code which corresponds to a given error
+ *
+ * @param {Error} err the error to find the status code for
+ *
+ * @returns {Number} the HTTP status code
+ */
+const getErrorStatusCode = (err) => {
+    if (err instanceof PermissionError) {
+        return HTTP_STATUS.FORBIDDEN;
+    } if (err instanceof AuthenticationError) {
+        return HTTP_STATUS.UNAUTHORIZED;
+    } if (err instanceof ValidationError) {
+        return HTTP_STATUS.BAD_REQUEST;
+    } if (err instanceof NoRecordFoundError) {
+        return HTTP_STATUS.NOT_FOUND;
+    } if (err instanceof RecordConflictError) {
+        return HTTP_STATUS.CONFLICT;
+    } if (err instanceof QueryTimeoutError) {
+        return HTTP_STATUS.GATEWAY_TIMEOUT;
+    }
+    return err.code || HTTP_STATUS.INTERNAL_SERVER_ERROR;
+};
+
+/**
+ * Convert an error to its JSON response representation
+ *
+ * @param {Error} err the error to be formatted
+ */
+const formatErrorContent = (err) => (err.toJSON
+    ? err.toJSON()
+    : { message: err.toString(), ...err });
+
 /**
  * Main error handling for responding to the request
  *
@@ -18,22 +52,12 @@ const { logger } = require('../repo/logging');
  */
 const addErrorRoute = (app) => {
     app.router.use(async (err, req, res, next) => {
-        let code = err.code || HTTP_STATUS.INTERNAL_SERVER_ERROR;
+        const code = getErrorStatusCode(err);
 
         logger.info('unexpected error');
         logger.log('error', err.stack);
 
-        if (err instanceof PermissionError) {
-            code = HTTP_STATUS.FORBIDDEN;
-        } else if (err instanceof AuthenticationError) {
-            code = HTTP_STATUS.UNAUTHORIZED;
-        } else if (err instanceof ValidationError) {
-            code = HTTP_STATUS.BAD_REQUEST;
-        } else if (err instanceof NoRecordFoundError) {
-            code = HTTP_STATUS.NOT_FOUND;
-        } else if (err instanceof RecordConflictError) {
-            code = HTTP_STATUS.CONFLICT;
-        } else if (err instanceof DatabaseConnectionError) {
+        if (err instanceof DatabaseConnectionError) {
             logger.warn('connection error, attempting to restart the database connection');
 
             try {
@@ -43,12 +67,8 @@ const addErrorRoute = (app) => {
         if (res.headersSent) {
             return next(err);
         }
-        const errorContent = err.toJSON
-            ? err.toJSON()
-            : { message: err.toString(), ...err };
-
-        return res.status(code).json(errorContent);
+        return res.status(code).json(formatErrorContent(err));
     });
 };
 
-module.exports = { addErrorRoute };
+module.exports = { addErrorRoute, formatErrorContent, getErrorStatusCode };
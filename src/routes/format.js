@@ -0,0 +1,130 @@
+/**
+ * Formatting query results as delimited text (CSV/TSV) for spreadsheets
+ */
+const { util } = require('@bcgsc-pori/graphkb-schema');
+
+const DELIMITED_FORMATS = {
+    'text/csv': ',',
+    'text/tab-separated-values': '\t',
+};
+
+const DEFAULT_LIST_DELIMITER = ';';
+
+/**
+ * Convert a single (non-iterable) value to its text representation for a table cell
+ *
+ * @param value the value to be converted
+ */
+const formatCellValue = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    } if (typeof value === 'object') {
+        if (value['@rid'] !== undefined) {
+            return util.castToRID(value['@rid']).toString();
+        } if (value.cluster !== undefined && value.position !== undefined) {
+            return util.castToRID(value).toString();
+        }
+        return JSON.stringify(value);
+    }
+    return `${value}`;
+};
+
+/**
+ * Get the values for a (possibly dotted) property path. Iterable properties are expanded so
+ * that the path continues into each of their elements
+ *
+ * @param {Object} record the record to get the values from
+ * @param {string} column the property name or path (ex. source.name)
+ *
+ * @returns {Array} the values found
+ */
+const getColumnValues = (record, column) => {
+    let values = [record];
+
+    for (const key of column.split('.')) {
+        const next = [];
+
+        for (const value of values) {
+            if (value === undefined || value === null || typeof value !== 'object') {
+                continue;
+            }
+            const child = value[key];
+
+            if (Array.isArray(child) || child instanceof Set) {
+                next.push(...child);
+            } else if (child !== undefined && child !== null) {
+                next.push(child);
+            }
+        }
+        values = next;
+    }
+    return values;
+};
+
+/**
+ * Get the column names to use when the properties to be returned were not specified
+ *
+ * @param {Array.<Object>} records the records being formatted
+ */
+const defaultColumns = (records) => {
+    const columns = new Set();
+
+    for (const record of records) {
+        for (const key of Object.keys(record)) {
+            if (!key.startsWith('out_') && !key.startsWith('in_')) {
+                columns.add(key);
+            }
+        }
+    }
+    return Array.from(columns).sort();
+};
+
+/**
+ * Quote a cell if it contains any characters which would break the table structure
+ *
+ * @param {string} cell the formatted cell value
+ * @param {string} delimiter the column delimiter
+ */
+const escapeCell = (cell, delimiter) => {
+    if (cell.includes(delimiter) || /["\r\n]/.test(cell)) {
+        return `"${cell.replace(/"/g, '""')}"`;
+    }
+    return cell;
+};
+
+/**
+ * Format a list of records as delimited text (ex. CSV) with one row per record
+ *
+ * @param {Array.<Object>} records the records to be formatted
+ * @param {Object} opt options
+ * @param {Array.<string>} [opt.columns] the properties (may be dotted paths to linked record properties) to use as columns. Defaults to all top-level properties
+ * @param {string} [opt.delimiter=','] the column delimiter
+ * @param {string} [opt.listDelimiter=';'] the delimiter for joining the values of iterable properties
+ *
+ * @returns {string} the formatted table including the header row
+ */
+const formatDelimited = (records, {
+    columns: columnsIn, delimiter = ',', listDelimiter = DEFAULT_LIST_DELIMITER,
+} = {}) => {
+    const columns = columnsIn && columnsIn.length
+        ? columnsIn
+        : defaultColumns(records);
+    const rows = [columns.map((column) => escapeCell(column, delimiter)).join(delimiter)];
+
+    for (const record of records) {
+        const row = columns.map((column) => {
+            const cell = getColumnValues(record, column).map(formatCellValue).join(listDelimiter);
+            return escapeCell(cell, delimiter);
+        });
+        rows.push(row.join(delimiter));
+    }
+    return `${rows.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+    DEFAULT_LIST_DELIMITER,
+    DELIMITED_FORMATS,
+    formatCellValue,
+    formatDelimited,
+    getColumnValues,
+};
@@ -2,17 +2,21 @@ const HTTP_STATUS = require('http-status-codes');
 const jc = require('json-cycle');
 
 const { ValidationError, schema: schemaDefn } = require('@bcgsc-pori/graphkb-schema');
-const { parseVariant, ParsingError } = require('@bcgsc-pori/graphkb-parser');
+const { ParsingError, stringifyVariant } = require('@bcgsc-pori/graphkb-parser');
 
 const openapi = require('./openapi');
 const resource = require('./resource');
 const { logger } = require('../repo/logging');
 const {
+    castBoolean,
     checkStandardOptions,
 } = require('../repo/query_builder/util');
-const { selectCounts } = require('../repo/commands');
+const {
+    matchStatements, matchVariant, selectCounts, selectStatementConflicts, suggest,
+} = require('../repo/commands');
 const { addErrorRoute } = require('./error');
-const { addQueryRoute } = require('./query');
+const { addQueryExportRoute, addQueryRoute } = require('./query');
+const { parseNotation, suggestNotations } = require('./notation');
 
 const parseClassListQueryParam = (param) => param.split(',').map((cls) => schemaDefn.get(cls).name);
 
@@ -38,7 +42,9 @@ const addStatsRoute = (app) => {
             const classList = req.query.classList
                 ? parseClassListQueryParam(req.query.classList)
                 : defaultClassList;
-            const stats = await selectCounts(session, { classList, groupBy, history });
+            const stats = await selectCounts(session, {
+                cache: true, classList, groupBy, history,
+            });
             session.close();
             return res.status(HTTP_STATUS.OK).json(jc.decycle({ result: stats }));
         } catch (err) {
@@ -48,22 +54,177 @@ const addStatsRoute = (app) => {
     });
 };
 
+/**
+ * Route for typeahead suggestions of ontology terms
+ *
+ * @param {AppServer} app the GraphKB app server
+ */
+const addSuggestRoute = (app) => {
+    logger.log('verbose', 'NEW ROUTE [GET] /suggest');
+    app.router.get('/suggest', async (req, res, next) => {
+        const {
+            class: modelName, limit, prefix, ...rest
+        } = req.query;
+
+        if (Object.keys(rest).length) {
+            return next(new ValidationError(`Unexpected query parameters: ${Object.keys(rest).join(', ')}`));
+        }
+        if (!modelName || !prefix) {
+            return next(new ValidationError('the class and prefix query parameters are required'));
+        }
+        let session;
+
+        try {
+            session = await app.pool.acquire();
+        } catch (err) {
+            return next(err);
+        }
+
+        try {
+            const result = await suggest(session, {
+                limit, modelName, prefix, user: req.user,
+            });
+            session.close();
+            return res.status(HTTP_STATUS.OK).json(jc.decycle({
+                metadata: { records: result.length }, result,
+            }));
+        } catch (err) {
+            session.close();
+            return next(err);
+        }
+    });
+};
+
+// the maximum number of variant notations which can be parsed in a single request. Kept small
+// since suggesting corrections for each notation which cannot be parsed is expensive
+const MAX_PARSE_BATCH = 100;
+
+/**
+ * Parse a single variant notation. Notations which cannot be parsed as given are normalized
+ * (ex. three-letter amino acid codes) before parsing
+ *
+ * @param {string} content the variant notation
+ * @param {Object} opt options
+ * @param {boolean} opt.normalize flag to also return the canonical form of the notation
+ * @param {boolean} opt.requireFeatures flag to indicate features are required in the notation
+ *
+ * @throws {ParsingError} when the notation cannot be parsed
+ */
+const parseContent = (content, { normalize, requireFeatures }) => {
+    const parsed = parseNotation(content, requireFeatures);
+
+    if (!normalize) {
+        return parsed;
+    }
+    return { normalized: stringifyVariant(parsed.result), ...parsed };
+};
+
 const addParserRoute = (app) => {
     logger.info('NEW ROUTE [POST] /parse');
     app.router.post('/parse', async (req, res, next) => {
         if (!req.body || !req.body.content) {
             return next(new ValidationError('body.content is a required input'));
         }
-        const { content, requireFeatures = true, ...rest } = req.body;
+        const {
+            content, normalize: normalizeIn = false, requireFeatures = true, ...rest
+        } = req.body;
 
         if (Object.keys(rest).length) {
             return next(new ValidationError(`Unexpected attributes: ${Object.keys(rest).join(', ')}`));
         }
+        let normalize;
 
         try {
-            const parsed = parseVariant(content, requireFeatures);
-            return res.status(HTTP_STATUS.OK).json({ result: parsed });
+            normalize = castBoolean(normalizeIn);
+        } catch (err) {
+            return next(err);
+        }
+
+        if (!Array.isArray(content)) {
+            try {
+                return res.status(HTTP_STATUS.OK).json(
+                    parseContent(content, { normalize, requireFeatures }),
+                );
+            } catch (err) {
+                if (err instanceof ParsingError) {
+                    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                        ...jc.decycle(err),
+                        suggestions: suggestNotations(content, requireFeatures),
+                    });
+                }
+                return next(err);
+            }
+        }
+
+        if (!content.length || content.length > MAX_PARSE_BATCH) {
+            return next(new ValidationError(
+                `body.content must be a variant notation or a list of 1-${MAX_PARSE_BATCH} variant notations`,
+            ));
+        }
+        const invalid = content.findIndex((item) => typeof item !== 'string');
+
+        if (invalid >= 0) {
+            return next(new ValidationError(`body.content[${invalid}] must be a string`));
+        }
+        // errors are returned for each notation which cannot be parsed so the batch does not fail
+        const result = [];
+        let errors = 0;
+
+        for (const item of content) {
+            try {
+                const parsed = parseContent(item, { normalize, requireFeatures });
+                result.push({ content: item, ...parsed });
+            } catch (err) {
+                if (!(err instanceof ParsingError)) {
+                    return next(err);
+                }
+                errors += 1;
+                result.push({
+                    content: item,
+                    error: jc.decycle(err),
+                    suggestions: suggestNotations(item, requireFeatures),
+                });
+            }
+        }
+        return res.status(HTTP_STATUS.OK).json({
+            metadata: { errors, records: result.length }, result,
+        });
+    });
+};
+
+/**
+ * Route for matching a sequenced variant to the variants in GraphKB
+ *
+ * @param {AppServer} app the GraphKB app server
+ */
+const addVariantMatchRoute = (app) => {
+    logger.log('verbose', 'NEW ROUTE [POST] /variants/match');
+    app.router.post('/variants/match', async (req, res, next) => {
+        if (!req.body || !req.body.variant) {
+            return next(new ValidationError('body.variant is a required input'));
+        }
+        const { variant, ...rest } = req.body;
+
+        if (Object.keys(rest).length) {
+            return next(new ValidationError(`Unexpected attributes: ${Object.keys(rest).join(', ')}`));
+        }
+        let session;
+
+        try {
+            session = await app.pool.acquire();
         } catch (err) {
+            return next(err);
+        }
+
+        try {
+            const result = await matchVariant(session, { user: req.user, variant });
+            session.close();
+            return res.status(HTTP_STATUS.OK).json(jc.decycle({
+                metadata: { records: result.length }, result,
+            }));
+        } catch (err) {
+            session.close();
+
             if (err instanceof ParsingError) {
                 return res.status(HTTP_STATUS.BAD_REQUEST).json(jc.decycle(err));
             }
@@ -72,6 +233,94 @@ const addParserRoute = (app) => {
     });
 };
 
+/**
+ * Route for matching the statements relevant to a list of variants (and a disease)
+ *
+ * @param {AppServer} app the GraphKB app server
+ */
+const addStatementMatchRoute = (app) => {
+    logger.log('verbose', 'NEW ROUTE [POST] /statements/match');
+    app.router.post('/statements/match', async (req, res, next) => {
+        if (!req.body || !req.body.variants) {
+            return next(new ValidationError('body.variants is a required input'));
+        }
+        const { variants, disease, ...rest } = req.body;
+
+        if (Object.keys(rest).length) {
+            return next(new ValidationError(`Unexpected attributes: ${Object.keys(rest).join(', ')}`));
+        }
+        let session;
+
+        try {
+            session = await app.pool.acquire();
+        } catch (err) {
+            return next(err);
+        }
+
+        try {
+            const result = await matchStatements(session, { disease, user: req.user, variants });
+            session.close();
+            const statements = new Set(result.flatMap(
+                (group) => group.statements.map(({ statement }) => statement['@rid'].toString()),
+            ));
+            return res.status(HTTP_STATUS.OK).json(jc.decycle({
+                metadata: { statements: statements.size }, result,
+            }));
+        } catch (err) {
+            session.close();
+            return next(err);
+        }
+    });
+};
+
+/**
+ * Route for the report of conflicting statements
+ *
+ * @param {AppServer} app the GraphKB app server
+ */
+const addStatementConflictsRoute = (app) => {
+    logger.log('verbose', 'NEW ROUTE [GET] /statements/conflicts');
+    app.router.get('/statements/conflicts', async (req, res, next) => {
+        const {
+            gene, source, subjectClass, ...rest
+        } = req.query;
+
+        if (Object.keys(rest).length) {
+            return next(new ValidationError(`Unexpected query parameters: ${Object.keys(rest).join(', ')}`));
+        }
+        let session;
+
+        try {
+            session = await app.pool.acquire();
+        } catch (err) {
+            return next(err);
+        }
+
+        try {
+            const result = await selectStatementConflicts(session, {
+                gene, source, subjectClass, user: req.user,
+            });
+            session.close();
+            return res.status(HTTP_STATUS.OK).json(jc.decycle({
+                metadata: { records: result.length }, result,
+            }));
+        } catch (err) {
+            session.close();
+            return next(err);
+        }
+    });
+};
+
 module.exports = {
-    addErrorRoute, addParserRoute, addQueryRoute, addStatsRoute, openapi, resource,
+    addErrorRoute,
+    addParserRoute,
+    addQueryExportRoute,
+    addQueryRoute,
+    addStatementConflictsRoute,
+    addStatementMatchRoute,
+    addStatsRoute,
+    addSuggestRoute,
+    addVariantMatchRoute,
+    openapi,
+    resource,
 };
@@ -0,0 +1,233 @@
+/**
+ * Normalizing variant notations which cannot be parsed as given and suggesting corrected notations
+ */
+const { parseVariant, ParsingError } = require('@bcgsc-pori/graphkb-parser');
+
+const { editDistance } = require('../repo/query_builder/ranking');
+
+const AMINO_ACIDS = {
+    Ala: 'A',
+    Arg: 'R',
+    Asn: 'N',
+    Asp: 'D',
+    Cys: 'C',
+    Gln: 'Q',
+    Glu: 'E',
+    Gly: 'G',
+    His: 'H',
+    Ile: 'I',
+    Leu: 'L',
+    Lys: 'K',
+    Met: 'M',
+    Phe: 'F',
+    Pro: 'P',
+    Pyl: 'O',
+    Sec: 'U',
+    Ser: 'S',
+    Ter: '*',
+    Thr: 'T',
+    Trp: 'W',
+    Tyr: 'Y',
+    Val: 'V',
+    Xaa: 'X',
+};
+
+// three-letter codes are matched as written in HGVS (Gly) or all uppercase (GLY)
+const AMINO_ACID_PATTERN = new RegExp(
+    Object.keys(AMINO_ACIDS).map((code) => `${code}|${code.toUpperCase()}`).join('|'),
+    'g',
+);
+
+// a gene followed by an amino acid and position without the p. prefix (ex. KRAS:G12D, kras:g12d)
+const MISSING_PROTEIN_PREFIX_PATTERN = new RegExp(
+    `^([^:]+):(?=([A-Za-z*]|${AMINO_ACID_PATTERN.source})\\d)`,
+);
+
+const COORDINATE_PREFIXES = ['c', 'g', 'p', 'e', 'y'];
+
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Rewrite the protein (p.) part of a notation
+ *
+ * @param {string} notation the variant notation
+ * @param {Function} rewrite function to rewrite the protein part
+ */
+const rewriteProtein = (notation, rewrite) => {
+    const match = /^(.*\bp\.)(.+)$/.exec(notation);
+
+    if (!match) {
+        return notation;
+    }
+    return `${match[1]}${rewrite(match[2])}`;
+};
+
+/**
+ * The rewrites attempted (in order) for notations which cannot be parsed as given. These only
+ * correct the formatting of a notation so are applied without asking the user
+ */
+const NORMALIZATIONS = [
+    {
+        description: 'removed the whitespace around the separators',
+        rewrite: (notation) => notation.trim().replace(/\s*([:.,_>])\s*/g, '$1'),
+    },
+    {
+        description: 'added the separator (:) between the gene and the variant',
+        rewrite: (notation) => notation.replace(/^([^\s:]+)\s+([^\s:]+)$/, '$1:$2'),
+    },
+    {
+        description: 'lowercased the coordinate prefix',
+        rewrite: (notation) => notation.replace(/(^|[:)])([CGPEY])\./, (match, sep, prefix) => (
+            `${sep}${prefix.toLowerCase()}.`
+        )),
+    },
+    {
+        description: 'added the missing protein coordinate prefix (p.)',
+        rewrite: (notation) => notation.replace(MISSING_PROTEIN_PREFIX_PATTERN, '$1:p.'),
+    },
+    {
+        description: 'converted the three-letter amino acid codes to one-letter codes',
+        rewrite: (notation) => rewriteProtein(notation, (protein) => protein.replace(
+            AMINO_ACID_PATTERN,
+            (code) => AMINO_ACIDS[`${code[0]}${code.slice(1).toLowerCase()}`],
+        )),
+    },
+    {
+        description: 'uppercased the amino acids',
+        rewrite: (notation) => rewriteProtein(notation, (protein) => protein.replace(
+            /^([a-z*])(\d+)([a-z*]?)$/,
+            (match, ref, pos, alt) => `${ref.toUpperCase()}${pos}${alt.toUpperCase()}`,
+        )),
+    },
+];
+
+/**
+ * Guesses at the intended notation. Unlike the normalizations these may change the meaning of
+ * the notation so are only returned as suggestions. Each guess returns a list of alternatives
+ */
+const GUESSES = [
+    (notation) => [notation.includes(':')
+        ? notation.replace(/^[^:]+/, (gene) => gene.toUpperCase())
+        : notation],
+    (notation) => COORDINATE_PREFIXES.map((prefix) => (/(^|:)[a-z]\./.exec(notation)
+        ? notation.replace(/(^|:)[a-z]\./, `$1${prefix}.`)
+        : notation.replace(/(^|:)(?=\d)/, `$1${prefix}.`))),
+    (notation) => [notation.replace(/(\d)X$/, '$1*')],
+    (notation) => [notation.replace(/\s.*$/, '')],
+];
+
+/**
+ * Apply the normalizations to a variant notation
+ *
+ * @param {string} notation the variant notation
+ *
+ * @returns {Object} the normalized notation and the descriptions of the normalizations applied
+ */
+const normalizeNotation = (notation) => {
+    let result = notation;
+    const normalizations = [];
+
+    for (const { description, rewrite } of NORMALIZATIONS) {
+        const rewritten = rewrite(result);
+
+        if (rewritten !== result) {
+            normalizations.push(description);
+            result = rewritten;
+        }
+    }
+    return { normalizations, notation: result };
+};
+
+/**
+ * Check if a variant notation can be parsed. Any error from the parser means the (rewritten)
+ * notation cannot be used
+ *
+ * @param {string} notation the variant notation
+ * @param {boolean} requireFeatures flag to indicate features are required in the notation
+ */
+const canParse = (notation, requireFeatures) => {
+    try {
+        parseVariant(notation, requireFeatures);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Parse a variant notation. If the notation cannot be parsed as given, the normalizations
+ * are applied and the normalized notation is parsed instead
+ *
+ * @param {string} notation the variant notation
+ * @param {boolean} [requireFeatures=true] flag to indicate features are required in the notation
+ *
+ * @returns {Object} the parsed variant (result) and the descriptions of the normalizations applied
+ * @throws {ParsingError} the error for the original notation when the normalized notation also cannot be parsed
+ */
+const parseNotation = (notation, requireFeatures = true) => {
+    try {
+        return { normalizations: [], result: parseVariant(notation, requireFeatures) };
+    } catch (err) {
+        if (!(err instanceof ParsingError)) {
+            throw err;
+        }
+        const normalized = normalizeNotation(notation);
+
+        if (normalized.notation === notation || !canParse(normalized.notation, requireFeatures)) {
+            throw err;
+        }
+        return {
+            normalizations: normalized.normalizations,
+            result: parseVariant(normalized.notation, requireFeatures),
+        };
+    }
+};
+
+/**
+ * Suggest corrected notations for a variant notation which cannot be parsed. The guesses
+ * (and pairs of guesses) are applied to the normalized notation and the alternatives which
+ * can be parsed are ranked by how similar they are to the original notation
+ *
+ * @param {string} notation the variant notation
+ * @param {boolean} [requireFeatures=true] flag to indicate features are required in the notation
+ *
+ * @returns {Array.<string>} the suggested notations (most similar first)
+ */
+const suggestNotations = (notation, requireFeatures = true) => {
+    const { notation: normalized } = normalizeNotation(notation);
+    const candidates = new Map([[normalized, 0]]);
+
+    for (const guess of GUESSES) {
+        for (const alternative of guess(normalized)) {
+            if (!candidates.has(alternative)) {
+                candidates.set(alternative, 1);
+            }
+
+            for (const secondGuess of GUESSES) {
+                for (const secondAlternative of secondGuess(alternative)) {
+                    if (!candidates.has(secondAlternative)) {
+                        candidates.set(secondAlternative, 2);
+                    }
+                }
+            }
+        }
+    }
+    const suggestions = [];
+
+    for (const [candidate, guesses] of candidates) {
+        if (candidate !== notation && canParse(candidate, requireFeatures)) {
+            suggestions.push({ candidate, distance: editDistance(notation, candidate), guesses });
+        }
+    }
+    suggestions.sort((first, second) => first.distance - second.distance
+        || first.guesses - second.guesses
+        || first.candidate.localeCompare(second.candidate));
+
+    return suggestions.slice(0, MAX_SUGGESTIONS).map(({ candidate }) => candidate);
+};
+
+module.exports = {
+    normalizeNotation,
+    parseNotation,
+    suggestNotations,
+};
@@ -17,11 +17,21 @@ const {
     GET_SCHEMA,
     GET_VERSION,
     QUERY,
+    QUERY_EXPORT,
     GET_STATS,
+    GET_SUGGEST,
     POST_SIGN_LICENSE,
     POST_LICENSE,
     GET_LICENSE,
     SUBGRAPHS,
+    POST_SAVED_QUERY,
+    GET_SAVED_QUERIES,
+    GET_SAVED_QUERY,
+    DELETE_SAVED_QUERY,
+    RUN_SAVED_QUERY,
+    POST_VARIANT_MATCH,
+    POST_STATEMENT_MATCH,
+    GET_STATEMENT_CONFLICTS,
 } = require('./routes');
 const responses = require('./responses');
 const schemas = require('./schemas');
@@ -74,6 +84,10 @@ const STUB = {
         '/license/sign': { post: POST_SIGN_LICENSE },
         '/parse': { post: POST_PARSE },
         '/query': { post: QUERY },
+        '/query/export': { post: QUERY_EXPORT },
+        '/saved-queries': { get: GET_SAVED_QUERIES, post: POST_SAVED_QUERY },
+        '/saved-queries/{rid}': { delete: DELETE_SAVED_QUERY, get: GET_SAVED_QUERY },
+        '/saved-queries/{rid}/run': { get: RUN_SAVED_QUERY },
         '/schema': { get: GET_SCHEMA },
         '/spec': {
             get: {
@@ -103,9 +117,13 @@ const STUB = {
                 tags: ['Metadata'],
             },
         },
+        '/statements/conflicts': { get: GET_STATEMENT_CONFLICTS },
+        '/statements/match': { post: POST_STATEMENT_MATCH },
         '/stats': { get: GET_STATS },
         '/subgraphs/{ontology}': { post: SUBGRAPHS },
+        '/suggest': { get: GET_SUGGEST },
         '/token': { post: POST_TOKEN },
+        '/variants/match': { post: POST_VARIANT_MATCH },
         '/version': { get: GET_VERSION },
     },
     tags: [{
@@ -222,6 +240,240 @@ const describePost = (model) => {
     return post;
 };
 
+/**
+ * Given a class model, generate the swagger documentation for the POST batch route
+ *
+ * @param {ClassModel} model the model to build the route for
+ * @returns {Object} json representing the openapi spec defn
+ */
+const describePostBatch = (model) => {
+    const itemResult = {
+        properties: {
+            error: { description: 'The error which prevented this record from being created', type: 'object' },
+            index: { description: 'The position of this record in the input records array', type: 'integer' },
+            result: { $ref: `${SCHEMA_PREFIX}/${model.name}` },
+            status: { description: 'The HTTP status code for this record', example: HTTP_STATUS.CREATED, type: 'integer' },
+        },
+        type: 'object',
+    };
+    const batchResponse = (description) => ({
+        content: {
+            'application/json': {
+                schema: {
+                    properties: {
+                        result: { items: itemResult, type: 'array' },
+                    },
+                    type: 'object',
+                },
+            },
+        },
+        description,
+    });
+    const post = {
+        parameters: Array.from(Object.values(BASIC_HEADER_PARAMS), (p) => ({ $ref: `#/components/parameters/${p.name}` })),
+        requestBody: {
+            content: {
+                'application/json': {
+                    schema: {
+                        properties: {
+                            atomic: {
+                                default: false,
+                                description: 'If true, no records are created when any record in the batch fails',
+                                type: 'boolean',
+                            },
+                            records: {
+                                items: { $ref: `${SCHEMA_PREFIX}/${model.name}` },
+                                maxItems: 1000,
+                                minItems: 1,
+                                type: 'array',
+                            },
+                        },
+                        required: ['records'],
+                        type: 'object',
+                    },
+                },
+            },
+            required: true,
+        },
+        responses: {
+            201: batchResponse('All records were created'),
+            207: batchResponse('Some records could not be created (best-effort batch). See the status of each record'),
+            400: { $ref: '#/components/responses/BadInput' },
+            401: { $ref: '#/components/responses/NotAuthorized' },
+            403: { $ref: '#/components/responses/Forbidden' },
+            409: batchResponse('A record in an atomic batch conflicts with an existing record. No records were created'),
+        },
+        summary: `create a list of new ${model.name} records`,
+        tags: [model.name],
+    };
+    return post;
+};
+
+/**
+ * Given a class model, generate the swagger documentation for the PATCH route which updates
+ * all records matching a query
+ *
+ * @param {ClassModel} model the model to build the route for
+ * @returns {Object} json representing the openapi spec defn
+ */
+const describePatchMany = (model) => {
+    const itemResult = {
+        properties: {
+            '@rid': { $ref: `${SCHEMA_PREFIX}/@rid` },
+            changes: {
+                additionalProperties: {
+                    properties: { new: {}, old: {} },
+                    type: 'object',
+                },
+                description: 'The properties which would be changed (dry run only)',
+                type: 'object',
+            },
+            error: { description: 'The error which prevented this record from being updated', type: 'object' },
+            result: { $ref: `${SCHEMA_PREFIX}/${model.name}` },
+            status: { description: 'The HTTP status code for this record', example: HTTP_STATUS.OK, type: 'integer' },
+        },
+        type: 'object',
+    };
+    const patchResponse = (description) => ({
+        content: {
+            'application/json': {
+                schema: {
+                    properties: {
+                        metadata: {
+                            properties: {
+                                dryRun: { type: 'boolean' },
+                                records: { description: 'The number of records matched by the query', type: 'integer' },
+                            },
+                            type: 'object',
+                        },
+                        result: { items: itemResult, type: 'array' },
+                    },
+                    type: 'object',
+                },
+            },
+        },
+        description,
+    });
+    return {
+        parameters: Array.from(Object.values(BASIC_HEADER_PARAMS), (p) => ({ $ref: `#/components/parameters/${p.name}` })),
+        requestBody: {
+            content: {
+                'application/json': {
+                    schema: {
+                        properties: {
+                            changes: { $ref: `${SCHEMA_PREFIX}/${model.name}` },
+                            dryRun: {
+                                default: false,
+                                description: 'Return the matched records and the expected changes without updating them',
+                                type: 'boolean',
+                            },
+                            query: {
+                                $ref: `${SCHEMA_PREFIX}/Query`,
+                                description: `Query (same format as the /query route) selecting the records to update. The target defaults to ${model.name}. Queries with a limit of 1000 (the default) must match fewer than 1000 records`,
+                            },
+                        },
+                        required: ['changes'],
+                        type: 'object',
+                    },
+                },
+            },
+            required: true,
+        },
+        responses: {
+            200: patchResponse('All matched records were updated (or would be updated for a dry run)'),
+            207: patchResponse('Some matched records could not be updated. See the status of each record'),
+            400: { $ref: '#/components/responses/BadInput' },
+            401: { $ref: '#/components/responses/NotAuthorized' },
+            403: { $ref: '#/components/responses/Forbidden' },
+        },
+        summary: `update all ${model.name} records matching a query`,
+        tags: [model.name],
+    };
+};
+
+/**
+ * Given a class model, generate the swagger documentation for the GET history route
+ *
+ * @param {ClassModel} model the model to build the route for
+ * @returns {Object} json representing the openapi spec defn
+ */
+const describeHistory = (model) => {
+    const userLink = {
+        nullable: true,
+        properties: {
+            '@rid': { $ref: `${SCHEMA_PREFIX}/@rid` },
+            name: { type: 'string' },
+        },
+        type: 'object',
+    };
+    const timestamp = { nullable: true, type: 'integer' };
+    return {
+        parameters: _.concat(
+            Array.from(Object.values(BASIC_HEADER_PARAMS), (p) => ({ $ref: `#/components/parameters/${p.name}` })),
+            [{
+                description: 'The record identifier of the version to start from (usually the current version)',
+                example: '#34:1',
+                in: 'path',
+                name: 'rid',
+                required: true,
+                schema: { $ref: `${SCHEMA_PREFIX}/@rid` },
+            }],
+        ),
+        responses: {
+            200: {
+                content: {
+                    'application/json': {
+                        schema: {
+                            properties: {
+                                metadata: {
+                                    properties: { versions: { type: 'integer' } },
+                                    type: 'object',
+                                },
+                                result: {
+                                    description: 'The versions of the record, newest first',
+                                    items: {
+                                        properties: {
+                                            '@class': { type: 'string' },
+                                            '@rid': { $ref: `${SCHEMA_PREFIX}/@rid` },
+                                            changes: {
+                                                additionalProperties: {
+                                                    properties: { new: {}, old: {} },
+                                                    type: 'object',
+                                                },
+                                                description: 'The properties changed from the previous version (null for the first version)',
+                                                nullable: true,
+                                                type: 'object',
+                                            },
+                                            createdAt: timestamp,
+                                            createdBy: userLink,
+                                            deletedAt: timestamp,
+                                            deletedBy: userLink,
+                                            history: { $ref: `${SCHEMA_PREFIX}/@rid` },
+                                            record: { $ref: `${SCHEMA_PREFIX}/${model.name}` },
+                                            updatedAt: timestamp,
+                                            updatedBy: userLink,
+                                            version: { description: 'The version number (1 is the first version)', type: 'integer' },
+                                        },
+                                        type: 'object',
+                                    },
+                                    type: 'array',
+                                },
+                            },
+                            type: 'object',
+                        },
+                    },
+                },
+            },
+            400: { $ref: '#/components/responses/BadInput' },
+            401: { $ref: '#/components/responses/NotAuthorized' },
+            403: { $ref: '#/components/responses/Forbidden' },
+            404: { $ref: '#/components/responses/RecordNotFound' },
+        },
+        summary: `get the change history of a ${model.name} record by ID`,
+        tags: [model.name],
+    };
+};
+
 /**
  * Given a class model, generate the swagger documentation for the OPERATION/:id route where
  * OPERATION can be delete, patch, etc.
@@ -271,10 +523,182 @@ const describeOperationByID = (model, operation = 'delete') => {
     }
     if (operation === 'get') {
         description.parameters.push({ $ref: '#/components/parameters/neighbors' });
+        description.parameters.push({ $ref: '#/components/parameters/asOf' });
     }
     return description;
 };
 
+/**
+ * Given a class model, generate the swagger documentation for the POST revert route
+ *
+ * @param {ClassModel} model the model to build the route for
+ * @returns {Object} json representing the openapi spec defn
+ */
+const describeRevert = (model) => {
+    const description = describeOperationByID(model, 'revert');
+    description.requestBody = {
+        content: {
+            'application/json': {
+                schema: {
+                    properties: {
+                        version: {
+                            $ref: `${SCHEMA_PREFIX}/@rid`,
+                            description: `The record ID of the previous version to revert to (see GET ${model.routeName}/{rid}/history)`,
+                        },
+                    },
+                    required: ['version'],
+                    type: 'object',
+                },
+            },
+        },
+        required: true,
+    };
+    description.summary = `revert a ${model.name} record to a previous version. Requires update permissions`;
+    return description;
+};
+
+/**
+ * Given a class model, generate the swagger documentation for the POST restore route
+ *
+ * @param {ClassModel} model the model to build the route for
+ * @returns {Object} json representing the openapi spec defn
+ */
+const describeRestore = (model) => {
+    const description = describeOperationByID(model, 'restore');
+    description.requestBody = {
+        content: {
+            'application/json': {
+                schema: {
+                    properties: {
+                        edges: {
+                            default: false,
+                            description: 'Also re-create the edges which were deleted along with the record. Edges to records which have since been deleted are skipped',
+                            type: 'boolean',
+                        },
+                    },
+                    type: 'object',
+                },
+            },
+        },
+        required: false,
+    };
+    description.responses[200].content['application/json'].schema.properties.metadata = {
+        properties: {
+            restoredEdges: {
+                description: 'The deleted edges which were re-created',
+                items: { $ref: `${SCHEMA_PREFIX}/@rid` },
+                type: 'array',
+            },
+            skippedEdges: {
+                description: 'The deleted edges which could not be re-created',
+                items: {
+                    properties: { '@rid': { $ref: `${SCHEMA_PREFIX}/@rid` }, reason: { type: 'string' } },
+                    type: 'object',
+                },
+                type: 'array',
+            },
+        },
+        type: 'object',
+    };
+    description.summary = `restore a deleted ${model.name} record. Requires delete permissions`;
+    return description;
+};
+
+/**
+ * Given a class model, generate the swagger documentation for the POST merge route
+ *
+ * @param {ClassModel} model the model to build the route for
+ * @returns {Object} json representing the openapi spec defn
+ */
+const describeMerge = (model) => {
+    const ridList = { items: { $ref: `${SCHEMA_PREFIX}/@rid` }, type: 'array' };
+    const post = {
+        parameters: Array.from(Object.values(BASIC_HEADER_PARAMS), (p) => ({ $ref: `#/components/parameters/${p.name}` })),
+        requestBody: {
+            content: {
+                'application/json': {
+                    schema: {
+                        properties: {
+                            duplicates: { ...ridList, description: 'The records to merge into the survivor. These are deprecated by and then deleted', minItems: 1 },
+                            preview: {
+                                default: false,
+                                description: 'Return the changes which would be made without making them',
+                                type: 'boolean',
+                            },
+                            survivor: { $ref: `${SCHEMA_PREFIX}/@rid`, description: 'The record to keep' },
+                        },
+                        required: ['survivor', 'duplicates'],
+                        type: 'object',
+                    },
+                },
+            },
+            required: true,
+        },
+        responses: {
+            200: {
+                content: {
+                    'application/json': {
+                        schema: {
+                            properties: {
+                                metadata: {
+                                    properties: {
+                                        duplicates: ridList,
+                                        edges: {
+                                            description: 'The edges of the duplicates. Edges with a replacement are re-created on the survivor, the rest are only deleted (reason)',
+                                            items: {
+                                                properties: {
+                                                    '@class': { type: 'string' },
+                                                    '@rid': { $ref: `${SCHEMA_PREFIX}/@rid` },
+                                                    duplicate: { $ref: `${SCHEMA_PREFIX}/@rid` },
+                                                    reason: { nullable: true, type: 'string' },
+                                                    replacement: { nullable: true, type: 'object' },
+                                                },
+                                                type: 'object',
+                                            },
+                                            type: 'array',
+                                        },
+                                        links: {
+                                            description: 'The records which link to the duplicates and will be updated to link to the survivor instead',
+                                            items: {
+                                                properties: {
+                                                    '@class': { type: 'string' },
+                                                    '@rid': { $ref: `${SCHEMA_PREFIX}/@rid` },
+                                                    changes: { type: 'object' },
+                                                    conflicts: ridList,
+                                                },
+                                                type: 'object',
+                                            },
+                                            type: 'array',
+                                        },
+                                        preview: { type: 'boolean' },
+                                        survivor: { $ref: `${SCHEMA_PREFIX}/@rid` },
+                                    },
+                                    type: 'object',
+                                },
+                                result: {
+                                    $ref: `${SCHEMA_PREFIX}/${model.name}`,
+                                    description: 'The survivor record (null for a preview)',
+                                    nullable: true,
+                                },
+                            },
+                            type: 'object',
+                        },
+                    },
+                },
+                description: 'The records were merged (or the preview of the merge)',
+            },
+            400: { $ref: '#/components/responses/BadInput' },
+            401: { $ref: '#/components/responses/NotAuthorized' },
+            403: { $ref: '#/components/responses/Forbidden' },
+            404: { $ref: '#/components/responses/RecordNotFound' },
+            409: { $ref: '#/components/responses/RecordConflictError' },
+        },
+        summary: `merge duplicate ${model.name} records into a single record. Requires delete permissions`,
+        tags: [model.name],
+    };
+    return post;
+};
+
 const tagsSorter = (tag1, tag2) => {
     const starterTags = ['Metadata', 'General', 'Statement'];
     tag1 = tag1.name || tag1;
@@ -341,6 +765,20 @@ const generateSwaggerSpec = (schema, metadata) => {
         if (model.routes.POST && !docs.paths[model.routeName].post) {
             docs.paths[model.routeName].post = describePost(model);
         }
+        if (model.routes.POST && !docs.paths[`${model.routeName}/batch`]) {
+            docs.paths[`${model.routeName}/batch`] = { post: describePostBatch(model) };
+        }
+        if (model.routes.PATCH && !model.isEdge && !docs.paths[model.routeName].patch) {
+            docs.paths[model.routeName].patch = describePatchMany(model);
+        }
+        if (
+            model.routes.PATCH
+            && model.routes.DELETE
+            && schema.inheritsFrom(model.name, 'Ontology')
+            && !docs.paths[`${model.routeName}/merge`]
+        ) {
+            docs.paths[`${model.routeName}/merge`] = { post: describeMerge(model) };
+        }
         if (model.routes.GET || model.routes.PATCH || model.routes.DELETE) {
             if (!docs.paths[`${model.routeName}/{rid}`]) {
                 docs.paths[`${model.routeName}/{rid}`] = {};
@@ -354,6 +792,15 @@ const generateSwaggerSpec = (schema, metadata) => {
             if (model.routes.GET && !docs.paths[`${model.routeName}/{rid}`].get) {
                 docs.paths[`${model.routeName}/{rid}`].get = describeOperationByID(model, 'get');
             }
+            if (model.routes.PATCH && !model.isEdge && !docs.paths[`${model.routeName}/{rid}/revert`]) {
+                docs.paths[`${model.routeName}/{rid}/revert`] = { post: describeRevert(model) };
+            }
+            if (model.routes.DELETE && !model.isEdge && !docs.paths[`${model.routeName}/{rid}/restore`]) {
+                docs.paths[`${model.routeName}/{rid}/restore`] = { post: describeRestore(model) };
+            }
+            if (model.routes.GET && !docs.paths[`${model.routeName}/{rid}/history`]) {
+                docs.paths[`${model.routeName}/{rid}/history`] = { get: describeHistory(model) };
+            }
         }
         if (model.isAbstract) {
             // should inherit from its concrete subclasses instead
@@ -8,6 +8,13 @@
 const { MAX_JUMPS, MAX_QUERY_LIMIT, DEFAULT_QUERY_LIMIT } = require('./constants');
 
 const GENERAL_QUERY_PARAMS = {
+    asOf: {
+        description: 'Return the version of the record which was current at this time (timestamp or date) instead of the current version',
+        in: 'query',
+        name: 'asOf',
+        nullable: false,
+        schema: { oneOf: [{ type: 'integer' }, { format: 'date-time', type: 'string' }] },
+    },
     count: {
         description: 'Return a count of the records for this query instead of the query itself',
         in: 'query',
@@ -49,6 +49,18 @@ const BadInput = {
     description: 'Bad request contains invalid input',
 };
 
+const QueryTimeout = {
+    content: {
+        'application/json': {
+            schema: {
+                $ref: '#/components/schemas/Error',
+                properties: { name: { example: 'QueryTimeoutError' } },
+            },
+        },
+    },
+    description: 'The query did not complete within the timeout',
+};
+
 const RecordNotFound = {
     content: {
         'application/json': {
@@ -61,5 +73,5 @@ const RecordNotFound = {
 };
 
 module.exports = {
-    BadInput, Forbidden, NotAuthorized, RecordConflictError, RecordNotFound,
+    BadInput, Forbidden, NotAuthorized, QueryTimeout, RecordConflictError, RecordNotFound,
 };
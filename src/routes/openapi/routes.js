@@ -4,6 +4,7 @@
  */
 const { schema } = require('@bcgsc-pori/graphkb-schema');
 const { groupableParams } = require('../../repo/commands/select');
+const { DEFAULT_SUGGEST_LIMIT, MAX_SUGGEST_LIMIT } = require('../../repo/commands/suggest');
 
 const POST_TOKEN = {
     parameters: [
@@ -85,13 +86,29 @@ const POST_PARSE = {
         content: {
             'application/json': {
                 examples: {
+                    batch: {
+                        value: { content: ['KRAS:p.G12D', 'KRAS:p.G12'], normalize: true },
+                    },
                     fusion: { value: { content: '(EWSR1,FLI1):fusion(e.1,e.2)' } },
+                    'needs normalization': { value: { content: 'KRAS:Gly12Asp' } },
                     'no feature': { value: { content: 'p.G12D' } },
                     'small mutation': { value: { content: 'KRAS:p.G12D' } },
                 },
                 schema: {
                     properties: {
-                        content: { description: 'the variant string representation', example: 'KRAS:p.G12D', type: 'string' },
+                        content: {
+                            description: 'the variant string representation or a list of (up to 100) variant string representations. Each variant in a list is parsed separately and the errors are returned for the variants which cannot be parsed',
+                            oneOf: [
+                                { example: 'KRAS:p.G12D', type: 'string' },
+                                {
+                                    items: { type: 'string' },
+                                    maxItems: 100,
+                                    minItems: 1,
+                                    type: 'array',
+                                },
+                            ],
+                        },
+                        normalize: { default: false, description: 'flag to also return the canonical (normalized) string representation of each variant', type: 'boolean' },
                         requireFeatures: { description: 'flag to indicate features are or are not required in the variant string', type: 'boolean' },
                     },
                     required: ['content'],
@@ -103,14 +120,333 @@ const POST_PARSE = {
     },
     responses: {
         200: {
-            content: { 'application/json': { schema: { type: 'object' } } },
+            content: {
+                'application/json': {
+                    schema: {
+                        description: 'Variants which cannot be parsed as given are normalized (ex. three-letter amino acid codes are converted to one-letter codes) before parsing. For a list of variants, the result is a list of the content with either its parsed result (and normalized form) or the parsing error and suggested notations',
+                        properties: {
+                            metadata: {
+                                properties: {
+                                    errors: { type: 'integer' },
+                                    records: { type: 'integer' },
+                                },
+                                type: 'object',
+                            },
+                            normalizations: {
+                                description: 'The normalizations applied to the variant before it could be parsed',
+                                items: { type: 'string' },
+                                type: 'array',
+                            },
+                            normalized: { type: 'string' },
+                            result: {
+                                oneOf: [
+                                    { type: 'object' },
+                                    {
+                                        items: {
+                                            properties: {
+                                                content: { type: 'string' },
+                                                error: { type: 'object' },
+                                                normalizations: {
+                                                    items: { type: 'string' },
+                                                    type: 'array',
+                                                },
+                                                normalized: { type: 'string' },
+                                                result: { type: 'object' },
+                                                suggestions: {
+                                                    items: { type: 'string' },
+                                                    type: 'array',
+                                                },
+                                            },
+                                            type: 'object',
+                                        },
+                                        type: 'array',
+                                    },
+                                ],
+                            },
+                        },
+                        type: 'object',
+                    },
+                },
+            },
+        },
+        400: {
+            content: {
+                'application/json': {
+                    schema: {
+                        description: 'The parsing error with the suggested (corrected) notations which can be parsed, most similar first',
+                        properties: {
+                            suggestions: {
+                                example: ['KRAS:p.G12D'],
+                                items: { type: 'string' },
+                                type: 'array',
+                            },
+                        },
+                        type: 'object',
+                    },
+                },
+            },
+        },
+    },
+    summary: 'Parse variant string representation(s)',
+    tags: ['General'],
+};
+
+const POST_VARIANT_MATCH = {
+    parameters: [
+        { $ref: '#/components/parameters/Accept' },
+        { $ref: '#/components/parameters/Authorization' },
+    ],
+    requestBody: {
+        content: {
+            'application/json': {
+                examples: {
+                    'category level': {
+                        value: { variant: { reference1: 'KRAS', type: 'mutation' } },
+                    },
+                    fusion: { value: { variant: '(EWSR1,FLI1):fusion(e.7,e.5)' } },
+                    'small mutation': { value: { variant: 'KRAS:p.G12D' } },
+                },
+                schema: {
+                    properties: {
+                        variant: {
+                            description: 'The variant notation or the parsed variant (see POST /parse). The positions (and sequences, ex. refSeq) are optional for a parsed variant',
+                            oneOf: [
+                                { example: 'KRAS:p.G12D', type: 'string' },
+                                {
+                                    properties: {
+                                        break1End: { type: 'object' },
+                                        break1Start: { type: 'object' },
+                                        break2End: { type: 'object' },
+                                        break2Start: { type: 'object' },
+                                        reference1: { example: 'KRAS', type: 'string' },
+                                        reference2: { nullable: true, type: 'string' },
+                                        type: { example: 'missense mutation', type: 'string' },
+                                        untemplatedSeq: { type: 'string' },
+                                        untemplatedSeqSize: { type: 'integer' },
+                                    },
+                                    required: ['reference1', 'type'],
+                                    type: 'object',
+                                },
+                            ],
+                        },
+                    },
+                    required: ['variant'],
+                    type: 'object',
+                },
+            },
+        },
+        required: true,
+    },
+    responses: {
+        200: {
+            content: {
+                'application/json': {
+                    schema: {
+                        properties: {
+                            metadata: {
+                                properties: { records: { type: 'integer' } },
+                                type: 'object',
+                            },
+                            result: {
+                                items: {
+                                    properties: {
+                                        matchType: {
+                                            description: 'exact (same positions and sequence), overlap (overlapping positions), or category (no positions)',
+                                            enum: ['exact', 'overlap', 'category'],
+                                            type: 'string',
+                                        },
+                                        reasons: {
+                                            description: 'Why the gene(s), type, and positions of the variant matched',
+                                            items: { type: 'string' },
+                                            type: 'array',
+                                        },
+                                        variant: { $ref: '#/components/schemas/Variant' },
+                                    },
+                                    type: 'object',
+                                },
+                                type: 'array',
+                            },
+                        },
+                        type: 'object',
+                    },
+                },
+            },
         },
         400: { $ref: '#/components/responses/BadInput' },
+        401: { $ref: '#/components/responses/NotAuthorized' },
     },
-    summary: 'Parse variant string representation',
+    summary: 'Find the variants in GraphKB matching a sequenced variant. Includes variants of similar genes with related types, positional variants with overlapping positions, and category variants (ex. KRAS mutation). For fusions, category variants of either partner are matched',
     tags: ['General'],
 };
 
+const POST_STATEMENT_MATCH = {
+    parameters: [
+        { $ref: '#/components/parameters/Accept' },
+        { $ref: '#/components/parameters/Authorization' },
+    ],
+    requestBody: {
+        content: {
+            'application/json': {
+                examples: {
+                    'record IDs': { value: { variants: ['#157:0'] } },
+                    'with disease': {
+                        value: { disease: 'melanoma', variants: ['BRAF:p.V600E'] },
+                    },
+                },
+                schema: {
+                    properties: {
+                        disease: {
+                            description: 'The disease name, sourceId, or record ID. Statements with disease conditions must match a related disease',
+                            example: 'melanoma',
+                            type: 'string',
+                        },
+                        variants: {
+                            description: 'The variant notations or variant record IDs',
+                            items: { example: 'KRAS:p.G12D', type: 'string' },
+                            maxItems: 100,
+                            minItems: 1,
+                            type: 'array',
+                        },
+                    },
+                    required: ['variants'],
+                    type: 'object',
+                },
+            },
+        },
+        required: true,
+    },
+    responses: {
+        200: {
+            content: {
+                'application/json': {
+                    schema: {
+                        properties: {
+                            metadata: {
+                                properties: {
+                                    statements: {
+                                        description: 'The number of distinct statements matched',
+                                        type: 'integer',
+                                    },
+                                },
+                                type: 'object',
+                            },
+                            result: {
+                                items: {
+                                    properties: {
+                                        input: { type: 'string' },
+                                        statements: {
+                                            items: {
+                                                properties: {
+                                                    matches: {
+                                                        description: 'The matched conditions and the path (reasons) from the input to each condition',
+                                                        items: {
+                                                            properties: {
+                                                                condition: { type: 'object' },
+                                                                path: {
+                                                                    items: { type: 'string' },
+                                                                    type: 'array',
+                                                                },
+                                                            },
+                                                            type: 'object',
+                                                        },
+                                                        type: 'array',
+                                                    },
+                                                    statement: { $ref: '#/components/schemas/Statement' },
+                                                },
+                                                type: 'object',
+                                            },
+                                            type: 'array',
+                                        },
+                                    },
+                                    type: 'object',
+                                },
+                                type: 'array',
+                            },
+                        },
+                        type: 'object',
+                    },
+                },
+            },
+        },
+        400: { $ref: '#/components/responses/BadInput' },
+        401: { $ref: '#/components/responses/NotAuthorized' },
+    },
+    summary: 'Find the statements for a list of variants (and a disease). Each variant is matched to the GraphKB variants (see POST /variants/match) and expanded by the similarity and tree edges. Statements are returned when all of their variant conditions are matched and, when a disease is given, all of their disease conditions are related to the disease',
+    tags: ['General'],
+};
+
+const GET_STATEMENT_CONFLICTS = {
+    parameters: [
+        { $ref: '#/components/parameters/Accept' },
+        { $ref: '#/components/parameters/Authorization' },
+        {
+            description: 'Only include statements with a variant condition on this gene (name, sourceId, or record ID). Similar genes (ex. aliases) are included',
+            in: 'query',
+            name: 'gene',
+            schema: { example: 'KRAS', type: 'string' },
+        },
+        {
+            description: 'Only include statements from this source (name or record ID)',
+            in: 'query',
+            name: 'source',
+            schema: { example: 'civic', type: 'string' },
+        },
+        {
+            description: 'Only include statements with a subject of this class',
+            in: 'query',
+            name: 'subjectClass',
+            schema: { example: 'Therapy', type: 'string' },
+        },
+    ],
+    responses: {
+        200: {
+            content: {
+                'application/json': {
+                    schema: {
+                        properties: {
+                            metadata: {
+                                properties: { records: { type: 'integer' } },
+                                type: 'object',
+                            },
+                            result: {
+                                items: {
+                                    properties: {
+                                        conditions: {
+                                            items: { type: 'object' },
+                                            type: 'array',
+                                        },
+                                        relevances: {
+                                            description: 'The pairs of relevance record IDs which are linked by OppositeOf edges',
+                                            items: {
+                                                items: { $ref: '#/components/schemas/RecordId' },
+                                                type: 'array',
+                                            },
+                                            type: 'array',
+                                        },
+                                        statements: {
+                                            description: 'The conflicting statements (with their evidence)',
+                                            items: { $ref: '#/components/schemas/Statement' },
+                                            type: 'array',
+                                        },
+                                        subject: { type: 'object' },
+                                    },
+                                    type: 'object',
+                                },
+                                type: 'array',
+                            },
+                        },
+                        type: 'object',
+                    },
+                },
+            },
+        },
+        400: { $ref: '#/components/responses/BadInput' },
+        401: { $ref: '#/components/responses/NotAuthorized' },
+    },
+    summary: 'Find the groups of conflicting statements. Statements conflict when they have the same conditions and subject but their relevances are linked by an OppositeOf edge (ex. sensitivity and resistance)',
+    tags: ['Statement'],
+};
+
 const GET_SCHEMA = {
     parameters: [
         { $ref: '#/components/parameters/Accept' },
@@ -236,7 +572,101 @@ const GET_STATS = {
     tags: ['Metadata'],
 };
 
+const GET_SUGGEST = {
+    parameters: [
+        { $ref: '#/components/parameters/Accept' },
+        { $ref: '#/components/parameters/Authorization' },
+        {
+            description: 'The ontology class to suggest terms from',
+            in: 'query',
+            name: 'class',
+            required: true,
+            schema: {
+                enum: schema.getModels()
+                    .filter((m) => m.name === 'Ontology' || schema.inheritsFrom(m.name, 'Ontology'))
+                    .map((m) => m.name),
+                example: 'Disease',
+                type: 'string',
+            },
+        },
+        {
+            description: 'The start of the name or sourceId of the terms',
+            in: 'query',
+            name: 'prefix',
+            required: true,
+            schema: { example: 'glio', type: 'string' },
+        },
+        {
+            description: 'The maximum number of suggestions to return',
+            in: 'query',
+            name: 'limit',
+            schema: {
+                default: DEFAULT_SUGGEST_LIMIT, maximum: MAX_SUGGEST_LIMIT, minimum: 1, type: 'integer',
+            },
+        },
+    ],
+    responses: {
+        200: {
+            content: {
+                'application/json': {
+                    schema: {
+                        properties: {
+                            metadata: {
+                                properties: { records: { type: 'integer' } },
+                                type: 'object',
+                            },
+                            result: {
+                                items: {
+                                    properties: {
+                                        '@class': { type: 'string' },
+                                        '@rid': { $ref: '#/components/schemas/@rid' },
+                                        deprecated: { type: 'boolean' },
+                                        displayName: { type: 'string' },
+                                        source: {
+                                            nullable: true,
+                                            properties: {
+                                                '@rid': { $ref: '#/components/schemas/@rid' },
+                                                name: { type: 'string' },
+                                            },
+                                            type: 'object',
+                                        },
+                                    },
+                                    type: 'object',
+                                },
+                                type: 'array',
+                            },
+                        },
+                        type: 'object',
+                    },
+                },
+            },
+        },
+        400: { $ref: '#/components/responses/BadInput' },
+        401: { $ref: '#/components/responses/NotAuthorized' },
+    },
+    summary: 'Suggest ontology terms (for typeahead) by the prefix of their name or sourceId. Exact matches are returned first and terms linked by similarity edges (ex. aliases) are only suggested once',
+    tags: ['General'],
+};
+
 const QUERY = {
+    parameters: [
+        {
+            description: 'The media type of the response. The delimited (spreadsheet) formats have a column for each of the returnProperties (ex. source.name) and a row for each record',
+            in: 'header',
+            name: 'Accept',
+            schema: {
+                default: 'application/json',
+                enum: ['application/json', 'text/csv', 'text/tab-separated-values'],
+                type: 'string',
+            },
+        },
+        {
+            description: 'For the delimited formats, the delimiter used to join the values of iterable properties (ex. conditions) within a single cell',
+            in: 'query',
+            name: 'listDelimiter',
+            schema: { default: ';', type: 'string' },
+        },
+    ],
     requestBody: {
         content: {
             'application/json': {
@@ -289,12 +719,66 @@ const QUERY = {
                             target: 'Variant',
                         },
                     },
+                    'paginated statements': {
+                        description: 'Get the first page of statements. Pass the returned metadata.nextCursor as the cursor to get the next page',
+                        value: {
+                            limit: 100,
+                            paginate: true,
+                            target: 'Statement',
+                        },
+                    },
+                    'ranked keyword search': {
+                        description: 'Get diseases by keyword search ordered by relevance (exact name, alias, sourceId, partial, then misspelled matches). The scores are returned in metadata.relevance',
+                        value: {
+                            keyword: 'glioblastma',
+                            queryType: 'keyword',
+                            ranked: true,
+                            target: 'Disease',
+                        },
+                    },
                     'records by ID': {
                         description: 'Get a list of records by their records IDs',
                         value: {
                             target: ['#13:1', '#13:2'],
                         },
                     },
+                    'shortest path': {
+                        description: 'Explain how two terms are related. Returns the records (vertices and edges) along the shortest path between them',
+                        value: {
+                            edges: ['AliasOf', 'SubClassOf', 'CrossReferenceOf'],
+                            from: { filters: { name: 'pancreatic cancer' }, target: 'Disease' },
+                            queryType: 'shortestPath',
+                            target: 'Disease',
+                            to: '#135:14856',
+                        },
+                    },
+                    'statements per relevance and source': {
+                        description: 'Count statements grouped by their relevance and source. Returns a row for each group with its count',
+                        value: {
+                            groupBy: ['relevance.name', 'source.name'],
+                            target: 'Statement',
+                        },
+                    },
+                    'statements without a gene': {
+                        description: 'Get statements whose conditions do not include any variant of a gene',
+                        value: {
+                            filters: {
+                                NOT: {
+                                    conditions: {
+                                        filters: {
+                                            reference1: {
+                                                filters: { name: 'kras' },
+                                                target: 'Feature',
+                                            },
+                                        },
+                                        target: 'Variant',
+                                    },
+                                    operator: 'CONTAINSANY',
+                                },
+                            },
+                            target: 'Statement',
+                        },
+                    },
                     'therapeutic statements': {
                         description: 'Get therapeutically relevant statements',
                         value: {
@@ -328,6 +812,22 @@ const QUERY = {
             content: {
                 'application/json': {
                     properties: {
+                        metadata: {
+                            properties: {
+                                nextCursor: {
+                                    description: 'The cursor for the next page of results (paginated queries only). Null for the last page',
+                                    nullable: true,
+                                    type: 'string',
+                                },
+                                records: { type: 'integer' },
+                                relevance: {
+                                    additionalProperties: { type: 'number' },
+                                    description: 'The relevance score of each record by record ID (ranked keyword searches only)',
+                                    type: 'object',
+                                },
+                            },
+                            type: 'object',
+                        },
                         result: {
                             items: { $ref: '#/components/schemas/V' },
                             type: 'array',
@@ -336,10 +836,253 @@ const QUERY = {
                     required: ['result'],
                     type: 'object',
                 },
+                'text/csv': { schema: { type: 'string' } },
+                'text/tab-separated-values': { schema: { type: 'string' } },
+            },
+        },
+        504: { $ref: '#/components/responses/QueryTimeout' },
+    },
+    summary: 'Query the database. When the explain option is given the query is not run and the response result is instead the parsed query (query), the generated statement (statement, params, and sql), and the execution plan (plan)',
+    tags: ['General'],
+};
+
+const QUERY_EXPORT = {
+    requestBody: {
+        content: {
+            'application/json': {
+                examples: {
+                    'statements by gene': {
+                        description: 'Export all the statements for a list of genes',
+                        value: {
+                            filters: {
+                                conditions: {
+                                    filters: { name: ['kras', 'braf'], operator: 'IN' },
+                                    target: 'Feature',
+                                },
+                                operator: 'CONTAINSANY',
+                            },
+                            returnProperties: ['@rid', 'displayNameTemplate', 'relevance', 'subject'],
+                            target: 'Statement',
+                        },
+                    },
+                },
+                schema: {
+                    $ref: '#/components/schemas/Query',
+                },
+            },
+        },
+        required: true,
+    },
+    responses: {
+        200: {
+            content: {
+                'application/x-ndjson': {
+                    schema: {
+                        description: 'One JSON record per line',
+                        type: 'string',
+                    },
+                },
+            },
+        },
+        400: { $ref: '#/components/responses/BadInput' },
+        401: { $ref: '#/components/responses/NotAuthorized' },
+    },
+    summary: 'Export all the results of a query as newline delimited JSON (not limited to the maximum query limit). The limit, skip, orderBy, orderByDirection, count, groupBy, paginate, and cursor options are not allowed',
+    tags: ['General'],
+};
+
+const SAVED_QUERY_RID = {
+    description: 'The record ID of the saved query',
+    in: 'path',
+    name: 'rid',
+    required: true,
+    schema: { $ref: '#/components/schemas/@rid' },
+};
+
+const SAVED_QUERY_RECORD = {
+    properties: {
+        '@class': { enum: ['SavedQuery'], type: 'string' },
+        '@rid': { $ref: '#/components/schemas/@rid' },
+        createdAt: { type: 'integer' },
+        createdBy: { $ref: '#/components/schemas/@rid' },
+        description: { nullable: true, type: 'string' },
+        groups: { items: { $ref: '#/components/schemas/RecordId' }, type: 'array' },
+        name: { type: 'string' },
+        parameters: {
+            description: 'The names of the placeholders which must be given values when the query is run',
+            items: { type: 'string' },
+            type: 'array',
+        },
+        query: { $ref: '#/components/schemas/Query' },
+    },
+    type: 'object',
+};
+
+const SAVED_QUERY_RESPONSE = {
+    content: {
+        'application/json': {
+            schema: {
+                properties: { result: SAVED_QUERY_RECORD },
+                type: 'object',
+            },
+        },
+    },
+};
+
+const POST_SAVED_QUERY = {
+    parameters: [
+        { $ref: '#/components/parameters/Content-Type' },
+        { $ref: '#/components/parameters/Accept' },
+        { $ref: '#/components/parameters/Authorization' },
+    ],
+    requestBody: {
+        content: {
+            'application/json': {
+                examples: {
+                    'statements by gene': {
+                        description: 'Statements for a gene given when the query is run (ex. ?gene=kras)',
+                        value: {
+                            description: 'statements where the gene is one of the conditions',
+                            groups: [],
+                            name: 'statements by gene',
+                            query: {
+                                filters: {
+                                    conditions: { keyword: '$gene', queryType: 'keyword', target: 'Feature' },
+                                    operator: 'CONTAINSANY',
+                                },
+                                target: 'Statement',
+                            },
+                        },
+                    },
+                },
+                schema: {
+                    properties: {
+                        description: { type: 'string' },
+                        groups: {
+                            description: 'The user groups to share the saved query with. The user must be a member of each group',
+                            items: { $ref: '#/components/schemas/RecordId' },
+                            type: 'array',
+                        },
+                        name: { type: 'string' },
+                        query: { $ref: '#/components/schemas/Query' },
+                    },
+                    required: ['name', 'query'],
+                    type: 'object',
+                },
             },
         },
+        required: true,
+    },
+    responses: {
+        201: SAVED_QUERY_RESPONSE,
+        400: { $ref: '#/components/responses/BadInput' },
+        401: { $ref: '#/components/responses/NotAuthorized' },
+    },
+    summary: 'Save a named query which can be run later and shared with user groups. String values of the form $name in the query body are placeholders which are given values when the query is run',
+    tags: ['General'],
+};
+
+const GET_SAVED_QUERIES = {
+    parameters: [
+        { $ref: '#/components/parameters/Accept' },
+        { $ref: '#/components/parameters/Authorization' },
+    ],
+    responses: {
+        200: {
+            content: {
+                'application/json': {
+                    schema: {
+                        properties: {
+                            metadata: {
+                                properties: { records: { type: 'integer' } },
+                                type: 'object',
+                            },
+                            result: { items: SAVED_QUERY_RECORD, type: 'array' },
+                        },
+                        type: 'object',
+                    },
+                },
+            },
+        },
+        401: { $ref: '#/components/responses/NotAuthorized' },
+    },
+    summary: 'List the saved queries created by or shared with the current user',
+    tags: ['General'],
+};
+
+const GET_SAVED_QUERY = {
+    parameters: [
+        { $ref: '#/components/parameters/Accept' },
+        { $ref: '#/components/parameters/Authorization' },
+        SAVED_QUERY_RID,
+    ],
+    responses: {
+        200: SAVED_QUERY_RESPONSE,
+        400: { $ref: '#/components/responses/BadInput' },
+        401: { $ref: '#/components/responses/NotAuthorized' },
+        404: { $ref: '#/components/responses/RecordNotFound' },
+    },
+    summary: 'Get a saved query by its record ID',
+    tags: ['General'],
+};
+
+const DELETE_SAVED_QUERY = {
+    parameters: [
+        { $ref: '#/components/parameters/Accept' },
+        { $ref: '#/components/parameters/Authorization' },
+        SAVED_QUERY_RID,
+    ],
+    responses: {
+        200: SAVED_QUERY_RESPONSE,
+        400: { $ref: '#/components/responses/BadInput' },
+        401: { $ref: '#/components/responses/NotAuthorized' },
+        403: { $ref: '#/components/responses/Forbidden' },
+        404: { $ref: '#/components/responses/RecordNotFound' },
+    },
+    summary: 'Delete a saved query. Only the user who created the saved query can delete it',
+    tags: ['General'],
+};
+
+const RUN_SAVED_QUERY = {
+    parameters: [
+        { $ref: '#/components/parameters/Accept' },
+        { $ref: '#/components/parameters/Authorization' },
+        SAVED_QUERY_RID,
+        {
+            description: 'The values for the placeholders of the saved query (ex. ?gene=kras for the placeholder $gene). Every placeholder must be given a value',
+            explode: true,
+            in: 'query',
+            name: 'parameters',
+            schema: { additionalProperties: { type: 'string' }, type: 'object' },
+            style: 'form',
+        },
+    ],
+    responses: {
+        200: {
+            content: {
+                'application/json': {
+                    schema: {
+                        properties: {
+                            metadata: {
+                                properties: {
+                                    nextCursor: { nullable: true, type: 'string' },
+                                    records: { type: 'integer' },
+                                },
+                                type: 'object',
+                            },
+                            result: { items: { type: 'object' }, type: 'array' },
+                        },
+                        type: 'object',
+                    },
+                },
+            },
+        },
+        400: { $ref: '#/components/responses/BadInput' },
+        401: { $ref: '#/components/responses/NotAuthorized' },
+        403: { $ref: '#/components/responses/Forbidden' },
+        404: { $ref: '#/components/responses/RecordNotFound' },
     },
-    summary: 'Query the database',
+    summary: 'Run a saved query, substituting the given values for its placeholders. The response is the same as for POST /query',
     tags: ['General'],
 };
 
@@ -420,6 +1163,7 @@ const SUBGRAPHS = {
                 },
             },
         },
+        504: { $ref: '#/components/responses/QueryTimeout' },
     },
     summary: 'Traverse an ontology and return a subgraph',
     tags: ['General'],
@@ -478,14 +1222,24 @@ const POST_LICENSE = {
 };
 
 module.exports = {
+    DELETE_SAVED_QUERY,
     GET_LICENSE,
+    GET_SAVED_QUERIES,
+    GET_SAVED_QUERY,
     GET_SCHEMA,
+    GET_STATEMENT_CONFLICTS,
     GET_STATS,
+    GET_SUGGEST,
     GET_VERSION,
     POST_LICENSE,
     POST_PARSE,
+    POST_SAVED_QUERY,
     POST_SIGN_LICENSE,
+    POST_STATEMENT_MATCH,
     POST_TOKEN,
+    POST_VARIANT_MATCH,
     QUERY,
+    QUERY_EXPORT,
+    RUN_SAVED_QUERY,
     SUBGRAPHS,
 };
@@ -17,7 +17,7 @@ const {
 
 const {
     constants: {
-        OPERATORS, DIRECTIONS, SIMILARITY_EDGES, TREE_EDGES,
+        OPERATORS, DIRECTIONS, MAX_TRAVEL_DEPTH, SIMILARITY_EDGES, TREE_EDGES,
     },
 } = require('../../repo/query_builder');
 const {
@@ -175,6 +175,7 @@ const FixedSubQuery = {
         { $ref: `${PREFIX}/NeighborhoodQuery` },
         { $ref: `${PREFIX}/TreeQuery` },
         { $ref: `${PREFIX}/SimilarityQuery` },
+        { $ref: `${PREFIX}/ShortestPathQuery` },
     ],
     description: 'Fixed subquery',
 };
@@ -184,6 +185,11 @@ const KeywordQuery = {
     properties: {
         keyword: { type: 'string' },
         queryType: { enum: ['keyword'], type: 'string' },
+        ranked: {
+            default: false,
+            description: 'Order the results by their relevance to the keyword and include misspelled matches. Only applies to the top level query',
+            type: 'boolean',
+        },
         target: { enum: NODE_MODEL_NAMES, type: 'string' },
     },
     required: ['queryType', 'target', 'keyword'],
@@ -275,6 +281,50 @@ const TreeQuery = {
     type: 'object',
 };
 
+const pathEndpoint = (description) => ({
+    description,
+    oneOf: [
+        { $ref: `${PREFIX}/RecordId` },
+        { $ref: `${PREFIX}/SubQuery` },
+    ],
+});
+
+const ShortestPathQuery = {
+    description: 'Find the shortest path between two records. Returns the records along the path (in order) alternating between vertices and the edges connecting them',
+    properties: {
+        depth: {
+            default: MAX_TRAVEL_DEPTH,
+            description: 'maximum length (number of edges) of the path',
+            maximum: MAX_TRAVEL_DEPTH,
+            minimum: 1,
+            type: 'integer',
+        },
+        direction: {
+            default: 'both',
+            description: 'Direction of edges to follow',
+            enum: Object.values(DIRECTIONS),
+            type: 'string',
+        },
+        edges: {
+            default: [...SIMILARITY_EDGES, ...TREE_EDGES],
+            description: 'The edge classes which may be used in the path',
+            items: {
+                enum: EDGE_MODEL_NAMES,
+                type: 'string',
+            },
+            type: 'array',
+        },
+        from: pathEndpoint('The record at the start of the path (or the first record matched by the query)'),
+        queryType: {
+            enum: ['shortestPath'],
+        },
+        target: { description: 'The class of the records being connected (and the default target for the from/to queries)', enum: NODE_MODEL_NAMES, type: 'string' },
+        to: pathEndpoint('The record at the end of the path (or the first record matched by the query)'),
+    },
+    required: ['queryType', 'target', 'from', 'to'],
+    type: 'object',
+};
+
 const NeighborhoodQuery = {
     description: 'Query for a vertex and then grab surrounding vertices up to a given depth',
     properties: {
@@ -315,12 +365,22 @@ const Query = {
         { $ref: `${PREFIX}/FixedSubQuery` },
     ],
     properties: {
+        asOf: {
+            description: 'Return the version of each record which was current at this time (timestamp or date) instead of the current version. Cannot be combined with history',
+            example: '2021-03-01T00:00:00Z',
+            oneOf: [{ type: 'integer' }, { format: 'date-time', type: 'string' }],
+        },
         count: { $ref: `${PREFIX}/count` },
+        cursor: { $ref: `${PREFIX}/cursor` },
+        explain: { $ref: `${PREFIX}/explain` },
+        groupBy: { $ref: `${PREFIX}/groupBy` },
         limit: { $ref: `${PREFIX}/limit` },
         orderBy: { $ref: `${PREFIX}/orderBy` },
         orderByDirection: { $ref: `${PREFIX}/orderByDirection` },
+        paginate: { $ref: `${PREFIX}/paginate` },
         returnProperties: { $ref: `${PREFIX}/returnProperties` },
         skip: { $ref: `${PREFIX}/skip` },
+        timeout: { $ref: `${PREFIX}/timeout` },
     },
 };
 
@@ -387,6 +447,7 @@ const SubgraphsQuery = {
             ],
             type: 'string',
         },
+        timeout: { $ref: `${PREFIX}/timeout` },
         treeEdges: {
             default: DEFAULT_TREEEDGES,
             description: 'Hierarchy edge classes',
@@ -533,6 +594,18 @@ const Clause = {
             },
             type: 'object',
         },
+        {
+            properties: {
+                NOT: {
+                    anyOf: [
+                        { $ref: `${PREFIX}/Clause` },
+                        { $ref: `${PREFIX}/Comparison` },
+                    ],
+                    description: 'Negate a single clause or comparison',
+                },
+            },
+            type: 'object',
+        },
     ],
 };
 
@@ -549,7 +622,10 @@ const Comparison = {
     minProperties: 1,
     properties: {
         negate: { default: false, description: 'Negation of this comparison', type: 'boolean' },
-        operator: { enum: Object.values(OPERATORS).filter((op) => !['AND', 'OR'].includes(op)), type: 'string' },
+        operator: {
+            enum: Object.values(OPERATORS).filter((op) => !['AND', 'OR', 'NOT'].includes(op)),
+            type: 'string',
+        },
     },
     type: 'object',
 };
@@ -568,6 +644,7 @@ module.exports = {
     Query,
     RecordLink,
     RecordList,
+    ShortestPathQuery,
     SimilarityQuery,
     SourceLink,
     Subgraph,
@@ -578,8 +655,23 @@ module.exports = {
     VocabularyLink,
     VSubgraph,
     count: { default: 'false', description: 'return a count of the resulting records instead of the records themselves', type: 'boolean' },
+    cursor: {
+        description: 'The cursor (metadata.nextCursor) returned with the previous page of results. The rest of the query must be the same as the query for the previous page',
+        type: 'string',
+    },
     dependency,
     deprecated,
+    explain: {
+        default: false,
+        description: 'Do not run the query. Instead return the parsed query, the generated statement and its parameters, and the execution plan (EXPLAIN) from the database',
+        type: 'boolean',
+    },
+    groupBy: {
+        description: 'Count the matching records grouped by these properties (traversals) instead of returning the records. Returns a row with the count for each group, largest first',
+        example: ['relevance.name', 'source.name'],
+        items: { type: 'string' },
+        type: 'array',
+    },
     history: { default: false, type: 'boolean' },
     limit: {
         description: 'maximum number of records to return', max: MAX_QUERY_LIMIT, min: 1, type: 'integer',
@@ -592,6 +684,11 @@ module.exports = {
     },
     orderBy: { description: 'CSV delimited list of property names (traversals) to sort the results by', type: 'string' },
     orderByDirection: { description: 'When orderBy is given, this is used to determine the ordering direction', enum: ['ASC', 'DESC'], type: 'string' },
+    paginate: {
+        default: false,
+        description: 'Order the results by record ID and return a cursor (metadata.nextCursor) for fetching the next page. The cursor is null for the last page. Cannot be combined with orderBy or skip',
+        type: 'boolean',
+    },
     returnProperties: {
         description: 'array of property names to return (defaults to all). Note that the properties which can be returned must match the target model being returned',
         items: { type: 'string' },
@@ -603,4 +700,9 @@ module.exports = {
         description: 'The number of records to skip. Used in combination with limit for paginating queries.', min: 0, nullable: true, type: 'integer',
     },
     source,
+    timeout: {
+        description: 'The time (in milliseconds) to allow the query to run before it is aborted. Defaults to (and cannot be greater than) the server timeout',
+        min: 1,
+        type: 'integer',
+    },
 };
@@ -1,10 +1,49 @@
+const HTTP_STATUS = require('http-status-codes');
 const jc = require('json-cycle');
 
 const { ValidationError } = require('@bcgsc-pori/graphkb-schema');
 const { logger } = require('../repo/logging');
 const { parse } = require('../repo/query_builder');
-const { select } = require('../repo/commands');
+const { MAX_LIMIT } = require('../repo/query_builder/constants');
+const { castBoolean, checkStandardOptions } = require('../repo/query_builder/util');
+const { explain, select } = require('../repo/commands');
 const { NoRecordFoundError } = require('../repo/error');
+const { DEFAULT_LIST_DELIMITER, DELIMITED_FORMATS, formatDelimited } = require('./format');
+const { getQueryTimeout, runWithTimeout } = require('./timeout');
+
+// options which control the paging of the results and so cannot be used with the export
+const EXPORT_EXCLUDED_OPTIONS = [
+    'count', 'cursor', 'groupBy', 'limit', 'orderBy', 'orderByDirection', 'paginate', 'skip',
+];
+
+/**
+ * Wait until a response which has a full write buffer can be written to again
+ *
+ * @param {express.Response} res the response being written to
+ *
+ * @returns {Promise.<boolean>} true when the buffer drained, false when the response was closed (ex. the client disconnected) first
+ */
+const waitForDrain = (res) => new Promise((resolve) => {
+    if (res.destroyed) {
+        resolve(false);
+        return;
+    }
+    const listeners = {};
+
+    const finish = (drained) => {
+        for (const [event, listener] of Object.entries(listeners)) {
+            res.off(event, listener);
+        }
+        resolve(drained);
+    };
+    listeners.close = () => finish(false);
+    listeners.drain = () => finish(true);
+    listeners.error = () => finish(false);
+
+    for (const [event, listener] of Object.entries(listeners)) {
+        res.on(event, listener);
+    }
+});
 
 /**
  * Route to query the db
@@ -28,10 +67,27 @@ const addQueryRoute = (app) => {
                     { message: 'request body.target is required. Must specify the class being queried' },
                 ));
             }
-            let query;
+            const format = req.accepts(['application/json', ...Object.keys(DELIMITED_FORMATS)]);
+            const { listDelimiter = DEFAULT_LIST_DELIMITER } = req.query;
+
+            if (typeof listDelimiter !== 'string' || !listDelimiter) {
+                return next(new ValidationError(
+                    { message: 'listDelimiter must be a non-empty string' },
+                ));
+            }
+            const { explain: explainIn = false, timeout: timeoutIn, ...queryBody } = body;
+            let query,
+                columns,
+                explainOnly,
+                timeout;
 
             try {
-                query = parse(body);
+                explainOnly = castBoolean(explainIn);
+                timeout = getQueryTimeout(app, timeoutIn);
+                query = parse({ ...queryBody, timeout });
+                ({ returnProperties: columns } = checkStandardOptions({
+                    returnProperties: body.returnProperties,
+                }));
             } catch (err) {
                 return next(err);
             }
@@ -44,16 +100,52 @@ const addQueryRoute = (app) => {
                 return next(err);
             }
 
+            if (explainOnly) {
+                try {
+                    const result = await explain(session, query);
+                    session.close();
+                    return res.json(jc.decycle({ result }));
+                } catch (err) {
+                    session.close();
+                    logger.log('debug', err);
+                    return next(err);
+                }
+            }
+
             try {
-                const result = await select(session, query, { user: req.user });
+                // the session is closed once the query settles (not when it is given up on)
+                let result = await runWithTimeout(
+                    () => select(session, query, { cache: true, user: req.user }),
+                    { release: () => session.close(), res, timeout },
+                );
+
+                if (query.groupBy) {
+                    result = query.formatGroups(result);
+                }
 
                 if (query.expectedCount() !== null && result.length !== query.expectedCount()) {
                     throw new NoRecordFoundError(`expected ${query.expectedCount()} records but only found ${result.length}`);
                 }
-                session.close();
-                return res.json(jc.decycle({ metadata: { records: result.length }, result }));
+
+                if (DELIMITED_FORMATS[format]) {
+                    // spreadsheet formats only have room for the records themselves
+                    return res.type(format).send(formatDelimited(result, {
+                        columns,
+                        delimiter: DELIMITED_FORMATS[format],
+                        listDelimiter,
+                    }));
+                }
+                const metadata = { records: result.length };
+
+                if (query.paginate) {
+                    metadata.nextCursor = query.nextCursor;
+                }
+
+                if (query.ranked) {
+                    metadata.relevance = query.relevance;
+                }
+                return res.json(jc.decycle({ metadata, result }));
             } catch (err) {
-                session.close();
                 logger.log('debug', err);
                 return next(err);
             }
@@ -61,4 +153,103 @@ const addQueryRoute = (app) => {
     );
 };
 
-module.exports = { addQueryRoute };
+/**
+ * Route to export all the results of a query as newline delimited JSON. The results are
+ * streamed to the client a page at a time and so are not limited to MAX_LIMIT records
+ *
+ * @param {AppServer} app the GraphKB app server
+ */
+const addQueryExportRoute = (app) => {
+    logger.log('verbose', 'NEW ROUTE [POST] /query/export');
+    app.router.post(
+        '/query/export',
+        async (req, res, next) => {
+            const { body } = req;
+
+            if (!body) {
+                return next(new ValidationError(
+                    { message: 'request body is required' },
+                ));
+            }
+            if (!body.target) {
+                return next(new ValidationError(
+                    { message: 'request body.target is required. Must specify the class being queried' },
+                ));
+            }
+            const excluded = EXPORT_EXCLUDED_OPTIONS.filter((opt) => body[opt] !== undefined);
+
+            if (excluded.length) {
+                return next(new ValidationError(
+                    { message: `The export returns all results and cannot be used with the option(s): ${excluded.join(', ')}` },
+                ));
+            }
+            let query;
+
+            try {
+                query = parse({ ...body, limit: MAX_LIMIT, paginate: true });
+            } catch (err) {
+                return next(err);
+            }
+
+            let session;
+
+            try {
+                session = await app.pool.acquire();
+            } catch (err) {
+                return next(err);
+            }
+            let closed = false;
+            res.on('close', () => {
+                closed = true;
+            });
+            let records = 0;
+
+            try {
+                while (query && !closed) {
+                    const result = await select(session, query, { user: req.user });
+
+                    if (!res.headersSent) {
+                        res.status(HTTP_STATUS.OK).type('application/x-ndjson');
+                    }
+
+                    for (const record of result) {
+                        if (closed) {
+                            break;
+                        }
+                        records += 1;
+
+                        if (!res.write(`${JSON.stringify(jc.decycle(record))}\n`)) {
+                            // stop exporting when the client disconnects instead of waiting on it
+                            closed = !await waitForDrain(res);
+                        }
+                    }
+                    query = query.nextCursor
+                        ? parse({
+                            ...body, cursor: query.nextCursor, limit: MAX_LIMIT,
+                        })
+                        : null;
+                }
+
+                if (closed) {
+                    logger.log('debug', `the client disconnected during the query export after ${records} records`);
+                    return undefined;
+                }
+                logger.log('debug', `exported ${records} records`);
+                return res.end();
+            } catch (err) {
+                logger.log('debug', err);
+
+                if (!res.headersSent) {
+                    return next(err);
+                }
+                // the status has already been sent so the only way to signal the failure is to abort the response
+                logger.error(`aborting the query export after ${records} records: ${err}`);
+                return res.destroy();
+            } finally {
+                session.close();
+            }
+        },
+    );
+};
+
+module.exports = { addQueryExportRoute, addQueryRoute, waitForDrain };
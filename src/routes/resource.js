@@ -2,20 +2,35 @@ const HTTP_STATUS = require('http-status-codes');
 const jc = require('json-cycle');
 const _ = require('lodash');
 
-const { util, ValidationError, schema } = require('@bcgsc-pori/graphkb-schema');
+const {
+    util, ValidationError, schema, PERMISSIONS,
+} = require('@bcgsc-pori/graphkb-schema');
 
 const {
     NoRecordFoundError,
 } = require('../repo/error');
 const { logger } = require('../repo/logging');
 const {
-    select, create, update, remove,
+    select,
+    selectAsOf,
+    selectHistory,
+    create,
+    createMany,
+    update,
+    updateMany,
+    remove,
+    revert,
+    restore,
+    merge,
 } = require('../repo/commands');
-const { checkClassPermissions } = require('../middleware/auth');
+const { checkClassPermissions, requirePermission } = require('../middleware/auth');
 const { parse } = require('../repo/query_builder');
 
-const { checkStandardOptions } = require('../repo/query_builder/util');
+const { checkStandardOptions, castBoolean, castTimestamp } = require('../repo/query_builder/util');
 const { OPERATORS } = require('../repo/query_builder/constants');
+const { formatErrorContent, getErrorStatusCode } = require('./error');
+
+const MAX_BATCH_SIZE = 1000;
 
 const activeRidQuery = (modelName, rid, opt = {}) => {
     const { history, ...rest } = opt;
@@ -29,7 +44,8 @@ const activeRidQuery = (modelName, rid, opt = {}) => {
 };
 
 /**
- * Get a record by RID
+ * Get a record by RID. When the asOf query parameter is given, the version of the record which
+ * was current at that time is returned instead of the current version
  *
  * @param {GraphKBRequest} req
  * @param {ClassModel} req.model the resolved model for this route
@@ -39,7 +55,7 @@ const getRoute = (app, model) => {
     app.router.get(
         `${model.routeName}/:rid`,
         async (req, res, next) => {
-            const { neighbors = 0, ...extra } = req.query;
+            const { neighbors = 0, asOf, ...extra } = req.query;
 
             if (Object.keys(extra).length > 0) {
                 return next(new ValidationError(`Did not recognize the query parameter: ${Object.keys(extra).sort().join(' ')}`));
@@ -48,6 +64,10 @@ const getRoute = (app, model) => {
 
             try {
                 query = activeRidQuery(model.name, req.params.rid, { history: true, neighbors });
+
+                if (asOf !== undefined) {
+                    castTimestamp(asOf);
+                }
             } catch (err) {
                 if (err instanceof ValidationError) {
                     return next(err);
@@ -64,12 +84,71 @@ const getRoute = (app, model) => {
             }
 
             try {
-                const [result] = await select(session, query, {
-                    exactlyN: 1,
+                let result;
+
+                if (asOf !== undefined) {
+                    result = await selectAsOf(session, {
+                        asOf,
+                        modelName: model.name,
+                        neighbors,
+                        target: req.params.rid,
+                        user: req.user,
+                    });
+                } else {
+                    [result] = await select(session, query, {
+                        exactlyN: 1,
+                        user: req.user,
+                    });
+                }
+                session.close();
+                return res.json(jc.decycle({ result }));
+            } catch (err) {
+                session.close();
+                return next(err);
+            }
+        },
+    );
+};
+
+/**
+ * Get all versions of a record by following its history links
+ *
+ * @param {GraphKBRequest} req
+ * @param {ClassModel} req.model the resolved model for this route
+ */
+const historyRoute = (app, model) => {
+    logger.log('verbose', `NEW ROUTE [GET] ${model.routeName}/:rid/history`);
+    app.router.get(
+        `${model.routeName}/:rid/history`,
+        async (req, res, next) => {
+            if (!util.looksLikeRID(req.params.rid, false)) {
+                return next(new ValidationError(
+                    { message: `ID does not look like a valid record ID: ${req.params.rid}` },
+                ));
+            }
+            const rid = `#${req.params.rid.replace(/^#/, '')}`;
+
+            if (!_.isEmpty(req.query)) {
+                return next(new ValidationError(
+                    { message: 'No query parameters are allowed for this query type', params: req.query },
+                ));
+            }
+            let session;
+
+            try {
+                session = await app.pool.acquire();
+            } catch (err) {
+                return next(err);
+            }
+
+            try {
+                const result = await selectHistory(session, {
+                    modelName: model.name,
+                    target: rid,
                     user: req.user,
                 });
                 session.close();
-                return res.json(jc.decycle({ result }));
+                return res.json(jc.decycle({ metadata: { versions: result.length }, result }));
             } catch (err) {
                 session.close();
                 return next(err);
@@ -121,6 +200,95 @@ const postRoute = (app, model) => {
     );
 };
 
+/**
+ * POST route to create a list of new records. Responds with the outcome of each record
+ *
+ * @param {GraphKBRequest} req
+ * @param {ClassModel} req.model the resolved model for this route
+ * @param {Array.<Object>} req.body.records the contents of the records to be created
+ * @param {boolean} [req.body.atomic=false] if any record fails then no records are created
+ */
+const postBatchRoute = (app, model) => {
+    logger.log('verbose', `NEW ROUTE [POST] ${model.routeName}/batch`);
+    app.router.post(
+        `${model.routeName}/batch`,
+        async (req, res, next) => {
+            if (!_.isEmpty(req.query)) {
+                return next(new ValidationError(
+                    { message: 'No query parameters are allowed for this query type', params: req.query },
+                ));
+            }
+            const { records, atomic: atomicIn = false, ...extra } = req.body || {};
+
+            if (Object.keys(extra).length > 0) {
+                return next(new ValidationError(`Did not recognize the body parameter: ${Object.keys(extra).sort().join(' ')}`));
+            }
+            if (!Array.isArray(records) || !records.length) {
+                return next(new ValidationError('records must be a non-empty array'));
+            }
+            if (records.length > MAX_BATCH_SIZE) {
+                return next(new ValidationError(`cannot create more than ${MAX_BATCH_SIZE} records in a single batch (${records.length})`));
+            }
+            let atomic;
+
+            try {
+                atomic = castBoolean(atomicIn);
+            } catch (err) {
+                return next(err);
+            }
+            let session;
+
+            try {
+                session = await app.pool.acquire();
+            } catch (err) {
+                return next(err);
+            }
+            let outcomes;
+
+            try {
+                outcomes = await createMany(session, {
+                    atomic, modelName: model.name, records, user: req.user,
+                });
+                session.close();
+            } catch (err) {
+                session.close();
+                logger.log('debug', err);
+                return next(err);
+            }
+
+            const failureIndex = outcomes.findIndex((outcome) => outcome.error);
+            const result = records.map((content, index) => {
+                const outcome = outcomes[index];
+
+                if (!outcome || outcome.skipped) {
+                    return {
+                        error: { message: 'record was not created since another record in the atomic batch failed' },
+                        index,
+                        status: HTTP_STATUS.FAILED_DEPENDENCY,
+                    };
+                } if (outcome.error) {
+                    return {
+                        error: formatErrorContent(outcome.error),
+                        index,
+                        status: outcome.error instanceof NoRecordFoundError
+                            ? HTTP_STATUS.BAD_REQUEST
+                            : getErrorStatusCode(outcome.error),
+                    };
+                }
+                return { index, result: outcome.result, status: HTTP_STATUS.CREATED };
+            });
+            let status = HTTP_STATUS.CREATED;
+
+            if (failureIndex >= 0 && atomic) {
+                ({ status } = result[failureIndex]);
+            } else if (failureIndex >= 0) {
+                status = HTTP_STATUS.MULTI_STATUS;
+            }
+            return res.status(status).json(jc.decycle({ result }));
+        },
+    );
+};
+
 /**
  * Route to update a record given its RID
  *
@@ -171,6 +339,293 @@ const updateRoute = (app, model) => {
     );
 };
 
+/**
+ * Route to revert a record to one of its previous versions
+ *
+ * @param {GraphKBRequest} req
+ * @param {ClassModel} req.model the resolved model for this route
+ * @param {string} req.body.version the record ID of the previous version to revert to
+ */
+const revertRoute = (app, model) => {
+    logger.log('verbose', `NEW ROUTE [POST] ${model.routeName}/:rid/revert`);
+
+    app.router.post(
+        `${model.routeName}/:rid/revert`,
+        async (req, res, next) => {
+            if (!util.looksLikeRID(req.params.rid, false)) {
+                return next(new ValidationError(
+                    { message: `ID does not look like a valid record ID: ${req.params.rid}` },
+                ));
+            }
+            const rid = `#${req.params.rid.replace(/^#/, '')}`;
+
+            if (!_.isEmpty(req.query)) {
+                return next(new ValidationError(
+                    { message: 'Query parameters are not allowed for this query type', params: req.query },
+                ));
+            }
+            const { version, ...extra } = req.body || {};
+
+            if (Object.keys(extra).length > 0) {
+                return next(new ValidationError(`Did not recognize the body parameter: ${Object.keys(extra).sort().join(' ')}`));
+            }
+            let session;
+
+            try {
+                session = await app.pool.acquire();
+            } catch (err) {
+                return next(err);
+            }
+
+            try {
+                const result = await revert(session, {
+                    modelName: model.name,
+                    target: rid,
+                    user: req.user,
+                    version,
+                });
+                session.close();
+                return res.json(jc.decycle({ result }));
+            } catch (err) {
+                session.close();
+                return next(err);
+            }
+        },
+    );
+};
+
+/**
+ * Route to restore a deleted record
+ *
+ * @param {GraphKBRequest} req
+ * @param {ClassModel} req.model the resolved model for this route
+ * @param {boolean} [req.body.edges=false] also re-create the edges which were deleted with the record
+ */
+const restoreRoute = (app, model) => {
+    logger.log('verbose', `NEW ROUTE [POST] ${model.routeName}/:rid/restore`);
+
+    app.router.post(
+        `${model.routeName}/:rid/restore`,
+        async (req, res, next) => {
+            if (!util.looksLikeRID(req.params.rid, false)) {
+                return next(new ValidationError(
+                    { message: `ID does not look like a valid record ID: ${req.params.rid}` },
+                ));
+            }
+            const rid = `#${req.params.rid.replace(/^#/, '')}`;
+
+            if (!_.isEmpty(req.query)) {
+                return next(new ValidationError(
+                    { message: 'Query parameters are not allowed for this query type', params: req.query },
+                ));
+            }
+            const { edges: edgesIn = false, ...extra } = req.body || {};
+
+            if (Object.keys(extra).length > 0) {
+                return next(new ValidationError(`Did not recognize the body parameter: ${Object.keys(extra).sort().join(' ')}`));
+            }
+            let edges;
+
+            try {
+                edges = castBoolean(edgesIn);
+            } catch (err) {
+                return next(err);
+            }
+            let session;
+
+            try {
+                session = await app.pool.acquire();
+            } catch (err) {
+                return next(err);
+            }
+
+            try {
+                const { result, restoredEdges, skippedEdges } = await restore(session, {
+                    edges,
+                    modelName: model.name,
+                    target: rid,
+                    user: req.user,
+                });
+                session.close();
+                return res.json(jc.decycle({ metadata: { restoredEdges, skippedEdges }, result }));
+            } catch (err) {
+                session.close();
+                return next(err);
+            }
+        },
+    );
+};
+
+/**
+ * Route to merge duplicate records into a single (survivor) record
+ *
+ * @param {GraphKBRequest} req
+ * @param {ClassModel} req.model the resolved model for this route
+ * @param {string} req.body.survivor the record ID of the record to keep
+ * @param {Array.<string>} req.body.duplicates the record IDs of the records to merge into the survivor
+ * @param {boolean} [req.body.preview=false] return the changes which would be made without making them
+ */
+const mergeRoute = (app, model) => {
+    logger.log('verbose', `NEW ROUTE [POST] ${model.routeName}/merge`);
+
+    app.router.post(
+        `${model.routeName}/merge`,
+        async (req, res, next) => {
+            if (!_.isEmpty(req.query)) {
+                return next(new ValidationError(
+                    { message: 'Query parameters are not allowed for this query type', params: req.query },
+                ));
+            }
+            const {
+                survivor, duplicates, preview: previewIn = false, ...extra
+            } = req.body || {};
+
+            if (Object.keys(extra).length > 0) {
+                return next(new ValidationError(`Did not recognize the body parameter: ${Object.keys(extra).sort().join(' ')}`));
+            }
+            if (!survivor || !util.looksLikeRID(survivor, false)) {
+                return next(new ValidationError(
+                    { message: `survivor does not look like a valid record ID: ${survivor}` },
+                ));
+            }
+            if (!Array.isArray(duplicates) || !duplicates.length) {
+                return next(new ValidationError('duplicates must be a non-empty array of record IDs'));
+            }
+            const invalid = duplicates.filter((rid) => !util.looksLikeRID(rid, false));
+
+            if (invalid.length) {
+                return next(new ValidationError(
+                    { message: `duplicates do not look like valid record IDs: ${invalid.join(', ')}` },
+                ));
+            }
+            let preview;
+
+            try {
+                preview = castBoolean(previewIn);
+            } catch (err) {
+                return next(err);
+            }
+            let session;
+
+            try {
+                session = await app.pool.acquire();
+            } catch (err) {
+                return next(err);
+            }
+
+            try {
+                const { result, ...summary } = await merge(session, {
+                    duplicates: duplicates.map((rid) => `#${rid.replace(/^#/, '')}`),
+                    modelName: model.name,
+                    preview,
+                    survivor: `#${survivor.replace(/^#/, '')}`,
+                    user: req.user,
+                });
+                session.close();
+                return res.json(jc.decycle({
+                    metadata: { ...summary, preview },
+                    result: result || null,
+                }));
+            } catch (err) {
+                session.close();
+                return next(err);
+            }
+        },
+    );
+};
+
+/**
+ * Route to update all records matching a query
+ *
+ * @param {GraphKBRequest} req
+ * @param {ClassModel} req.model the resolved model for this route
+ * @param {Object} [req.body.query] the query (same format as the query route) used to select the records to update. Defaults to all records of this class
+ * @param {Object} req.body.changes the changes to apply to each matched record
+ * @param {boolean} [req.body.dryRun=false] return the records which would be updated and the expected changes without updating them
+ */
+const updateManyRoute = (app, model) => {
+    logger.log('verbose', `NEW ROUTE [UPDATE] ${model.routeName}`);
+
+    app.router.patch(
+        model.routeName,
+        async (req, res, next) => {
+            if (!_.isEmpty(req.query)) {
+                return next(new ValidationError(
+                    { message: 'Query parameters are not allowed for this query type', params: req.query },
+                ));
+            }
+            const {
+                query: queryIn = {}, changes, dryRun: dryRunIn = false, ...extra
+            } = req.body || {};
+
+            if (Object.keys(extra).length > 0) {
+                return next(new ValidationError(`Did not recognize the body parameter: ${Object.keys(extra).sort().join(' ')}`));
+            }
+            let query,
+                dryRun;
+
+            try {
+                dryRun = castBoolean(dryRunIn);
+
+                if (queryIn.count || queryIn.history) {
+                    throw new ValidationError('count and history queries cannot be used to select records for update');
+                }
+                const { target = model.name } = queryIn;
+
+                if (typeof target === 'string'
+                    && target !== model.name
+                    && !schema.descendants(model.name).includes(target)
+                ) {
+                    throw new ValidationError(`query target (${target}) must be ${model.name} or one of its subclasses`);
+                }
+                query = parse({ ...queryIn, target });
+            } catch (err) {
+                return next(err);
+            }
+            let session;
+
+            try {
+                session = await app.pool.acquire();
+            } catch (err) {
+                return next(err);
+            }
+            let outcomes;
+
+            try {
+                outcomes = await updateMany(session, {
+                    changes,
+                    dryRun,
+                    modelName: model.name,
+                    query,
+                    user: req.user,
+                });
+                session.close();
+            } catch (err) {
+                session.close();
+                logger.log('debug', err);
+                return next(err);
+            }
+            const result = outcomes.map(({ error, ...outcome }) => {
+                if (error) {
+                    return {
+                        ...outcome,
+                        error: formatErrorContent(error),
+                        status: getErrorStatusCode(error),
+                    };
+                }
+                return { ...outcome, status: HTTP_STATUS.OK };
+            });
+            const status = outcomes.some((outcome) => outcome.error)
+                ? HTTP_STATUS.MULTI_STATUS
+                : HTTP_STATUS.OK;
+            return res.status(status).json(jc.decycle({
+                metadata: { dryRun, records: result.length },
+                result,
+            }));
+        },
+    );
+};
+
 /**
  * Route to delete/remove a resource
  *
@@ -236,19 +691,42 @@ const addResourceRoutes = (app, modelName) => {
         req.model = model;
         next();
     });
+
+    if (model.routes.PATCH && !model.isEdge) {
+        // modifies an existing record so requires update (rather than create) permissions
+        app.router.post(`${model.routeName}/:rid/revert`, requirePermission(PERMISSIONS.UPDATE));
+    }
+    if (model.routes.DELETE && !model.isEdge) {
+        // undoes a deletion so requires the same permissions as deleting the record
+        app.router.post(`${model.routeName}/:rid/restore`, requirePermission(PERMISSIONS.DELETE));
+    }
+    if (model.routes.DELETE && model.routes.PATCH && schema.inheritsFrom(model.name, 'Ontology')) {
+        // the duplicate records are deleted by the merge
+        app.router.post(`${model.routeName}/merge`, requirePermission(PERMISSIONS.DELETE));
+    }
     app.router.use(model.routeName, checkClassPermissions);
 
     if (model.routes.GET) {
         getRoute(app, model);
+        historyRoute(app, model);
     }
     if (model.routes.POST) {
         postRoute(app, model);
+        postBatchRoute(app, model);
     }
     if (model.routes.DELETE) {
         deleteRoute(app, model);
     }
+    if (model.routes.DELETE && !model.isEdge) {
+        restoreRoute(app, model);
+    }
     if (model.routes.PATCH && !model.isEdge) {
         updateRoute(app, model);
+        updateManyRoute(app, model);
+        revertRoute(app, model);
+    }
+    if (model.routes.DELETE && model.routes.PATCH && schema.inheritsFrom(model.name, 'Ontology')) {
+        mergeRoute(app, model);
     }
 };
 
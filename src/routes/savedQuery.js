@@ -0,0 +1,156 @@
+/**
+ * Routes for storing, sharing, and running saved (named) queries
+ */
+const HTTP_STATUS = require('http-status-codes');
+const jc = require('json-cycle');
+const _ = require('lodash');
+
+const {
+    util, ValidationError, schema, PERMISSIONS,
+} = require('@bcgsc-pori/graphkb-schema');
+
+const { PermissionError } = require('../repo/error');
+const { logger } = require('../repo/logging');
+const { select } = require('../repo/commands');
+const {
+    createSavedQuery,
+    getSavedQuery,
+    listSavedQueries,
+    removeSavedQuery,
+    substituteQueryParameters,
+} = require('../repo/commands/savedQuery');
+const { checkUserAccessFor } = require('../middleware/auth');
+const { parse } = require('../repo/query_builder');
+
+const ROUTE_NAME = '/saved-queries';
+
+/**
+ * Get the record ID from the route parameters
+ *
+ * @param {GraphKBRequest} req
+ *
+ * @throws {ValidationError} when the parameter is not a record ID
+ */
+const getTargetRid = (req) => {
+    const { rid } = req.params;
+
+    if (!util.looksLikeRID(rid, false)) {
+        throw new ValidationError(
+            { message: `ID does not look like a valid record ID: ${rid}` },
+        );
+    }
+    return `#${rid.replace(/^#/, '')}`;
+};
+
+/**
+ * Wrap a route handler with the standard session handling. The session is returned to the
+ * pool when the handler completes or fails
+ *
+ * @param {AppServer} app the GraphKB app server
+ * @param {Function} handler async function (req, res, session) which sends the response
+ */
+const withSession = (app, handler) => async (req, res, next) => {
+    let session;
+
+    try {
+        session = await app.pool.acquire();
+    } catch (err) {
+        return next(err);
+    }
+
+    try {
+        const response = await handler(req, res, session);
+        session.close();
+        return response;
+    } catch (err) {
+        session.close();
+        logger.log('debug', err);
+        return next(err);
+    }
+};
+
+/**
+ * Add the routes for saved queries
+ *
+ * @param {AppServer} app the GraphKB app server
+ */
+const addSavedQueryRoutes = (app) => {
+    logger.log('verbose', `NEW ROUTE [POST] ${ROUTE_NAME}`);
+    app.router.post(ROUTE_NAME, withSession(app, async (req, res, session) => {
+        if (!_.isEmpty(req.query)) {
+            throw new ValidationError(
+                { message: 'No query parameters are allowed for this query type', params: req.query },
+            );
+        }
+        const result = await createSavedQuery(session, { content: req.body, user: req.user });
+        return res.status(HTTP_STATUS.CREATED).json(jc.decycle({ result }));
+    }));
+
+    logger.log('verbose', `NEW ROUTE [GET] ${ROUTE_NAME}`);
+    app.router.get(ROUTE_NAME, withSession(app, async (req, res, session) => {
+        if (!_.isEmpty(req.query)) {
+            throw new ValidationError(
+                { message: 'No query parameters are allowed for this query type', params: req.query },
+            );
+        }
+        const result = await listSavedQueries(session, { user: req.user });
+        return res.json(jc.decycle({ metadata: { records: result.length }, result }));
+    }));
+
+    logger.log('verbose', `NEW ROUTE [GET] ${ROUTE_NAME}/:rid`);
+    app.router.get(`${ROUTE_NAME}/:rid`, withSession(app, async (req, res, session) => {
+        if (!_.isEmpty(req.query)) {
+            throw new ValidationError(
+                { message: 'No query parameters are allowed for this query type', params: req.query },
+            );
+        }
+        const result = await getSavedQuery(session, { target: getTargetRid(req), user: req.user });
+        return res.json(jc.decycle({ result }));
+    }));
+
+    logger.log('verbose', `NEW ROUTE [DELETE] ${ROUTE_NAME}/:rid`);
+    app.router.delete(`${ROUTE_NAME}/:rid`, withSession(app, async (req, res, session) => {
+        if (!_.isEmpty(req.query)) {
+            throw new ValidationError(
+                { message: 'No query parameters are allowed for this query type', params: req.query },
+            );
+        }
+        const result = await removeSavedQuery(session, {
+            target: getTargetRid(req), user: req.user,
+        });
+        return res.json(jc.decycle({ result }));
+    }));
+
+    logger.log('verbose', `NEW ROUTE [GET] ${ROUTE_NAME}/:rid/run`);
+    app.router.get(`${ROUTE_NAME}/:rid/run`, withSession(app, async (req, res, session) => {
+        const saved = await getSavedQuery(session, { target: getTargetRid(req), user: req.user });
+        // the query parameters are the values for the placeholders in the saved query
+        const body = substituteQueryParameters(saved.query, req.query);
+        const query = parse(body);
+        const modelName = typeof body.target === 'string' && schema.has(body.target)
+            ? schema.get(body.target).name
+            : null;
+
+        if (modelName && !checkUserAccessFor(req.user, modelName, PERMISSIONS.READ)) {
+            throw new PermissionError(
+                `The user ${req.user.name} does not have sufficient permissions to perform a GET operation on class ${modelName}`,
+            );
+        }
+        let result = await select(session, query, { cache: true, user: req.user });
+
+        if (query.groupBy) {
+            result = query.formatGroups(result);
+        }
+        const metadata = { records: result.length };
+
+        if (query.paginate) {
+            metadata.nextCursor = query.nextCursor;
+        }
+        if (query.ranked) {
+            metadata.relevance = query.relevance;
+        }
+        return res.json(jc.decycle({ metadata, result }));
+    }));
+};
+
+module.exports = { addSavedQueryRoutes };
@@ -9,10 +9,12 @@ const jc = require('json-cycle');
 const { ValidationError } = require('@bcgsc-pori/graphkb-schema');
 
 const { logger } = require('../repo/logging');
+const { cached, userCacheKey } = require('../repo/cache');
 const subgraphFunctions = require('../repo/subgraphs/subgraphtype');
 const { checkSubgraphPermissions } = require('../middleware/auth');
 const { DEFAULT_EDGES, DEFAULT_TREEEDGES } = require('../repo/subgraphs/constants');
-const { getInheritingClasses } = require('../repo/subgraphs/util');
+const { getInheritingClasses, withTimeout } = require('../repo/subgraphs/util');
+const { getQueryTimeout, runWithTimeout } = require('./timeout');
 
 const addSubgraphRoutes = (app) => {
     const subgraphRoutePattern = '/subgraphs/:ontology';
@@ -42,7 +44,8 @@ const addSubgraphRoutes = (app) => {
     app.router.post(
         subgraphRoutePattern,
         async (req, res, next) => {
-            const { body, params: { ontology } } = req;
+            const { params: { ontology } } = req;
+            const { timeout: timeoutIn, ...body } = req.body || {};
 
             // ontology check
             const ONTOLOGIES = getInheritingClasses('Ontology');
@@ -62,6 +65,13 @@ const addSubgraphRoutes = (app) => {
                 subgraphType = 'complete';
             }
             logger.debug(`subgraphType = '${subgraphType}'`);
+            let timeout;
+
+            try {
+                timeout = getQueryTimeout(app, timeoutIn);
+            } catch (err) {
+                return next(err);
+            }
 
             // Dynamic resolution of available subgraphType names mapped to their traversal functions
             const SUBGRAPHS = new Map(Object.entries(subgraphFunctions));
@@ -85,16 +95,19 @@ const addSubgraphRoutes = (app) => {
             // subgraph query
             try {
                 const fn = SUBGRAPHS.get(subgraphType); // subgraph function
-                const result = await fn(
-                    session,
-                    ontology,
-                    body,
+                // the subgraph depends on the ontology and the edge classes (req.models)
+                // the session is closed once the queries settle. The database also aborts each
+                // query which runs past the timeout so the session is not kept busy for long
+                const result = await runWithTimeout(
+                    () => cached(
+                        `subgraphs:${userCacheKey(req.user)}:${ontology}:${JSON.stringify(body)}`,
+                        req.models,
+                        () => fn(withTimeout(session, timeout), ontology, body),
+                    ),
+                    { release: () => session.close(), res, timeout },
                 );
-                session.close();
                 return res.status(HTTP_STATUS_CODES.OK).json(jc.decycle({ result }));
             } catch (err) {
-                session.close();
-
                 if (err instanceof ValidationError) {
                     return res.status(HTTP_STATUS_CODES.BAD_REQUEST).json(err);
                 }
@@ -0,0 +1,71 @@
+/**
+ * Limiting how long queries may run for
+ */
+const { castRangeInt } = require('../repo/query_builder/util');
+const { QueryCancelledError, QueryTimeoutError } = require('../repo/error');
+
+/**
+ * Get the timeout for a request. Requests may shorten but not extend the server default
+ *
+ * @param {AppServer} app the GraphKB app server
+ * @param {?(Number|string)} timeout the timeout (in milliseconds) given in the request
+ *
+ * @returns {Number} the timeout in milliseconds
+ * @throws {ValidationError} when the timeout is not an integer or is greater than the server default
+ */
+const getQueryTimeout = (app, timeout) => {
+    const serverTimeout = castRangeInt(app.conf.GKB_QUERY_TIMEOUT, 1, null);
+
+    if (timeout === undefined || timeout === null) {
+        return serverTimeout;
+    }
+    return castRangeInt(timeout, 1, serverTimeout);
+};
+
+/**
+ * Run a query, giving up on it when it takes longer than the timeout or the client
+ * disconnects before the response is sent. The query may still be running on the session
+ * after it is given up on so the session must only be returned to the pool by the release
+ * callback, which is called once the query has settled
+ *
+ * @param {Function} run async function which runs the query and returns the result
+ * @param {Object} opt options
+ * @param {Number} opt.timeout the time (in milliseconds) to wait for the query
+ * @param {express.Response} opt.res the response the result will be sent on
+ * @param {Function} [opt.release] called once the query has settled, even when it was given up on (ex. to close the session)
+ *
+ * @throws {QueryTimeoutError} when the query takes longer than the timeout
+ * @throws {QueryCancelledError} when the client disconnects before the query completes
+ */
+const runWithTimeout = (run, { timeout, res, release }) => new Promise((resolve, reject) => {
+    let timer = null;
+
+    const onClose = () => {
+        if (!res.writableEnded) {
+            clearTimeout(timer);
+            reject(new QueryCancelledError('The client disconnected before the query completed'));
+        }
+    };
+
+    const settle = (callback) => (value) => {
+        clearTimeout(timer);
+        res.off('close', onClose);
+        callback(value);
+    };
+    timer = setTimeout(() => {
+        res.off('close', onClose);
+        reject(new QueryTimeoutError({
+            message: `The query did not complete within the timeout (${timeout}ms)`,
+            timeout,
+        }));
+    }, timeout);
+    res.on('close', onClose);
+    const running = run();
+    running.then(settle(resolve), settle(reject));
+
+    if (release) {
+        running.then(() => release(), () => release());
+    }
+});
+
+module.exports = { getQueryTimeout, runWithTimeout };
@@ -5,11 +5,13 @@ const {
     update,
     remove,
     select,
+    selectAsOf,
 } = require('../../src/repo/commands');
 const {
     RecordConflictError, ValidationError, NotImplementedError,
 } = require('../../src/repo/error');
 const {
+    parse,
     parseRecord,
 } = require('../../src/repo/query_builder');
 
@@ -369,7 +371,8 @@ describeWithAuth('CRUD operations', () => {
         });
 
         describe('modify', () => {
-            let cancer,
+            let alias,
+                cancer,
                 carcinoma,
                 source;
 
@@ -392,7 +395,7 @@ describeWithAuth('CRUD operations', () => {
                     }),
                 ]));
                 // add a link
-                await create(
+                alias = await create(
                     session,
                     { content: { in: carcinoma, out: cancer }, modelName: 'AliasOf', user: db.admin },
                 );
@@ -445,6 +448,38 @@ describeWithAuth('CRUD operations', () => {
                 expect(reselected).not.toHaveProperty('out_AliasOf');
             });
 
+            test('selects the version active between an update and an edge change', async () => {
+                const wait = () => new Promise((resolve) => {
+                    setTimeout(resolve, 10);
+                });
+                const updated = await update(session, {
+                    changes: { name: 'new name' },
+                    modelName: 'Disease',
+                    query: parseRecord('Disease', { '@rid': cancer['@rid'].toString() }),
+                    user: db.admin,
+                });
+                await wait();
+                const asOf = Date.now();
+                await wait();
+                // copies the linked vertices to their history and restamps their createdAt
+                await remove(session, {
+                    modelName: 'AliasOf',
+                    query: parseRecord('AliasOf', { '@rid': alias['@rid'].toString() }),
+                    user: db.admin,
+                });
+                const version = await selectAsOf(session, {
+                    asOf, modelName: 'Disease', target: cancer['@rid'], user: db.admin,
+                });
+                expect(version).toHaveProperty('name', 'new name');
+                expect(version['@rid']).not.toEqual(updated['@rid']);
+                const records = await select(
+                    session,
+                    parse({ asOf, filters: { sourceId: 'cancer' }, target: 'Disease' }),
+                    { user: db.admin },
+                );
+                expect(records).toHaveLength(1);
+            });
+
             test('delete also deletes linked edges', async () => {
                 const original = cancer;
                 const query = parseRecord(
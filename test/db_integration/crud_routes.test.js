@@ -286,6 +286,87 @@ describeWithAuth('api crud routes', () => {
                 expect(result.permissions).toHaveProperty('@class', 'Permissions');
             });
         });
+
+        describe('post/batch', () => {
+            test('create all records', async () => {
+                const res = await request({
+                    body: {
+                        records: [{ name: 'alice' }, { name: 'bob' }],
+                    },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/users/batch`,
+                });
+                expect(res.statusCode).toBe(HTTP_STATUS.CREATED);
+                expect(res.body.result).toHaveLength(2);
+                expect(res.body.result[0]).toHaveProperty('status', HTTP_STATUS.CREATED);
+                expect(res.body.result[0]).toHaveProperty('index', 0);
+                expect(res.body.result[0].result).toHaveProperty('name', 'alice');
+                expect(res.body.result[1].result).toHaveProperty('name', 'bob');
+            });
+
+            test('best-effort batch reports each failed record', async () => {
+                const res = await request({
+                    body: {
+                        records: [{ name: 'alice' }, { name: db.admin.name }, {}],
+                    },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/users/batch`,
+                });
+                expect(res.statusCode).toBe(HTTP_STATUS.MULTI_STATUS);
+                const [created, conflict, invalid] = res.body.result;
+                expect(created).toHaveProperty('status', HTTP_STATUS.CREATED);
+                expect(conflict).toHaveProperty('status', HTTP_STATUS.CONFLICT);
+                expect(conflict).toHaveProperty('error');
+                expect(invalid).toHaveProperty('status', HTTP_STATUS.BAD_REQUEST);
+                expect(invalid.error).toHaveProperty('name', 'ValidationError');
+            });
+
+            test('atomic batch creates no records on failure', async () => {
+                try {
+                    await request({
+                        body: {
+                            atomic: true,
+                            records: [{ name: 'alice' }, { name: db.admin.name }, { name: 'bob' }],
+                        },
+                        headers: { Authorization: adminUserToken },
+                        method: 'POST',
+                        uri: `${app.url}/users/batch`,
+                    });
+                } catch ({ response }) {
+                    expect(response.statusCode).toBe(HTTP_STATUS.CONFLICT);
+                    const [unwritten, conflict, skipped] = response.body.result;
+                    expect(unwritten).toHaveProperty('status', HTTP_STATUS.FAILED_DEPENDENCY);
+                    expect(conflict).toHaveProperty('status', HTTP_STATUS.CONFLICT);
+                    expect(skipped).toHaveProperty('status', HTTP_STATUS.FAILED_DEPENDENCY);
+                    const { body: { result } } = await request({
+                        body: { filters: { name: 'alice' }, target: 'User' },
+                        headers: { Authorization: adminUserToken },
+                        method: 'POST',
+                        uri: `${app.url}/query`,
+                    });
+                    expect(result).toHaveLength(0);
+                    return;
+                }
+                throw new Error('Did not throw expected error');
+            });
+
+            test('error on empty records', async () => {
+                try {
+                    await request({
+                        body: { records: [] },
+                        headers: { Authorization: adminUserToken },
+                        method: 'POST',
+                        uri: `${app.url}/users/batch`,
+                    });
+                } catch ({ response }) {
+                    expect(response.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                    return;
+                }
+                throw new Error('Did not throw expected error');
+            });
+        });
     });
 
     describe('/:model create new linked record', () => {
@@ -532,6 +613,224 @@ describeWithAuth('api crud routes', () => {
             });
         });
 
+        describe('patch/update many', () => {
+            let source;
+
+            beforeEach(async () => {
+                source = (await request({
+                    body: { name: 'bcgsc', version: '2018' },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/sources`,
+                })).body.result['@rid'];
+
+                for (const name of ['monkeys', 'blargh', 'other']) {
+                    await request({
+                        body: { description: 'old', name, source },
+                        headers: { Authorization: adminUserToken },
+                        method: 'POST',
+                        uri: `${app.url}/vocabulary`,
+                    });
+                }
+            });
+
+            test('dry run returns the expected changes without updating', async () => {
+                const res = await request({
+                    body: {
+                        changes: { description: 'new' },
+                        dryRun: true,
+                        query: { filters: { name: ['monkeys', 'blargh'], operator: 'IN' } },
+                    },
+                    headers: { Authorization: adminUserToken },
+                    method: 'PATCH',
+                    uri: `${app.url}/vocabulary`,
+                });
+                expect(res.statusCode).toBe(HTTP_STATUS.OK);
+                expect(res.body.metadata).toEqual({ dryRun: true, records: 2 });
+                expect(res.body.result).toHaveLength(2);
+                expect(res.body.result[0]).toHaveProperty('@rid');
+                expect(res.body.result[0].changes).toEqual({ description: { new: 'new', old: 'old' } });
+
+                const { body: { result } } = await request({
+                    body: { filters: { description: 'new' }, target: 'Vocabulary' },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/query`,
+                });
+                expect(result).toHaveLength(0);
+            });
+
+            test('updates all matched records', async () => {
+                const res = await request({
+                    body: {
+                        changes: { description: 'new' },
+                        query: { filters: { name: ['monkeys', 'blargh'], operator: 'IN' } },
+                    },
+                    headers: { Authorization: adminUserToken },
+                    method: 'PATCH',
+                    uri: `${app.url}/vocabulary`,
+                });
+                expect(res.statusCode).toBe(HTTP_STATUS.OK);
+                expect(res.body.result).toHaveLength(2);
+
+                for (const item of res.body.result) {
+                    expect(item).toHaveProperty('status', HTTP_STATUS.OK);
+                    expect(item.result).toHaveProperty('description', 'new');
+                    expect(item.result).toHaveProperty('history');
+                }
+                const { body: { result } } = await request({
+                    body: { filters: { description: 'old' }, target: 'Vocabulary' },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/query`,
+                });
+                expect(result.map((rec) => rec.name)).toEqual(['other']);
+            });
+
+            test('error on query target of another class', async () => {
+                try {
+                    await request({
+                        body: {
+                            changes: { description: 'new' },
+                            query: { target: 'Disease' },
+                        },
+                        headers: { Authorization: adminUserToken },
+                        method: 'PATCH',
+                        uri: `${app.url}/vocabulary`,
+                    });
+                } catch ({ response }) {
+                    expect(response.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                    return;
+                }
+                throw new Error('Did not throw expected error');
+            });
+        });
+
+        describe('history', () => {
+            test('returns all versions with the changes between them', async () => {
+                const source = (await request({
+                    body: { name: 'bcgsc', version: '2018' },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/sources`,
+                })).body.result['@rid'];
+                const { body: { result: original } } = await request({
+                    body: { description: 'first', name: 'monkeys', source },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/vocabulary`,
+                });
+                const rid = original['@rid'].slice(1);
+
+                for (const description of ['second', 'third']) {
+                    await request({
+                        body: { description },
+                        headers: { Authorization: adminUserToken },
+                        method: 'PATCH',
+                        uri: `${app.url}/vocabulary/${rid}`,
+                    });
+                }
+                const res = await request({
+                    headers: { Authorization: adminUserToken },
+                    method: 'GET',
+                    uri: `${app.url}/vocabulary/${rid}/history`,
+                });
+                expect(res.statusCode).toBe(HTTP_STATUS.OK);
+                expect(res.body.metadata).toEqual({ versions: 3 });
+                const [current, previous, first] = res.body.result;
+                expect(current).toHaveProperty('@rid', original['@rid']);
+                expect(current).toHaveProperty('version', 3);
+                expect(current.changes).toEqual({ description: { new: 'third', old: 'second' } });
+                expect(current.updatedBy).toHaveProperty('name', db.admin.name);
+                expect(previous.changes).toEqual({ description: { new: 'second', old: 'first' } });
+                expect(previous.deletedBy).toHaveProperty('name', db.admin.name);
+                expect(previous.deletedAt).toBeTruthy();
+                expect(first).toHaveProperty('version', 1);
+                expect(first.changes).toBe(null);
+                expect(first.record).toHaveProperty('description', 'first');
+            });
+
+            test('error on non-existant rid', async () => {
+                try {
+                    await request({
+                        headers: { Authorization: adminUserToken },
+                        method: 'GET',
+                        uri: `${app.url}/vocabulary/456:0/history`,
+                    });
+                } catch ({ response }) {
+                    expect(response.statusCode).toBe(HTTP_STATUS.NOT_FOUND);
+                    return;
+                }
+                throw new Error('Did not throw expected error');
+            });
+        });
+
+        describe('revert', () => {
+            let original,
+                rid;
+
+            beforeEach(async () => {
+                const source = (await request({
+                    body: { name: 'bcgsc', version: '2018' },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/sources`,
+                })).body.result['@rid'];
+                ({ body: { result: original } } = await request({
+                    body: { description: 'first', name: 'monkeys', source },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/vocabulary`,
+                }));
+                rid = original['@rid'].slice(1);
+                await request({
+                    body: { description: 'second', subsets: ['blargh'] },
+                    headers: { Authorization: adminUserToken },
+                    method: 'PATCH',
+                    uri: `${app.url}/vocabulary/${rid}`,
+                });
+            });
+
+            test('reverts to the previous content as a new version', async () => {
+                const { body: { result: [, first] } } = await request({
+                    headers: { Authorization: adminUserToken },
+                    method: 'GET',
+                    uri: `${app.url}/vocabulary/${rid}/history`,
+                });
+                const { body: { result } } = await request({
+                    body: { version: first['@rid'] },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/vocabulary/${rid}/revert`,
+                });
+                expect(result).toHaveProperty('@rid', original['@rid']);
+                expect(result).toHaveProperty('description', 'first');
+                expect(result.subsets || []).toEqual([]);
+                const { body } = await request({
+                    headers: { Authorization: adminUserToken },
+                    method: 'GET',
+                    uri: `${app.url}/vocabulary/${rid}/history`,
+                });
+                expect(body.result).toHaveLength(3);
+                expect(body.result[0].changes).toHaveProperty('description', { new: 'first', old: 'second' });
+            });
+
+            test('error on version not in the record history', async () => {
+                try {
+                    await request({
+                        body: { version: '#456:0' },
+                        headers: { Authorization: adminUserToken },
+                        method: 'POST',
+                        uri: `${app.url}/vocabulary/${rid}/revert`,
+                    });
+                } catch ({ response }) {
+                    expect(response.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                    return;
+                }
+                throw new Error('Did not throw expected error');
+            });
+        });
+
         describe('delete', () => {
             let readOnly,
                 adminGroup,
@@ -629,6 +928,383 @@ describeWithAuth('api crud routes', () => {
                 throw new Error('Did not throw expected error');
             });
         });
+
+        describe('restore', () => {
+            let disease,
+                alias,
+                source;
+
+            beforeEach(async () => {
+                source = (await request({
+                    body: { name: 'bcgsc', version: '2018' },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/sources`,
+                })).body.result['@rid'];
+                [disease, alias] = await Promise.all(['cancer', 'carcinoma'].map(async (name) => (
+                    await request({
+                        body: { name, source },
+                        headers: { Authorization: adminUserToken },
+                        method: 'POST',
+                        uri: `${app.url}/diseases`,
+                    })).body.result));
+                await request({
+                    body: { in: alias['@rid'], out: disease['@rid'], source },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/aliasof`,
+                });
+                await request({
+                    headers: { Authorization: adminUserToken },
+                    method: 'DELETE',
+                    uri: `${app.url}/diseases/${disease['@rid'].slice(1)}`,
+                });
+            });
+
+            test('restores the record without edges', async () => {
+                const { body: { metadata, result } } = await request({
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/diseases/${disease['@rid'].slice(1)}/restore`,
+                });
+                expect(result).toHaveProperty('@rid', disease['@rid']);
+                expect(result.deletedAt).toBeFalsy();
+                expect(result).toHaveProperty('history');
+                expect(metadata).toEqual({ restoredEdges: [], skippedEdges: [] });
+            });
+
+            test('restores the edges deleted with the record', async () => {
+                const { body: { metadata } } = await request({
+                    body: { edges: true },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/diseases/${disease['@rid'].slice(1)}/restore`,
+                });
+                expect(metadata.restoredEdges).toHaveLength(1);
+                expect(metadata.skippedEdges).toEqual([]);
+                const { body: { result } } = await request({
+                    body: {
+                        filters: { in: alias['@rid'], out: disease['@rid'] },
+                        target: 'AliasOf',
+                    },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/query`,
+                });
+                expect(result).toHaveLength(1);
+            });
+
+            test('error on conflict with an active record', async () => {
+                await request({
+                    body: { name: 'cancer', source },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/diseases`,
+                });
+
+                try {
+                    await request({
+                        headers: { Authorization: adminUserToken },
+                        method: 'POST',
+                        uri: `${app.url}/diseases/${disease['@rid'].slice(1)}/restore`,
+                    });
+                } catch ({ response }) {
+                    expect(response.statusCode).toBe(HTTP_STATUS.CONFLICT);
+                    return;
+                }
+                throw new Error('Did not throw expected error');
+            });
+
+            test('error on record which is not deleted', async () => {
+                try {
+                    await request({
+                        headers: { Authorization: adminUserToken },
+                        method: 'POST',
+                        uri: `${app.url}/diseases/${alias['@rid'].slice(1)}/restore`,
+                    });
+                } catch ({ response }) {
+                    expect(response.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                    return;
+                }
+                throw new Error('Did not throw expected error');
+            });
+        });
+
+        describe('merge', () => {
+            let survivor,
+                duplicate,
+                parent,
+                source;
+
+            beforeEach(async () => {
+                source = (await request({
+                    body: { name: 'bcgsc', version: '2018' },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/sources`,
+                })).body.result['@rid'];
+                [survivor, duplicate, parent] = await Promise.all(['cancer', 'cancer (duplicate)', 'disease'].map(async (name) => (
+                    await request({
+                        body: { name, source },
+                        headers: { Authorization: adminUserToken },
+                        method: 'POST',
+                        uri: `${app.url}/diseases`,
+                    })).body.result));
+                await request({
+                    body: { in: parent['@rid'], out: duplicate['@rid'], source },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/subclassof`,
+                });
+            });
+
+            test('preview does not change the records', async () => {
+                const { body: { metadata, result } } = await request({
+                    body: { duplicates: [duplicate['@rid']], preview: true, survivor: survivor['@rid'] },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/diseases/merge`,
+                });
+                expect(result).toBe(null);
+                expect(metadata).toHaveProperty('preview', true);
+                expect(metadata.edges).toHaveLength(1);
+                expect(metadata.edges[0]).toHaveProperty('replacement', { in: parent['@rid'], out: survivor['@rid'] });
+                const { body: { result: record } } = await request({
+                    headers: { Authorization: adminUserToken },
+                    method: 'GET',
+                    uri: `${app.url}/diseases/${duplicate['@rid'].slice(1)}`,
+                });
+                expect(record.deletedAt).toBeFalsy();
+            });
+
+            test('moves the edges and deprecates the duplicate', async () => {
+                const { body: { metadata, result } } = await request({
+                    body: { duplicates: [duplicate['@rid']], survivor: survivor['@rid'] },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/diseases/merge`,
+                });
+                expect(result).toHaveProperty('@rid', survivor['@rid']);
+                expect(metadata).toHaveProperty('duplicates', [duplicate['@rid']]);
+                const { body: { result: edges } } = await request({
+                    body: {
+                        filters: { in: parent['@rid'], out: survivor['@rid'] },
+                        target: 'SubClassOf',
+                    },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/query`,
+                });
+                expect(edges).toHaveLength(1);
+                const { body: { result: deprecated } } = await request({
+                    body: {
+                        filters: { in: survivor['@rid'], out: duplicate['@rid'] },
+                        history: true,
+                        target: 'DeprecatedBy',
+                    },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/query`,
+                });
+                expect(deprecated).toHaveLength(1);
+
+                try {
+                    await request({
+                        headers: { Authorization: adminUserToken },
+                        method: 'GET',
+                        uri: `${app.url}/diseases/${duplicate['@rid'].slice(1)}`,
+                    });
+                } catch ({ response }) {
+                    expect(response.statusCode).toBe(HTTP_STATUS.NOT_FOUND);
+                    return;
+                }
+                throw new Error('Did not throw expected error');
+            });
+
+            test('error on survivor in duplicates', async () => {
+                try {
+                    await request({
+                        body: { duplicates: [survivor['@rid']], survivor: survivor['@rid'] },
+                        headers: { Authorization: adminUserToken },
+                        method: 'POST',
+                        uri: `${app.url}/diseases/merge`,
+                    });
+                } catch ({ response }) {
+                    expect(response.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                    return;
+                }
+                throw new Error('Did not throw expected error');
+            });
+        });
+    });
+
+    describe('/saved-queries', () => {
+        let managerUser,
+            managerUserToken,
+            savedQuery;
+
+        beforeEach(async () => {
+            managerUser = await createUser(session, {
+                existsOk: true,
+                groupNames: ['manager'],
+                signedLicenseAt: util.timeStampNow(),
+                userName: 'manager',
+            });
+            managerUserToken = await generateToken(
+                session,
+                managerUser.name,
+                app.conf.GKB_KEY,
+                REALLY_LONG_TIME,
+            );
+            const res = await request({
+                body: {
+                    name: 'users by name',
+                    query: { filters: { name: '$name' }, target: 'User' },
+                },
+                headers: { Authorization: adminUserToken },
+                method: 'POST',
+                uri: `${app.url}/saved-queries`,
+            });
+            savedQuery = res.body.result;
+        });
+
+        test('create a saved query', async () => {
+            expect(savedQuery).toHaveProperty('@rid');
+            expect(savedQuery).toHaveProperty('name', 'users by name');
+            expect(savedQuery).toHaveProperty('parameters', ['name']);
+            expect(savedQuery).toHaveProperty('createdBy', util.castToRID(db.admin).toString());
+        });
+
+        test('error on invalid query', async () => {
+            try {
+                await request({
+                    body: { name: 'bad query', query: { target: 'BadClass' } },
+                    headers: { Authorization: adminUserToken },
+                    method: 'POST',
+                    uri: `${app.url}/saved-queries`,
+                });
+            } catch (err) {
+                const res = err.response;
+                expect(res.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                return;
+            }
+            throw new Error('Did not throw expected error');
+        });
+
+        test('run a saved query', async () => {
+            const rid = savedQuery['@rid'].slice(1);
+            const res = await request({
+                headers: { Authorization: adminUserToken },
+                method: 'GET',
+                qs: { name: db.admin.name },
+                uri: `${app.url}/saved-queries/${rid}/run`,
+            });
+            expect(res.statusCode).toBe(HTTP_STATUS.OK);
+            expect(res.body.result).toHaveLength(1);
+            expect(res.body.result[0]).toHaveProperty('name', db.admin.name);
+        });
+
+        test('error on running without the query parameters', async () => {
+            const rid = savedQuery['@rid'].slice(1);
+
+            try {
+                await request({
+                    headers: { Authorization: adminUserToken },
+                    method: 'GET',
+                    uri: `${app.url}/saved-queries/${rid}/run`,
+                });
+            } catch (err) {
+                const res = err.response;
+                expect(res.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                return;
+            }
+            throw new Error('Did not throw expected error');
+        });
+
+        test('not visible to users it is not shared with', async () => {
+            const rid = savedQuery['@rid'].slice(1);
+            const list = await request({
+                headers: { Authorization: managerUserToken },
+                method: 'GET',
+                uri: `${app.url}/saved-queries`,
+            });
+            expect(list.body.result).toHaveLength(0);
+
+            try {
+                await request({
+                    headers: { Authorization: managerUserToken },
+                    method: 'GET',
+                    uri: `${app.url}/saved-queries/${rid}`,
+                });
+            } catch (err) {
+                const res = err.response;
+                expect(res.statusCode).toBe(HTTP_STATUS.NOT_FOUND);
+                return;
+            }
+            throw new Error('Did not throw expected error');
+        });
+
+        test('shared with the groups of the user', async () => {
+            const res = await request({
+                body: {
+                    groups: managerUser.groups.map((group) => util.castToRID(group).toString()),
+                    name: 'shared users by name',
+                    query: { filters: { name: '$name' }, target: 'User' },
+                },
+                headers: { Authorization: adminUserToken },
+                method: 'POST',
+                uri: `${app.url}/saved-queries`,
+            });
+            const list = await request({
+                headers: { Authorization: managerUserToken },
+                method: 'GET',
+                uri: `${app.url}/saved-queries`,
+            });
+            expect(list.body.result.map((rec) => rec['@rid'])).toEqual([res.body.result['@rid']]);
+        });
+
+        test('error on deleting a shared query the user did not create', async () => {
+            const res = await request({
+                body: {
+                    groups: managerUser.groups.map((group) => util.castToRID(group).toString()),
+                    name: 'shared users by name',
+                    query: { filters: { name: '$name' }, target: 'User' },
+                },
+                headers: { Authorization: adminUserToken },
+                method: 'POST',
+                uri: `${app.url}/saved-queries`,
+            });
+
+            try {
+                await request({
+                    headers: { Authorization: managerUserToken },
+                    method: 'DELETE',
+                    uri: `${app.url}/saved-queries/${res.body.result['@rid'].slice(1)}`,
+                });
+            } catch (err) {
+                expect(err.response.statusCode).toBe(HTTP_STATUS.FORBIDDEN);
+                return;
+            }
+            throw new Error('Did not throw expected error');
+        });
+
+        test('delete a saved query', async () => {
+            const rid = savedQuery['@rid'].slice(1);
+            const res = await request({
+                headers: { Authorization: adminUserToken },
+                method: 'DELETE',
+                uri: `${app.url}/saved-queries/${rid}`,
+            });
+            expect(res.statusCode).toBe(HTTP_STATUS.OK);
+            expect(res.body.result).toHaveProperty('deletedAt');
+
+            const list = await request({
+                headers: { Authorization: adminUserToken },
+                method: 'GET',
+                uri: `${app.url}/saved-queries`,
+            });
+            expect(list.body.result).toHaveLength(0);
+        });
     });
 
     describe('/license', () => {
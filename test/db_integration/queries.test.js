@@ -212,6 +212,41 @@ describeWithAuth('query builder', () => {
         });
     });
 
+    describe('shortestPath', () => {
+        test('path through tree and alias edges', async () => {
+            const { carcinoma, cancer, proliferation } = db.records;
+            const result = await select(
+                session,
+                parse({
+                    from: carcinoma['@rid'].toString(),
+                    queryType: 'shortestPath',
+                    target: 'Disease',
+                    to: proliferation['@rid'].toString(),
+                }),
+            );
+            // vertices alternate with the edges connecting them
+            expect(result.map((rec) => rec['@class'])).toEqual([
+                'Disease', 'SubClassOf', 'Disease', 'AliasOf', 'Disease',
+            ]);
+            expect(result[2]['@rid'].toString()).toBe(cancer['@rid'].toString());
+        });
+
+        test('no path for excluded edges', async () => {
+            const { proliferation } = db.records;
+            const result = await select(
+                session,
+                parse({
+                    edges: ['SubClassOf'],
+                    from: { filters: { sourceId: 'carcinoma' } },
+                    queryType: 'shortestPath',
+                    target: 'Disease',
+                    to: proliferation['@rid'].toString(),
+                }),
+            );
+            expect(result).toHaveProperty('length', 0);
+        });
+    });
+
     describe('selectFromList', () => {
         test('throws error on bad record ID', async () => {
             const { krasMut, krasSub } = db.records;
@@ -111,6 +111,78 @@ describeWithAuth('api read-only routes', () => {
         });
     });
 
+    describe('/suggest', () => {
+        test('suggests terms by prefix', async () => {
+            const response = await request({
+                headers: { Authorization: mockToken },
+                method: 'GET',
+                qs: { class: 'Disease', prefix: 'CA' },
+                uri: `${app.url}/suggest`,
+            });
+            expect(response.statusCode).toBe(HTTP_STATUS.OK);
+            expect(response.body.result.map((rec) => rec.displayName)).toEqual(['cancer', 'carcinomas']);
+            expect(response.body.result[0]).toEqual({
+                '@class': 'Disease',
+                '@rid': expect.stringMatching(/^#\d+:\d+$/),
+                deprecated: false,
+                displayName: 'cancer',
+                source: { '@rid': expect.stringMatching(/^#\d+:\d+$/), name: 'default source' },
+            });
+        });
+
+        test('collapses similar terms', async () => {
+            const response = await request({
+                headers: { Authorization: mockToken },
+                method: 'GET',
+                qs: { class: 'Feature', prefix: 'kras' },
+                uri: `${app.url}/suggest`,
+            });
+            expect(response.statusCode).toBe(HTTP_STATUS.OK);
+            expect(response.body.result.map((rec) => rec.displayName)).toEqual(['KRAS']);
+        });
+
+        test('suggests exact matches first', async () => {
+            const response = await request({
+                headers: { Authorization: mockToken },
+                method: 'GET',
+                qs: { class: 'Feature', prefix: 'kras1' },
+                uri: `${app.url}/suggest`,
+            });
+            expect(response.statusCode).toBe(HTTP_STATUS.OK);
+            expect(response.body.result.map((rec) => rec.displayName)).toEqual(['KRAS1']);
+        });
+
+        test('error on non-ontology class', async () => {
+            try {
+                await request({
+                    headers: { Authorization: mockToken },
+                    method: 'GET',
+                    qs: { class: 'Statement', prefix: 'kras' },
+                    uri: `${app.url}/suggest`,
+                });
+            } catch ({ response }) {
+                expect(response.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                return;
+            }
+            throw new Error('Did not throw expected error');
+        });
+
+        test('error on missing prefix', async () => {
+            try {
+                await request({
+                    headers: { Authorization: mockToken },
+                    method: 'GET',
+                    qs: { class: 'Disease' },
+                    uri: `${app.url}/suggest`,
+                });
+            } catch ({ response }) {
+                expect(response.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                return;
+            }
+            throw new Error('Did not throw expected error');
+        });
+    });
+
     describe('/query search statements by keyword', () => {
         test('count ignores limit', async () => {
             const response = await request({
@@ -262,6 +334,25 @@ describeWithAuth('api read-only routes', () => {
     });
 
     describe('/query', () => {
+        test('explain does not run the query', async () => {
+            const response = await request({
+                body: {
+                    explain: true,
+                    filters: { name: 'cancer' },
+                    target: 'Disease',
+                },
+                headers: { Authorization: mockToken },
+                method: 'POST',
+                uri,
+            });
+            expect(response.statusCode).toBe(HTTP_STATUS.OK);
+            expect(response.body).not.toHaveProperty('metadata');
+            expect(response.body.result).toHaveProperty('plan');
+            expect(response.body.result).toHaveProperty('params', { param0: 'cancer' });
+            expect(response.body.result.statement).toContain('FROM Disease');
+            expect(response.body.result.query).toHaveProperty('target', 'Disease');
+        });
+
         test('empty target array is bad request', async () => {
             try {
                 await request({
@@ -306,6 +397,98 @@ describeWithAuth('api read-only routes', () => {
             expect(response.body.result).toHaveProperty('length', 2);
         });
 
+        test('walks all pages with a cursor', async () => {
+            const { body: first } = await request({
+                body: { limit: 2, paginate: true, target: 'Disease' },
+                headers: { Authorization: mockToken },
+                method: 'POST',
+                uri,
+            });
+            expect(first.result).toHaveProperty('length', 2);
+            expect(first.metadata.nextCursor).toBeTruthy();
+            const { body: second } = await request({
+                body: { cursor: first.metadata.nextCursor, limit: 2, target: 'Disease' },
+                headers: { Authorization: mockToken },
+                method: 'POST',
+                uri,
+            });
+            expect(second.result).toHaveProperty('length', 1);
+            expect(second.metadata).toHaveProperty('nextCursor', null);
+            const rids = [...first.result, ...second.result].map((rec) => rec['@rid']);
+            expect(new Set(rids).size).toBe(3);
+        });
+
+        test('bad request for cursor with skip', async () => {
+            try {
+                await request({
+                    body: { paginate: true, skip: 1, target: 'Disease' },
+                    headers: { Authorization: mockToken },
+                    method: 'POST',
+                    uri,
+                });
+            } catch ({ response }) {
+                expect(response.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                return;
+            }
+            throw new Error('Did not throw expected error');
+        });
+
+        test('export streams all records as ndjson', async () => {
+            const response = await request({
+                body: { returnProperties: ['name'], target: 'Disease' },
+                headers: { Authorization: mockToken },
+                method: 'POST',
+                uri: `${uri}/export`,
+            });
+            expect(response.statusCode).toBe(HTTP_STATUS.OK);
+            expect(response.headers['content-type']).toContain('application/x-ndjson');
+            const records = response.body.trim().split('\n').map((line) => JSON.parse(line));
+            expect(records).toHaveLength(3);
+            expect(records[0]).toHaveProperty('name');
+        });
+
+        test('bad request for export with limit', async () => {
+            try {
+                await request({
+                    body: { limit: 1, target: 'Disease' },
+                    headers: { Authorization: mockToken },
+                    method: 'POST',
+                    uri: `${uri}/export`,
+                });
+            } catch ({ response }) {
+                expect(response.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                return;
+            }
+            throw new Error('Did not throw expected error');
+        });
+
+        test('csv output with returnProperties columns', async () => {
+            const response = await request({
+                body: { returnProperties: ['name', 'source.name'], target: 'Disease' },
+                headers: { Accept: 'text/csv', Authorization: mockToken },
+                method: 'POST',
+                uri,
+            });
+            expect(response.statusCode).toBe(HTTP_STATUS.OK);
+            expect(response.headers['content-type']).toContain('text/csv');
+            const rows = response.body.trim().split('\r\n');
+            expect(rows[0]).toBe('name,source.name');
+            expect(rows).toHaveLength(4);
+        });
+
+        test('groupBy returns counts for each group', async () => {
+            const response = await request({
+                body: { groupBy: ['source.name'], target: 'Disease' },
+                headers: { Authorization: mockToken },
+                method: 'POST',
+                uri,
+            });
+            expect(response.statusCode).toBe(HTTP_STATUS.OK);
+            const total = response.body.result.reduce((sum, group) => sum + group.count, 0);
+            expect(total).toBe(3);
+            expect(response.body.result[0]).toHaveProperty(['source.name']);
+        });
+
         test('uses property name query parameter', async () => {
             const response = await request({
                 body: { filters: { name: db.admin.name }, target: 'User' },
@@ -434,6 +617,40 @@ describeWithAuth('api read-only routes', () => {
             expect(response.body.result).toHaveProperty('length', 1);
         });
 
+        test('ranked keyword search finds misspelled terms', async () => {
+            const response = await request({
+                body: {
+                    keyword: 'carcinma', queryType: 'keyword', ranked: true, target: 'Disease',
+                },
+                headers: { Authorization: mockToken },
+                method: 'POST',
+                uri,
+            });
+            expect(response.statusCode).toBe(HTTP_STATUS.OK);
+            expect(response.body.result).toHaveLength(1);
+            const [record] = response.body.result;
+            expect(record).toHaveProperty('sourceId', 'carcinoma');
+            expect(record).not.toHaveProperty('rankingAliases');
+            expect(response.body.metadata.relevance).toHaveProperty([record['@rid']]);
+        });
+
+        test('ranked keyword search orders exact matches first', async () => {
+            const response = await request({
+                body: {
+                    keyword: 'kras', queryType: 'keyword', ranked: true, target: 'Feature',
+                },
+                headers: { Authorization: mockToken },
+                method: 'POST',
+                uri,
+            });
+            expect(response.statusCode).toBe(HTTP_STATUS.OK);
+            expect(response.body.result.map((rec) => rec.sourceId)).toEqual(['kras', 'kras1']);
+            const [exact, partial] = response.body.result.map(
+                (rec) => response.body.metadata.relevance[rec['@rid']],
+            );
+            expect(exact).toBeGreaterThan(partial);
+        });
+
         test('deeply nested return properties', async () => {
             const response = await request({
                 body: {
@@ -136,6 +136,101 @@ describeWithAuth('service routes', () => {
             }
             throw new Error('Did not throw expected error');
         });
+
+        test('normalized notation', async () => {
+            const res = await request({
+                body: { content: 'KRAS:p.G12D', normalize: true },
+                method: 'POST',
+                uri: `${app.url}/parse`,
+            });
+            expect(res.statusCode).toBe(HTTP_STATUS.OK);
+            expect(res.body.result.reference1).toBe('KRAS');
+            expect(res.body.normalized).toBe('KRAS:p.G12D');
+        });
+
+        test('normalize flag given as a string', async () => {
+            const res = await request({
+                body: { content: ['KRAS:p.G12D'], normalize: 'false' },
+                method: 'POST',
+                uri: `${app.url}/parse`,
+            });
+            expect(res.statusCode).toBe(HTTP_STATUS.OK);
+            expect(res.body.result[0]).not.toHaveProperty('normalized');
+        });
+
+        test('error on batch over the maximum size', async () => {
+            try {
+                await request({
+                    body: { content: Array.from({ length: 101 }, () => 'KRAS:p.G12D') },
+                    method: 'POST',
+                    uri: `${app.url}/parse`,
+                });
+            } catch ({ response }) {
+                expect(response.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                return;
+            }
+            throw new Error('Did not throw expected error');
+        });
+
+        test('batch with errors for individual notations', async () => {
+            const res = await request({
+                body: { content: ['KRAS:p.G12D', 'KRAS:p.G12D blargh', 'p.G12F'] },
+                method: 'POST',
+                uri: `${app.url}/parse`,
+            });
+            expect(res.statusCode).toBe(HTTP_STATUS.OK);
+            expect(res.body.metadata).toEqual({ errors: 2, records: 3 });
+            expect(res.body.result[0].content).toBe('KRAS:p.G12D');
+            expect(res.body.result[0].result.untemplatedSeq).toBe('D');
+            expect(res.body.result[1].content).toBe('KRAS:p.G12D blargh');
+            expect(res.body.result[1]).toHaveProperty('error');
+            expect(res.body.result[1]).not.toHaveProperty('result');
+            expect(res.body.result[1].suggestions).toContain('KRAS:p.G12D');
+            expect(res.body.result[2]).toHaveProperty('error');
+        });
+
+        test('normalizes notation which cannot be parsed as given', async () => {
+            const res = await request({
+                body: { content: 'KRAS:Gly12Asp' },
+                method: 'POST',
+                uri: `${app.url}/parse`,
+            });
+            expect(res.statusCode).toBe(HTTP_STATUS.OK);
+            expect(res.body.result.break1Repr).toBe('p.G12');
+            expect(res.body.normalizations).toEqual([
+                'added the missing protein coordinate prefix (p.)',
+                'converted the three-letter amino acid codes to one-letter codes',
+            ]);
+        });
+
+        test('error with suggested notations', async () => {
+            try {
+                await request({
+                    body: { content: 'KRAS:p.G12D blargh' },
+                    method: 'POST',
+                    uri: `${app.url}/parse`,
+                });
+            } catch ({ response }) {
+                expect(response.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                expect(response.body.suggestions[0]).toBe('KRAS:p.G12D');
+                return;
+            }
+            throw new Error('Did not throw expected error');
+        });
+
+        test('error on non-string batch item', async () => {
+            try {
+                await request({
+                    body: { content: ['KRAS:p.G12D', { reference1: 'KRAS' }] },
+                    method: 'POST',
+                    uri: `${app.url}/parse`,
+                });
+            } catch ({ response }) {
+                expect(response.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+                return;
+            }
+            throw new Error('Did not throw expected error');
+        });
     });
 
     describe('/extensions', () => {
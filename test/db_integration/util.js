@@ -11,6 +11,7 @@ const clearDB = async ({ session, admin }) => {
     // clear all V/E records
     await session.command('delete edge e').all();
     await session.command('delete vertex v').all();
+    await session.command('delete from savedquery').all();
     await session.command(`delete from user where name != '${admin.name}'`).all();
     await session.command('delete from usergroup where name != \'readonly\' and name != \'admin\' and name != \'regular\'').all();
 };
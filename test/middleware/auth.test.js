@@ -1,10 +1,11 @@
 const HTTP_STATUS = require('http-status-codes');
 
 const {
+    PERMISSIONS,
     schema,
 } = require('@bcgsc-pori/graphkb-schema');
 
-const { checkClassPermissions } = require('../../src/middleware/auth');
+const { checkClassPermissions, requirePermission } = require('../../src/middleware/auth');
 const { generateDefaultGroups } = require('../../src/repo/schema');
 
 describe('checkClassPermissions', () => {
@@ -559,3 +560,32 @@ describe('checkClassPermissions', () => {
         });
     });
 });
+
+describe('requirePermission', () => {
+    const next = jest.fn();
+    const res = { status: jest.fn().mockReturnValue({ json: jest.fn() }) };
+    const user = { groups: [{ name: 'curator', permissions: { User: PERMISSIONS.UPDATE } }] };
+    let req;
+
+    beforeEach(() => {
+        req = { method: 'POST', model: schema.models.User, user };
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('overrides the permission from the request method', () => {
+        requirePermission(PERMISSIONS.UPDATE)(req, res, next);
+        expect(req).toHaveProperty('operationPermission', PERMISSIONS.UPDATE);
+        next.mockClear();
+        checkClassPermissions(req, res, next);
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('uses the request method permission by default', () => {
+        checkClassPermissions(req, res, next);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN);
+    });
+});
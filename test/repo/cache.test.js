@@ -0,0 +1,141 @@
+const {
+    cached,
+    createCacheStore,
+    getRecordClasses,
+    getStatementClasses,
+    invalidateCache,
+    setCacheStore,
+    userCacheKey,
+} = require('../../src/repo/cache');
+
+describe('createCacheStore', () => {
+    test('disabled when the ttl is 0', () => {
+        expect(createCacheStore({ GKB_CACHE_TTL: 0 })).toBe(null);
+    });
+
+    test('evicts the least recently used entry', async () => {
+        const store = createCacheStore({ GKB_CACHE_SIZE: 2, GKB_CACHE_TTL: 10000 });
+        await store.set('a', 1);
+        await store.set('b', 2);
+        expect(await store.get('a')).toBe(1);
+        await store.set('c', 3);
+        expect(store.size).toBe(2);
+        expect(await store.get('b')).toBe(undefined);
+        expect(await store.get('a')).toBe(1);
+        expect(await store.get('c')).toBe(3);
+    });
+
+    test('expires entries', async () => {
+        const store = createCacheStore({ GKB_CACHE_TTL: 1 });
+        await store.set('a', 1);
+        await new Promise((resolve) => {
+            setTimeout(resolve, 5);
+        });
+        expect(await store.get('a')).toBe(undefined);
+    });
+
+    test('invalidates entries by tag', async () => {
+        const store = createCacheStore({ GKB_CACHE_TTL: 10000 });
+        await store.set('a', 1, ['Disease']);
+        await store.set('b', 2, ['Feature']);
+        await store.invalidate(['Disease', 'Ontology']);
+        expect(await store.get('a')).toBe(undefined);
+        expect(await store.get('b')).toBe(2);
+    });
+});
+
+describe('getStatementClasses', () => {
+    test('classes and edges', () => {
+        const classes = getStatementClasses('SELECT * FROM (TRAVERSE both(\'AliasOf\') FROM Disease) WHERE source.name = :param0');
+        expect(classes.sort()).toEqual(['AliasOf', 'Disease']);
+    });
+});
+
+describe('getRecordClasses', () => {
+    test('classes and parent classes of the records', () => {
+        const classes = getRecordClasses([{ '@class': 'Disease', '@rid': '#12:3' }, { '@rid': '#1:0' }]);
+        expect(classes).toEqual(expect.arrayContaining(['Disease', 'Ontology', 'V']));
+        expect(classes).not.toContain('Feature');
+    });
+});
+
+describe('userCacheKey', () => {
+    test('same key for the same groups in any order', () => {
+        expect(userCacheKey({ groups: [{ '@rid': '#1:2' }, '#1:1'] })).toEqual(
+            userCacheKey({ groups: ['#1:1', { '@rid': '#1:2' }] }),
+        );
+    });
+
+    test('no user', () => {
+        expect(userCacheKey(null)).toBe('');
+    });
+});
+
+describe('cached', () => {
+    afterEach(() => {
+        setCacheStore(null);
+    });
+
+    test('computes every time when disabled', async () => {
+        const compute = jest.fn().mockResolvedValue(['record']);
+        await cached('key', ['Disease'], compute);
+        await cached('key', ['Disease'], compute);
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    test('uses the cached value', async () => {
+        setCacheStore(createCacheStore({ GKB_CACHE_TTL: 10000 }));
+        const compute = jest.fn().mockResolvedValue(['record']);
+        expect(await cached('key', ['Disease'], compute)).toEqual(['record']);
+        expect(await cached('key', ['Disease'], compute)).toEqual(['record']);
+        expect(compute).toHaveBeenCalledTimes(1);
+    });
+
+    test('recomputes after the class is modified', async () => {
+        setCacheStore(createCacheStore({ GKB_CACHE_TTL: 10000 }));
+        const compute = jest.fn().mockResolvedValue(['record']);
+        await cached('key', ['Ontology'], compute);
+        await invalidateCache('Disease');
+        await cached('key', ['Ontology'], compute);
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    test('invalidates each of the modified classes', async () => {
+        setCacheStore(createCacheStore({ GKB_CACHE_TTL: 10000 }));
+        const compute = jest.fn().mockResolvedValue(['record']);
+        await cached('disease', ['Disease'], compute);
+        await cached('alias', ['AliasOf'], compute);
+        await cached('source', ['Source'], compute);
+        await invalidateCache(['Disease', 'AliasOf']);
+        await cached('disease', ['Disease'], compute);
+        await cached('alias', ['AliasOf'], compute);
+        await cached('source', ['Source'], compute);
+        expect(compute).toHaveBeenCalledTimes(5);
+    });
+
+    test('tags from the computed value', async () => {
+        setCacheStore(createCacheStore({ GKB_CACHE_TTL: 10000 }));
+        const compute = jest.fn().mockResolvedValue(['Disease']);
+        await cached('key', (value) => value, compute);
+        await invalidateCache('Disease');
+        await cached('key', (value) => value, compute);
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not cache values without tags', async () => {
+        setCacheStore(createCacheStore({ GKB_CACHE_TTL: 10000 }));
+        const compute = jest.fn().mockResolvedValue([]);
+        await cached('key', [], compute);
+        await cached('key', [], compute);
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    test('ignores errors from the cache store', async () => {
+        setCacheStore({
+            get: jest.fn().mockRejectedValue(new Error('unavailable')),
+            set: jest.fn().mockRejectedValue(new Error('unavailable')),
+        });
+        const compute = jest.fn().mockResolvedValue(['record']);
+        expect(await cached('key', ['Disease'], compute)).toEqual(['record']);
+    });
+});
@@ -1,4 +1,4 @@
-const { create } = require('../../../src/repo/commands/create');
+const { create, createMany } = require('../../../src/repo/commands/create');
 const {
     PermissionError, ValidationError,
 } = require('../../../src/repo/error');
@@ -58,3 +58,93 @@ describe('create (createEdge)', () => {
         throw new Error('Did not throw expected error');
     });
 });
+
+describe('createMany', () => {
+    const user = { '@rid': '#45:1', groups: groups.filter((g) => g.name === 'admin') };
+    const records = [
+        { '@class': 'SubClassOf', in: '#4:3', out: '#3:4' },
+        { '@class': 'SubClassOf', in: '#3:4', out: '#3:4' },
+        { '@class': 'SubClassOf', in: '#4:4', out: '#3:4' },
+    ];
+    let db,
+        commit;
+
+    beforeEach(() => {
+        commit = {
+            buildStatement: jest.fn(),
+            commit: jest.fn(),
+            let: jest.fn(),
+            return: jest.fn().mockReturnValue({ all: jest.fn().mockResolvedValue([]) }),
+        };
+        commit.let.mockReturnValue(commit);
+        commit.commit.mockReturnValue(commit);
+        db = {
+            create: jest.fn().mockReturnValue({
+                from: jest.fn().mockReturnValue({
+                    to: jest.fn().mockReturnValue({
+                        set: jest.fn().mockReturnValue({
+                            one: jest.fn().mockResolvedValue({ '@rid': '#20:1' }),
+                        }),
+                    }),
+                }),
+            }),
+            let: jest.fn().mockReturnValue(commit),
+            // select the created records by the uuids in the query parameters
+            query: jest.fn().mockImplementation((statement, { params } = {}) => ({
+                all: jest.fn().mockResolvedValue(Object.values(params || {})
+                    .flat()
+                    .filter((value) => typeof value === 'string')
+                    .map((uuid, index) => ({ '@rid': `#20:${index}`, uuid }))),
+            })),
+            record: {
+                get: jest.fn().mockResolvedValue([
+                    { '@class': 'Vocabulary' },
+                    { '@class': 'Vocabulary' },
+                ]),
+            },
+        };
+    });
+
+    test('best-effort batch continues after a failed record', async () => {
+        const outcomes = await createMany(db, { modelName: 'SubClassOf', records, user });
+        expect(outcomes).toHaveLength(3);
+        expect(outcomes[0]).toEqual({ result: { '@rid': '#20:1' } });
+        expect(outcomes[1].error).toBeInstanceOf(ValidationError);
+        expect(outcomes[2]).toEqual({ result: { '@rid': '#20:1' } });
+        expect(db.query).not.toHaveBeenCalled();
+        expect(db.let).not.toHaveBeenCalled();
+    });
+
+    test('atomic batch does not write anything on failure', async () => {
+        const outcomes = await createMany(db, {
+            atomic: true, modelName: 'SubClassOf', records, user,
+        });
+        expect(outcomes).toHaveLength(2);
+        expect(outcomes[0]).toEqual({ skipped: true });
+        expect(outcomes[1].error).toBeInstanceOf(ValidationError);
+        expect(db.create).not.toHaveBeenCalled();
+        expect(db.let).not.toHaveBeenCalled();
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('atomic batch creates all records in a single transaction', async () => {
+        const outcomes = await createMany(db, {
+            atomic: true, modelName: 'SubClassOf', records: [records[0], records[2]], user,
+        });
+        expect(db.create).not.toHaveBeenCalled();
+        expect(db.let).toHaveBeenCalledTimes(1);
+        expect(commit.let).toHaveBeenCalledTimes(1);
+        expect(commit.commit).toHaveBeenCalledTimes(1);
+        expect(outcomes).toHaveLength(2);
+        expect(outcomes.every((outcome) => outcome.result && outcome.result.uuid)).toBe(true);
+        expect(outcomes[0].result.uuid).not.toEqual(outcomes[1].result.uuid);
+    });
+
+    test('atomic batch writes nothing when the transaction fails', async () => {
+        commit.return.mockReturnValue({ all: jest.fn().mockRejectedValue(new Error('commit failed')) });
+        await expect(createMany(db, {
+            atomic: true, modelName: 'SubClassOf', records: [records[0], records[2]], user,
+        })).rejects.toThrow('commit failed');
+        expect(db.query).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,25 @@
+const { explain } = require('../../../src/repo/commands/explain');
+const { parse } = require('../../../src/repo/query_builder');
+
+describe('explain', () => {
+    test('explains the generated statement', async () => {
+        const plan = { executionPlanAsString: '+ FETCH FROM INDEX Disease.name' };
+        const db = {
+            query: jest.fn().mockReturnValue({
+                all: jest.fn().mockResolvedValue([plan]),
+            }),
+        };
+        const query = parse({ filters: { name: 'cancer' }, target: 'Disease' });
+        const result = await explain(db, query);
+
+        expect(db.query).toHaveBeenCalledWith(
+            `EXPLAIN ${query.toString().query}`,
+            { params: { param0: 'cancer' } },
+        );
+        expect(result).toHaveProperty('plan', plan);
+        expect(result).toHaveProperty('params', { param0: 'cancer' });
+        expect(result).toHaveProperty('statement', query.toString().query);
+        expect(result.sql).toContain('\'cancer\'');
+        expect(result.query).toHaveProperty('target', 'Disease');
+    });
+});
@@ -0,0 +1,151 @@
+const { linkingProperties, merge, planEdges } = require('../../../src/repo/commands/merge');
+const { ValidationError } = require('../../../src/repo/error');
+const { generateDefaultGroups } = require('../../../src/repo/schema');
+
+const groups = generateDefaultGroups();
+
+describe('linkingProperties', () => {
+    test('includes statement links to ontology terms', () => {
+        const linking = linkingProperties('Disease');
+        expect(linking).toHaveProperty('Statement');
+        const names = linking.Statement.map((prop) => prop.name);
+        expect(names).toContain('conditions');
+        expect(names).toContain('subject');
+        expect(names).not.toContain('evidence');
+        expect(names).not.toContain('createdBy');
+    });
+
+    test('includes variant references', () => {
+        const linking = linkingProperties('Feature');
+        expect(linking).toHaveProperty('PositionalVariant');
+        const names = linking.PositionalVariant.map((prop) => prop.name);
+        expect(names).toContain('reference1');
+        expect(names).toContain('reference2');
+    });
+
+    test('ignores history links', () => {
+        const linking = linkingProperties('Disease');
+        expect(linking).toHaveProperty('Disease');
+        expect(linking.Disease.map((prop) => prop.name)).not.toContain('history');
+    });
+});
+
+describe('planEdges', () => {
+    const survivor = {
+        '@class': 'Disease',
+        '@rid': '#1:0',
+        out_AliasOf: [{
+            '@class': 'AliasOf', '@rid': '#20:0', in: '#1:3', out: '#1:0',
+        }],
+    };
+
+    test('moves edges to the survivor', () => {
+        const duplicate = {
+            '@class': 'Disease',
+            '@rid': '#1:1',
+            in_SubClassOf: [{
+                '@class': 'SubClassOf', '@rid': '#21:0', in: '#1:1', out: '#1:4',
+            }],
+        };
+        const [plan] = planEdges({ duplicates: [duplicate], survivor });
+        expect(plan).toHaveProperty('direction', 'out');
+        expect(plan).toHaveProperty('neighbor', '#1:4');
+        expect(plan).toHaveProperty('replacement', { in: '#1:0', out: '#1:4' });
+        expect(plan.reason).toBeUndefined();
+    });
+
+    test('skips edges the survivor already has', () => {
+        const duplicate = {
+            '@class': 'Disease',
+            '@rid': '#1:1',
+            out_AliasOf: [{
+                '@class': 'AliasOf', '@rid': '#20:1', in: '#1:3', out: '#1:1',
+            }],
+        };
+        const [plan] = planEdges({ duplicates: [duplicate], survivor });
+        expect(plan.replacement).toBeUndefined();
+        expect(plan).toHaveProperty('reason', 'an equivalent edge already exists');
+    });
+
+    test('does not treat edges from a different source as equivalent', () => {
+        const duplicate = {
+            '@class': 'Disease',
+            '@rid': '#1:1',
+            out_AliasOf: [{
+                '@class': 'AliasOf', '@rid': '#20:1', in: '#1:3', out: '#1:1', source: '#5:0',
+            }],
+        };
+        const [plan] = planEdges({ duplicates: [duplicate], survivor });
+        expect(plan).toHaveProperty('replacement', { in: '#1:3', out: '#1:0' });
+    });
+
+    test('skips edges to the survivor', () => {
+        const duplicate = {
+            '@class': 'Disease',
+            '@rid': '#1:1',
+            out_AliasOf: [{
+                '@class': 'AliasOf', '@rid': '#20:2', in: '#1:0', out: '#1:1',
+            }],
+        };
+        const [plan] = planEdges({ duplicates: [duplicate], survivor });
+        expect(plan.replacement).toBeUndefined();
+        expect(plan).toHaveProperty('neighbor', '#1:0');
+        expect(plan).toHaveProperty('reason');
+    });
+
+    test('edges between duplicates are only planned once', () => {
+        const edge = {
+            '@class': 'AliasOf', '@rid': '#20:3', in: '#1:2', out: '#1:1',
+        };
+        const plan = planEdges({
+            duplicates: [
+                { '@class': 'Disease', '@rid': '#1:1', out_AliasOf: [edge] },
+                { '@class': 'Disease', '@rid': '#1:2', in_AliasOf: [edge] },
+            ],
+            survivor,
+        });
+        expect(plan).toHaveLength(1);
+        expect(plan[0].replacement).toBeUndefined();
+        expect(plan[0].neighbor).toBeUndefined();
+    });
+
+    test('ignores deleted edges', () => {
+        const duplicate = {
+            '@class': 'Disease',
+            '@rid': '#1:1',
+            out_AliasOf: [{
+                '@class': 'AliasOf', '@rid': '#20:4', deletedAt: 1, in: '#1:3', out: '#1:1',
+            }],
+        };
+        expect(planEdges({ duplicates: [duplicate], survivor })).toEqual([]);
+    });
+});
+
+describe('merge', () => {
+    const db = { query: jest.fn() };
+    const user = { '@rid': '#45:1', groups: groups.filter((g) => g.name === 'admin'), name: 'admin' };
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('error on non-ontology class', async () => {
+        await expect(merge(db, {
+            duplicates: ['#1:1'], modelName: 'Statement', survivor: '#1:0', user,
+        })).rejects.toThrow(ValidationError);
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('error on survivor in duplicates', async () => {
+        await expect(merge(db, {
+            duplicates: ['#1:1', '#1:0'], modelName: 'Disease', survivor: '#1:0', user,
+        })).rejects.toThrow('cannot also be a duplicate');
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('error on missing duplicates', async () => {
+        await expect(merge(db, {
+            duplicates: [], modelName: 'Disease', survivor: '#1:0', user,
+        })).rejects.toThrow(ValidationError);
+    });
+});
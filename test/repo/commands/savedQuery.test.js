@@ -0,0 +1,123 @@
+const {
+    createSavedQuery,
+    getQueryParameters,
+    substituteQueryParameters,
+} = require('../../../src/repo/commands/savedQuery');
+const { ValidationError } = require('../../../src/repo/error');
+
+const user = { '@rid': '#20:0', groups: [], name: 'user' };
+
+const mockDb = () => ({
+    insert: jest.fn().mockReturnValue({
+        into: jest.fn().mockReturnValue({
+            set: jest.fn().mockImplementation((record) => ({
+                one: jest.fn().mockResolvedValue({ ...record, '@rid': '#30:0' }),
+            })),
+        }),
+    }),
+});
+
+describe('getQueryParameters', () => {
+    test('no placeholders', () => {
+        expect(getQueryParameters({ filters: { name: 'kras' }, target: 'Feature' })).toEqual([]);
+    });
+
+    test('nested placeholders', () => {
+        const body = {
+            filters: {
+                AND: [
+                    { name: '$gene' },
+                    { source: { filters: { name: '$source' }, target: 'Source' } },
+                ],
+            },
+            target: 'Feature',
+        };
+        expect(getQueryParameters(body)).toEqual(['gene', 'source']);
+    });
+
+    test('ignores $ within a value', () => {
+        expect(getQueryParameters({ filters: { name: 'a $gene' }, target: 'Feature' })).toEqual([]);
+    });
+});
+
+describe('substituteQueryParameters', () => {
+    test('replaces placeholders', () => {
+        const body = { filters: { OR: [{ name: '$gene' }, { sourceId: '$gene' }] }, target: 'Feature' };
+        expect(substituteQueryParameters(body, { gene: 'kras' })).toEqual({
+            filters: { OR: [{ name: 'kras' }, { sourceId: 'kras' }] }, target: 'Feature',
+        });
+        // does not modify the saved query
+        expect(body.filters.OR[0]).toEqual({ name: '$gene' });
+    });
+
+    test('error on missing value', () => {
+        expect(() => substituteQueryParameters({ filters: { name: '$gene' }, target: 'Feature' }, {})).toThrow(ValidationError);
+    });
+
+    test('error on unrecognized value', () => {
+        expect(() => substituteQueryParameters({ filters: { name: '$gene' }, target: 'Feature' }, { gene: 'kras', other: 'braf' })).toThrow(ValidationError);
+    });
+});
+
+describe('createSavedQuery', () => {
+    test('stores the query body as a string', async () => {
+        const db = mockDb();
+        const query = { filters: { name: '$gene' }, target: 'Feature' };
+        const result = await createSavedQuery(db, { content: { name: ' genes ', query }, user });
+        expect(result).toEqual({
+            '@class': 'SavedQuery',
+            '@rid': '#30:0',
+            createdAt: expect.any(Number),
+            createdBy: '#20:0',
+            description: null,
+            groups: [],
+            name: 'genes',
+            parameters: ['gene'],
+            query,
+        });
+    });
+
+    test('error on missing name', async () => {
+        const db = mockDb();
+        await expect(createSavedQuery(db, { content: { query: { target: 'Feature' } }, user })).rejects.toThrow(ValidationError);
+        expect(db.insert).not.toHaveBeenCalled();
+    });
+
+    test('error on invalid query', async () => {
+        const db = mockDb();
+        await expect(createSavedQuery(db, { content: { name: 'bad', query: { target: 'BadClass' } }, user })).rejects.toThrow(ValidationError);
+        expect(db.insert).not.toHaveBeenCalled();
+    });
+
+    test('error on unrecognized body parameter', async () => {
+        const db = mockDb();
+        await expect(createSavedQuery(db, { content: { blargh: 1, name: 'bad', query: { target: 'Feature' } }, user })).rejects.toThrow(ValidationError);
+    });
+
+    test('shares the query with a group of the user', async () => {
+        const db = mockDb();
+        const result = await createSavedQuery(db, {
+            content: { groups: ['#12:1'], name: 'genes', query: { target: 'Feature' } },
+            user: { ...user, groups: [{ '@rid': '#12:1', name: 'readonly' }] },
+        });
+        expect(result.groups).toEqual(['#12:1']);
+    });
+
+    test('error on group the user is not a member of', async () => {
+        const db = mockDb();
+        await expect(createSavedQuery(db, {
+            content: { groups: ['#12:0'], name: 'genes', query: { target: 'Feature' } },
+            user: { ...user, groups: [{ '@rid': '#12:1', name: 'readonly' }] },
+        })).rejects.toThrow('Cannot share the saved query with a group (#12:0) the user is not a member of');
+        expect(db.insert).not.toHaveBeenCalled();
+    });
+
+    test('error on group which is not a record ID', async () => {
+        const db = mockDb();
+        await expect(createSavedQuery(db, {
+            content: { groups: ['admin'], name: 'genes', query: { target: 'Feature' } },
+            user,
+        })).rejects.toThrow(ValidationError);
+        expect(db.insert).not.toHaveBeenCalled();
+    });
+});
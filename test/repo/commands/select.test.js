@@ -1,4 +1,9 @@
-const { fetchDisplayName } = require('../../../src/repo/commands/select');
+const {
+    fetchDisplayName, QUERY_LIMIT, select, selectAll, selectAsOf, selectHistory,
+} = require('../../../src/repo/commands/select');
+const { createCacheStore, invalidateCache, setCacheStore } = require('../../../src/repo/cache');
+const { parse } = require('../../../src/repo/query_builder');
+const { NoRecordFoundError } = require('../../../src/repo/error');
 
 describe('fetchDisplayName', () => {
     afterEach(() => {
@@ -147,3 +152,225 @@ describe('fetchDisplayName', () => {
         expect(displayName).toEqual('KRAS:p.G12D');
     });
 });
+
+describe('selectHistory', () => {
+    const versions = [
+        {
+            '@class': 'Disease',
+            '@rid': '#10:0',
+            createdAt: 1,
+            createdBy: '#5:0',
+            deletedAt: 2,
+            deletedBy: '#5:1',
+            name: 'cancer',
+            sourceId: 'cancer',
+            updatedAt: 1,
+            updatedBy: '#5:0',
+        },
+        {
+            '@class': 'Disease',
+            '@rid': '#10:2',
+            createdAt: 1,
+            createdBy: '#5:0',
+            history: '#10:1',
+            name: 'cancer',
+            out_AliasOf: ['#20:1'],
+            sourceId: 'cancer',
+            subsets: ['a'],
+            updatedAt: 3,
+            updatedBy: '#5:0',
+        },
+        {
+            '@class': 'Disease',
+            '@rid': '#10:1',
+            createdAt: 1,
+            createdBy: '#5:0',
+            deletedAt: 3,
+            deletedBy: '#5:0',
+            description: 'thing',
+            history: '#10:0',
+            name: 'cancer',
+            sourceId: 'cancer',
+            updatedAt: 2,
+            updatedBy: '#5:1',
+        },
+    ];
+
+    const mockDb = (records) => ({
+        query: jest.fn()
+            .mockReturnValueOnce({ all: jest.fn().mockResolvedValue(records) })
+            .mockReturnValueOnce({
+                all: jest.fn().mockResolvedValue([
+                    { '@rid': '#5:0', name: 'alice' },
+                    { '@rid': '#5:1', name: 'bob' },
+                ]),
+            }),
+    });
+
+    test('orders versions by following the history links', async () => {
+        const db = mockDb(versions.map((v) => ({ ...v })));
+        const result = await selectHistory(db, { modelName: 'Disease', target: '#10:2' });
+        expect(db.query.mock.calls[0][0]).toBe('TRAVERSE history FROM #10:2 MAXDEPTH 999');
+        expect(result.map((v) => v['@rid'])).toEqual(['#10:2', '#10:1', '#10:0']);
+        expect(result.map((v) => v.version)).toEqual([3, 2, 1]);
+        expect(result[0].record).not.toHaveProperty('out_AliasOf');
+    });
+
+    test('diffs consecutive versions', async () => {
+        const db = mockDb(versions.map((v) => ({ ...v })));
+        const [current, previous, first] = await selectHistory(db, { modelName: 'Disease', target: '#10:2' });
+        expect(current.changes).toEqual({
+            description: { new: null, old: 'thing' },
+            subsets: { new: ['a'], old: null },
+        });
+        expect(previous.changes).toEqual({ description: { new: 'thing', old: null } });
+        expect(first.changes).toBe(null);
+    });
+
+    test('resolves user names', async () => {
+        const db = mockDb(versions.map((v) => ({ ...v })));
+        const [, previous] = await selectHistory(db, { modelName: 'Disease', target: '#10:2' });
+        expect(previous.updatedBy).toEqual({ '@rid': '#5:1', name: 'bob' });
+        expect(previous.deletedBy).toEqual({ '@rid': '#5:0', name: 'alice' });
+        expect(previous.deletedAt).toBe(3);
+    });
+
+    test('throws error when the record is not an instance of the model', async () => {
+        const db = mockDb(versions.map((v) => ({ ...v })));
+
+        try {
+            await selectHistory(db, { modelName: 'Feature', target: '#10:2' });
+        } catch (err) {
+            expect(err).toBeInstanceOf(NoRecordFoundError);
+            return;
+        }
+        throw new Error('Did not throw expected error');
+    });
+});
+
+describe('selectAsOf', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    const mockDb = (versions, records) => ({
+        query: jest.fn()
+            .mockReturnValueOnce({ all: jest.fn().mockResolvedValue(versions) })
+            .mockReturnValueOnce({ all: jest.fn().mockResolvedValue(records) }),
+    });
+
+    test('selects the version current at the given time', async () => {
+        const record = {
+            '@class': 'Disease', '@rid': '#10:1', deletedAt: 3, name: 'cancer',
+        };
+        const db = mockDb([{ '@rid': '#10:1' }], [record]);
+        const result = await selectAsOf(db, { asOf: 2, modelName: 'Disease', target: '#10:2' });
+        expect(result).toEqual(record);
+        expect(db.query.mock.calls[0][0]).toBe(
+            'SELECT @rid FROM (TRAVERSE history FROM #10:2 MAXDEPTH 999) WHERE createdAt <= 2'
+            + ' AND (updatedAt IS NULL OR updatedAt <= 2) AND (deletedAt IS NULL OR deletedAt > 2)',
+        );
+        expect(db.query.mock.calls[1][0]).toContain('[#10:1]');
+    });
+
+    test('accepts a date', async () => {
+        const db = mockDb([{ '@rid': '#10:1' }], [{ '@class': 'Disease', '@rid': '#10:1' }]);
+        await selectAsOf(db, { asOf: '2021-03-01T00:00:00Z', modelName: 'Disease', target: '#10:2' });
+        expect(db.query.mock.calls[0][0]).toContain(`<= ${Date.parse('2021-03-01T00:00:00Z')} AND`);
+    });
+
+    test('error when the record did not exist at the given time', async () => {
+        const db = mockDb([], []);
+        await expect(selectAsOf(db, { asOf: 2, modelName: 'Disease', target: '#10:2' })).rejects.toThrow(NoRecordFoundError);
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('error on bad timestamp', async () => {
+        const db = mockDb([], []);
+        await expect(selectAsOf(db, { asOf: 'yesterday', modelName: 'Disease', target: '#10:2' })).rejects.toThrow('Expected a timestamp or date');
+        expect(db.query).not.toHaveBeenCalled();
+    });
+});
+
+describe('select', () => {
+    afterEach(() => {
+        setCacheStore(null);
+        jest.clearAllMocks();
+    });
+
+    const mockDb = () => ({
+        query: jest.fn().mockReturnValue({
+            all: jest.fn().mockResolvedValue([{ '@class': 'Disease', '@rid': '#1:0', name: 'cancer' }]),
+        }),
+    });
+
+    test('uses the cached result', async () => {
+        setCacheStore(createCacheStore({ GKB_CACHE_TTL: 10000 }));
+        const db = mockDb();
+        const first = await select(db, parse({ target: 'Disease' }), { cache: true });
+        const second = await select(db, parse({ target: 'Disease' }), { cache: true });
+        expect(second).toEqual(first);
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not use the cache by default', async () => {
+        setCacheStore(createCacheStore({ GKB_CACHE_TTL: 10000 }));
+        const db = mockDb();
+        await select(db, parse({ target: 'Disease' }), { cache: true });
+        await select(db, parse({ target: 'Disease' }));
+        expect(db.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('restores the cursor of a cached page', async () => {
+        setCacheStore(createCacheStore({ GKB_CACHE_TTL: 10000 }));
+        const db = mockDb();
+        await select(db, parse({ limit: 1, paginate: true, target: 'Disease' }), { cache: true });
+        const query = parse({ limit: 1, paginate: true, target: 'Disease' });
+        await select(db, query, { cache: true });
+        expect(db.query).toHaveBeenCalledTimes(1);
+        expect(query.nextCursor).not.toBe(null);
+    });
+
+    test('selects again after the class is modified', async () => {
+        setCacheStore(createCacheStore({ GKB_CACHE_TTL: 10000 }));
+        const db = mockDb();
+        await select(db, parse({ target: 'Disease' }), { cache: true });
+        await invalidateCache('Disease');
+        await select(db, parse({ target: 'Disease' }), { cache: true });
+        expect(db.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('selects record IDs again after the class of the records is modified', async () => {
+        setCacheStore(createCacheStore({ GKB_CACHE_TTL: 10000 }));
+        const db = mockDb();
+        await select(db, parse({ target: ['#1:0'] }), { cache: true });
+        await select(db, parse({ target: ['#1:0'] }), { cache: true });
+        expect(db.query).toHaveBeenCalledTimes(1);
+        await invalidateCache(['Disease']);
+        await select(db, parse({ target: ['#1:0'] }), { cache: true });
+        expect(db.query).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('selectAll', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('selects every page of results', async () => {
+        const page = Array.from({ length: QUERY_LIMIT }, (_, index) => ({
+            '@class': 'Disease', '@rid': `#1:${index}`, name: `${index}`,
+        }));
+        const db = {
+            query: jest.fn()
+                .mockReturnValueOnce({ all: jest.fn().mockResolvedValue(page) })
+                .mockReturnValueOnce({
+                    all: jest.fn().mockResolvedValue([{ '@class': 'Disease', '@rid': '#2:0', name: 'last' }]),
+                }),
+        };
+        const records = await selectAll(db, { target: 'Disease' });
+        expect(records).toHaveLength(QUERY_LIMIT + 1);
+        expect(db.query).toHaveBeenCalledTimes(2);
+        expect(db.query.mock.calls[1][0]).toContain(`@rid > #1:${QUERY_LIMIT - 1}`);
+    });
+});
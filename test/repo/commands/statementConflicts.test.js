@@ -0,0 +1,132 @@
+const { selectStatementConflicts } = require('../../../src/repo/commands/statementConflicts');
+const { QUERY_LIMIT } = require('../../../src/repo/commands/select');
+const { ValidationError } = require('../../../src/repo/error');
+
+const mockDb = (...results) => {
+    const query = jest.fn();
+
+    for (const records of results) {
+        query.mockReturnValueOnce({ all: jest.fn().mockResolvedValue(records) });
+    }
+    return { query };
+};
+
+const opposites = [
+    {
+        '@class': 'OppositeOf', '@rid': '#20:0', in: '#2:1', out: '#2:0',
+    },
+];
+
+describe('selectStatementConflicts', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('error on bad subject class', async () => {
+        const db = mockDb();
+        await expect(selectStatementConflicts(db, { subjectClass: 'blargh' })).rejects.toThrow(ValidationError);
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('no conflicts without opposite relevances', async () => {
+        const db = mockDb([]);
+        const result = await selectStatementConflicts(db, {});
+        expect(result).toEqual([]);
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('selects every page of opposite relevances', async () => {
+        const page = Array.from({ length: QUERY_LIMIT }, (_, index) => ({
+            '@class': 'OppositeOf', '@rid': `#20:${index}`, in: `#2:${2 * index + 1}`, out: `#2:${2 * index}`,
+        }));
+        const db = mockDb(page, opposites, []);
+        const result = await selectStatementConflicts(db, {});
+        expect(result).toEqual([]);
+        expect(db.query).toHaveBeenCalledTimes(3);
+        expect(db.query.mock.calls[1][0]).toContain(`@rid > #20:${QUERY_LIMIT - 1}`);
+        expect(Object.values(db.query.mock.calls[2][1].params)).toHaveLength(2 * QUERY_LIMIT);
+    });
+
+    test('groups statements by conditions and subject', async () => {
+        const candidates = [
+            {
+                '@rid': '#6:0', conditions: ['#4:0', '#5:0'], relevance: '#2:0', subject: '#7:0',
+            },
+            {
+                '@rid': '#6:1', conditions: ['#5:0', '#4:0'], relevance: '#2:1', subject: '#7:0',
+            },
+            { // different subject
+                '@rid': '#6:2', conditions: ['#4:0', '#5:0'], relevance: '#2:1', subject: '#7:1',
+            },
+            { // different conditions
+                '@rid': '#6:3', conditions: ['#4:0'], relevance: '#2:1', subject: '#7:0',
+            },
+        ];
+        const statements = [
+            {
+                '@rid': '#6:0', conditions: [{ '@rid': '#4:0' }, { '@rid': '#5:0' }], evidence: [], subject: { '@rid': '#7:0' },
+            },
+            {
+                '@rid': '#6:1', conditions: [{ '@rid': '#5:0' }, { '@rid': '#4:0' }], evidence: [], subject: { '@rid': '#7:0' },
+            },
+        ];
+        const db = mockDb(opposites, candidates, statements);
+        const result = await selectStatementConflicts(db, {});
+        expect(db.query).toHaveBeenCalledTimes(3);
+        expect(db.query.mock.calls[2][0]).toContain('#6:0');
+        expect(db.query.mock.calls[2][0]).toContain('#6:1');
+        expect(db.query.mock.calls[2][0]).not.toContain('#6:2');
+        expect(result).toEqual([{
+            conditions: statements[0].conditions,
+            relevances: [['#2:0', '#2:1']],
+            statements,
+            subject: statements[0].subject,
+        }]);
+    });
+
+    test('selects every page of conflicting statements', async () => {
+        const candidates = Array.from({ length: QUERY_LIMIT + 1 }, (_, index) => ({
+            '@rid': `#6:${index}`, conditions: ['#4:0'], relevance: `#2:${index % 2}`, subject: '#7:0',
+        }));
+        const statements = candidates.map(({ '@rid': rid }) => ({
+            '@rid': rid, conditions: [{ '@rid': '#4:0' }], evidence: [], subject: { '@rid': '#7:0' },
+        }));
+        const db = mockDb(
+            opposites,
+            candidates.slice(0, QUERY_LIMIT),
+            candidates.slice(QUERY_LIMIT),
+            statements.slice(0, QUERY_LIMIT),
+            statements.slice(QUERY_LIMIT),
+        );
+        const result = await selectStatementConflicts(db, {});
+        expect(db.query).toHaveBeenCalledTimes(5);
+        expect(result).toHaveLength(1);
+        expect(result[0].statements).toHaveLength(QUERY_LIMIT + 1);
+    });
+
+    test('no conflicts for the same relevance', async () => {
+        const candidates = [
+            {
+                '@rid': '#6:0', conditions: ['#4:0'], relevance: '#2:0', subject: '#7:0',
+            },
+            {
+                '@rid': '#6:1', conditions: ['#4:0'], relevance: '#2:0', subject: '#7:0',
+            },
+        ];
+        const db = mockDb(opposites, candidates);
+        const result = await selectStatementConflicts(db, {});
+        expect(result).toEqual([]);
+        expect(db.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('filters by source, subject class, and gene', async () => {
+        const db = mockDb(opposites, []);
+        await selectStatementConflicts(db, { gene: 'KRAS', source: 'civic', subjectClass: 'therapy' });
+        const [statement, { params }] = db.query.mock.calls[1];
+        expect(statement).toContain('Source');
+        expect(statement).toContain('INSTANCEOF Therapy');
+        expect(statement).toContain('Variant');
+        // string values are lowercased by the query builder
+        expect(Object.values(params)).toEqual(expect.arrayContaining(['civic', 'kras']));
+    });
+});
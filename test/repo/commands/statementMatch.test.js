@@ -0,0 +1,132 @@
+const { matchStatements } = require('../../../src/repo/commands/statementMatch');
+const { ValidationError } = require('../../../src/repo/error');
+
+const mockDb = (...results) => {
+    const query = jest.fn();
+
+    for (const records of results) {
+        query.mockReturnValueOnce({ all: jest.fn().mockResolvedValue(records) });
+    }
+    return { query };
+};
+
+const variant = { '@class': 'PositionalVariant', '@rid': '#4:0', displayName: 'KRAS:p.G12D' };
+const related = { '@class': 'CategoryVariant', '@rid': '#3:0', displayName: 'KRAS mutation' };
+const other = { '@class': 'CategoryVariant', '@rid': '#3:1', displayName: 'TP53 mutation' };
+const disease = { '@class': 'Disease', '@rid': '#5:0', displayName: 'melanoma' };
+
+describe('matchStatements', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('error on empty variants', async () => {
+        const db = mockDb();
+        await expect(matchStatements(db, { variants: [] })).rejects.toThrow(ValidationError);
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('error on non-string variant', async () => {
+        const db = mockDb();
+        await expect(matchStatements(db, { variants: [{ reference1: 'KRAS' }] })).rejects.toThrow(
+            'variants must be variant notations or record IDs',
+        );
+    });
+
+    test('error on bad variant notation includes the input index', async () => {
+        const db = mockDb([variant]);
+        await expect(matchStatements(db, { variants: ['#4:0', 'KRAS:bad notation'] })).rejects.toThrow(
+            'Unable to match variants[1] (KRAS:bad notation)',
+        );
+    });
+
+    test('no statements when no variants are matched', async () => {
+        const db = mockDb([]);
+        const result = await matchStatements(db, { variants: ['#4:0'] });
+        expect(result).toEqual([{ input: '#4:0', statements: [] }]);
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('error on record ID which is not a variant', async () => {
+        const db = mockDb([disease]);
+        await expect(matchStatements(db, { variants: ['#5:0'] })).rejects.toThrow(
+            'Unable to match variants[0] (#5:0): the input record (#5:0) is a Disease not a Variant',
+        );
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('statements for related variants', async () => {
+        const statement = {
+            '@class': 'Statement', '@rid': '#6:0', conditions: [related, disease],
+        };
+        const db = mockDb([variant, related], [statement]);
+        const result = await matchStatements(db, { variants: ['#4:0'] });
+        expect(db.query).toHaveBeenCalledTimes(2);
+        expect(db.query.mock.calls[1][0]).toContain('CONTAINSANY');
+        expect(result).toEqual([{
+            input: '#4:0',
+            statements: [{
+                matches: [{
+                    condition: related,
+                    path: ['linked to the variant(s) matched for #4:0 by similarity or inheritance edges'],
+                }],
+                statement,
+            }],
+        }]);
+    });
+
+    test('skips statements with unmatched variant conditions', async () => {
+        const statement = {
+            '@class': 'Statement', '@rid': '#6:0', conditions: [variant, other],
+        };
+        const db = mockDb([variant], [statement]);
+        const result = await matchStatements(db, { variants: ['#4:0'] });
+        expect(result).toEqual([{ input: '#4:0', statements: [] }]);
+    });
+
+    test('co-occurring variants matched by different inputs', async () => {
+        const statement = {
+            '@class': 'Statement', '@rid': '#6:0', conditions: [variant, other],
+        };
+        const db = mockDb([variant], [other], [statement]);
+        const result = await matchStatements(db, { variants: ['#4:0', '#3:1'] });
+        expect(result).toHaveProperty('length', 2);
+
+        for (const { statements } of result) {
+            expect(statements).toEqual([{
+                matches: [
+                    { condition: variant, path: ['is the input record #4:0'] },
+                    { condition: other, path: ['is the input record #3:1'] },
+                ],
+                statement,
+            }]);
+        }
+    });
+
+    test('filters statements by disease', async () => {
+        const otherDisease = { '@class': 'Disease', '@rid': '#5:1', displayName: 'glioma' };
+        const statements = [
+            { '@class': 'Statement', '@rid': '#6:0', conditions: [variant, disease] },
+            { '@class': 'Statement', '@rid': '#6:1', conditions: [variant, otherDisease] },
+        ];
+        const db = mockDb([variant], [{ ...disease, name: 'melanoma' }], statements);
+        const result = await matchStatements(db, { disease: 'Melanoma', variants: ['#4:0'] });
+        expect(result).toEqual([{
+            input: '#4:0',
+            statements: [{
+                matches: [
+                    { condition: variant, path: ['is the input record #4:0'] },
+                    { condition: disease, path: ['disease (melanoma) matches Melanoma'] },
+                ],
+                statement: statements[0],
+            }],
+        }]);
+    });
+
+    test('no statements when the disease is not found', async () => {
+        const db = mockDb([variant], []);
+        const result = await matchStatements(db, { disease: 'melanoma', variants: ['#4:0'] });
+        expect(result).toEqual([{ input: '#4:0', statements: [] }]);
+        expect(db.query).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,88 @@
+const { suggest } = require('../../../src/repo/commands/suggest');
+const { ValidationError } = require('../../../src/repo/error');
+
+const mockDb = (records) => ({
+    query: jest.fn().mockReturnValue({
+        all: jest.fn().mockResolvedValue(records),
+    }),
+});
+
+describe('suggest', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('error on non-ontology class', async () => {
+        const db = mockDb([]);
+        await expect(suggest(db, { modelName: 'Statement', prefix: 'kras' })).rejects.toThrow(ValidationError);
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('error on empty prefix', async () => {
+        const db = mockDb([]);
+        await expect(suggest(db, { modelName: 'Disease', prefix: ' ' })).rejects.toThrow(ValidationError);
+    });
+
+    test('error on limit over the maximum', async () => {
+        const db = mockDb([]);
+        await expect(suggest(db, { limit: 1000, modelName: 'Disease', prefix: 'can' })).rejects.toThrow(ValidationError);
+    });
+
+    test('exact and current terms first', async () => {
+        const db = mockDb([
+            {
+                '@class': 'Disease', '@rid': '#1:0', displayName: 'Cancers', name: 'cancers', sourceId: '1',
+            },
+            {
+                '@class': 'Disease', '@rid': '#1:1', deprecated: true, displayName: 'Canc', name: 'canc', sourceId: '2',
+            },
+            {
+                '@class': 'Disease', '@rid': '#1:2', displayName: 'Cancer', name: 'cancer', sourceId: '3',
+            },
+        ]);
+        const result = await suggest(db, { modelName: 'Disease', prefix: 'Cancer' });
+        expect(result.map((rec) => rec['@rid'])).toEqual(['#1:2', '#1:0']);
+
+        const all = await suggest(db, { modelName: 'Disease', prefix: 'can' });
+        expect(all.map((rec) => rec['@rid'])).toEqual(['#1:2', '#1:0', '#1:1']);
+        expect(all[2]).toHaveProperty('deprecated', true);
+    });
+
+    test('collapses similar terms', async () => {
+        const db = mockDb([
+            {
+                '@class': 'Disease', '@rid': '#1:0', displayName: 'Cancer', name: 'cancer', similar: ['#1:1'], sourceId: '1',
+            },
+            {
+                '@class': 'Disease', '@rid': '#1:1', displayName: 'Cancers', name: 'cancers', similar: ['#1:0'], sourceId: '2',
+            },
+        ]);
+        const result = await suggest(db, { modelName: 'Disease', prefix: 'can' });
+        expect(result).toEqual([{
+            '@class': 'Disease', '@rid': '#1:0', deprecated: false, displayName: 'Cancer', source: null,
+        }]);
+    });
+
+    test('ignores records which do not start with the prefix', async () => {
+        const db = mockDb([
+            {
+                '@class': 'Disease', '@rid': '#1:0', displayName: 'Ca_cer', name: 'ca_cer', sourceId: '1',
+            },
+        ]);
+        const result = await suggest(db, { modelName: 'Disease', prefix: 'can' });
+        expect(result).toEqual([]);
+    });
+
+    test('limits the suggestions', async () => {
+        const db = mockDb([
+            {
+                '@class': 'Disease', '@rid': '#1:0', name: 'cancer', sourceId: '1',
+            },
+            {
+                '@class': 'Disease', '@rid': '#1:1', name: 'cancers', sourceId: '2',
+            },
+        ]);
+        const result = await suggest(db, { limit: 1, modelName: 'Disease', prefix: 'can' });
+        expect(result).toHaveLength(1);
+    });
+});
@@ -1,7 +1,12 @@
-const { modifyEdgeTx } = require('../../../src/repo/commands/update');
 const {
-    PermissionError,
+    modifyEdgeTx, remove, restore, revert, updateMany,
+} = require('../../../src/repo/commands/update');
+const { cached, createCacheStore, setCacheStore } = require('../../../src/repo/cache');
+const {
+    NotImplementedError, PermissionError, RecordConflictError, ValidationError,
 } = require('../../../src/repo/error');
+const { parse } = require('../../../src/repo/query_builder');
+const { MAX_LIMIT } = require('../../../src/repo/query_builder/constants');
 const { generateDefaultGroups } = require('../../../src/repo/schema');
 
 const groups = generateDefaultGroups();
@@ -36,3 +41,394 @@ describe('remove (delete edge)', () => {
         throw new Error('Did not throw expected error');
     });
 });
+
+describe('remove (delete node)', () => {
+    const user = {
+        '@rid': '#5:0',
+        groups: groups.filter((g) => g.name === 'admin').map((g) => ({ ...g, '@rid': '#16:0' })),
+        name: 'admin',
+    };
+    const original = {
+        '@class': 'Disease',
+        '@rid': '#10:1',
+        createdAt: 1,
+        createdBy: '#5:0',
+        name: 'cancer',
+        out_AliasOf: [{
+            '@class': 'AliasOf',
+            '@rid': '#20:1',
+            createdAt: 1,
+            in: {
+                '@class': 'AnatomicalEntity', '@rid': '#11:1', createdAt: 1, name: 'lung',
+            },
+            out: '#10:1',
+        }],
+        source: '#3:1',
+        sourceId: 'cancer',
+    };
+
+    afterEach(() => {
+        setCacheStore(null);
+        jest.clearAllMocks();
+    });
+
+    test('invalidates the cached results for the deleted edges and copied nodes', async () => {
+        const commit = {
+            buildStatement: jest.fn(),
+            commit: jest.fn(),
+            let: jest.fn(),
+            return: jest.fn().mockReturnValue({
+                one: jest.fn().mockResolvedValue({ ...original }),
+            }),
+        };
+        commit.let.mockReturnValue(commit);
+        commit.commit.mockReturnValue(commit);
+        const db = {
+            let: jest.fn().mockReturnValue(commit),
+            query: jest.fn()
+                .mockReturnValueOnce({ all: jest.fn().mockResolvedValue([{ ...original }]) })
+                .mockReturnValue({ all: jest.fn().mockResolvedValue([{ count: 0 }]) }),
+        };
+        setCacheStore(createCacheStore({ GKB_CACHE_TTL: 10000 }));
+        const compute = jest.fn().mockResolvedValue(['record']);
+
+        for (const className of ['AliasOf', 'AnatomicalEntity', 'Source']) {
+            await cached(className, [className], compute);
+        }
+        await remove(db, { modelName: 'Disease', query: parse({ target: ['#10:1'] }), user });
+
+        for (const className of ['AliasOf', 'AnatomicalEntity', 'Source']) {
+            await cached(className, [className], compute);
+        }
+        // only the Source result is still cached
+        expect(compute).toHaveBeenCalledTimes(5);
+    });
+});
+
+describe('updateMany', () => {
+    const user = {
+        '@rid': '#45:1',
+        groups: groups.filter((g) => g.name === 'admin').map((g) => ({ ...g, '@rid': '#16:0' })),
+        name: 'admin',
+    };
+    let db;
+
+    const mockRecords = (records) => ({
+        let: jest.fn(),
+        query: jest.fn().mockReturnValue({
+            all: jest.fn().mockResolvedValue(records),
+        }),
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('dry run returns the expected changes without updating', async () => {
+        db = mockRecords([
+            {
+                '@class': 'Vocabulary', '@rid': '#10:1', description: 'old', name: 'a', sourceId: 'a',
+            },
+            {
+                '@class': 'Vocabulary', '@rid': '#10:2', description: 'new', name: 'b', sourceId: 'b',
+            },
+        ]);
+        const outcomes = await updateMany(db, {
+            changes: { description: 'new' },
+            dryRun: true,
+            modelName: 'Vocabulary',
+            query: parse({ target: 'Vocabulary' }),
+            user,
+        });
+        expect(outcomes).toEqual([
+            { '@rid': '#10:1', changes: { description: { new: 'new', old: 'old' } } },
+            { '@rid': '#10:2', changes: {} },
+        ]);
+        expect(db.let).not.toHaveBeenCalled();
+    });
+
+    test('dry run reports records the changes are invalid for', async () => {
+        db = mockRecords([
+            {
+                '@class': 'Vocabulary', '@rid': '#10:1', name: 'a', sourceId: 'a',
+            },
+        ]);
+        const [outcome] = await updateMany(db, {
+            changes: { blargh: 'monkeys' },
+            dryRun: true,
+            modelName: 'Vocabulary',
+            query: parse({ target: 'Vocabulary' }),
+            user,
+        });
+        expect(outcome).toHaveProperty('@rid', '#10:1');
+        expect(outcome.error).toBeInstanceOf(ValidationError);
+    });
+
+    test('throws error when a matched record is not an instance of the model', async () => {
+        db = mockRecords([
+            {
+                '@class': 'Disease', '@rid': '#10:1', name: 'a', sourceId: 'a',
+            },
+        ]);
+
+        try {
+            await updateMany(db, {
+                changes: { description: 'new' },
+                dryRun: true,
+                modelName: 'Vocabulary',
+                query: parse({ target: ['#10:1'] }),
+                user,
+            });
+        } catch (err) {
+            expect(err).toBeInstanceOf(ValidationError);
+            expect(err.toString()).toContain('not a Vocabulary record');
+            return;
+        }
+        throw new Error('Did not throw expected error');
+    });
+
+    test('throws error on empty changes', async () => {
+        db = mockRecords([]);
+
+        try {
+            await updateMany(db, {
+                changes: {},
+                modelName: 'Vocabulary',
+                query: parse({ target: 'Vocabulary' }),
+                user,
+            });
+        } catch (err) {
+            expect(err).toBeInstanceOf(ValidationError);
+            return;
+        }
+        throw new Error('Did not throw expected error');
+    });
+
+    test('throws error when the query matches more records than the limit', async () => {
+        db = mockRecords(Array.from({ length: MAX_LIMIT }, (_, index) => ({
+            '@class': 'Vocabulary', '@rid': `#10:${index}`, name: `${index}`, sourceId: `${index}`,
+        })));
+
+        try {
+            await updateMany(db, {
+                changes: { description: 'new' },
+                dryRun: true,
+                modelName: 'Vocabulary',
+                query: parse({ target: 'Vocabulary' }),
+                user,
+            });
+        } catch (err) {
+            expect(err).toBeInstanceOf(ValidationError);
+            expect(err.toString()).toContain(`Cannot update more than ${MAX_LIMIT} records`);
+            return;
+        }
+        throw new Error('Did not throw expected error');
+    });
+});
+
+describe('revert', () => {
+    const user = {
+        '@rid': '#5:0',
+        groups: groups.filter((g) => g.name === 'admin').map((g) => ({ ...g, '@rid': '#16:0' })),
+        name: 'admin',
+    };
+
+    const mockHistory = (records) => ({
+        let: jest.fn(),
+        query: jest.fn()
+            .mockReturnValueOnce({ all: jest.fn().mockResolvedValue(records) })
+            .mockReturnValue({
+                all: jest.fn().mockResolvedValue([{ '@rid': '#5:0', name: 'admin' }]),
+            }),
+    });
+    const current = {
+        '@class': 'Disease',
+        '@rid': '#10:2',
+        createdAt: 1,
+        createdBy: '#5:0',
+        description: 'new',
+        history: '#10:1',
+        name: 'cancer',
+        sourceId: 'cancer',
+    };
+    const previous = {
+        '@class': 'Disease',
+        '@rid': '#10:1',
+        createdAt: 1,
+        createdBy: '#5:0',
+        deletedAt: 2,
+        deletedBy: '#5:0',
+        description: 'old',
+        name: 'cancer',
+        sourceId: 'cancer',
+    };
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('throws error for edges', async () => {
+        const db = mockHistory([]);
+
+        try {
+            await revert(db, {
+                modelName: 'SubClassOf', target: '#20:2', user, version: '#20:1',
+            });
+        } catch (err) {
+            expect(err).toBeInstanceOf(NotImplementedError);
+            expect(err.toString()).toContain('Cannot revert SubClassOf records');
+            expect(db.query).not.toHaveBeenCalled();
+            return;
+        }
+        throw new Error('Did not throw expected error');
+    });
+
+    test('throws error when the version is not in the record history', async () => {
+        const db = mockHistory([{ ...current }, { ...previous }]);
+
+        try {
+            await revert(db, {
+                modelName: 'Disease', target: '#10:2', user, version: '#10:5',
+            });
+        } catch (err) {
+            expect(err).toBeInstanceOf(ValidationError);
+            expect(err.toString()).toContain('is not a previous version');
+            return;
+        }
+        throw new Error('Did not throw expected error');
+    });
+
+    test('throws error when reverting to the current version', async () => {
+        const db = mockHistory([{ ...current }, { ...previous }]);
+
+        try {
+            await revert(db, {
+                modelName: 'Disease', target: '#10:2', user, version: '#10:2',
+            });
+        } catch (err) {
+            expect(err).toBeInstanceOf(ValidationError);
+            expect(err.toString()).toContain('is not a previous version');
+            return;
+        }
+        throw new Error('Did not throw expected error');
+    });
+
+    test('throws error when there is nothing to revert', async () => {
+        const db = mockHistory([{ ...current }, { ...previous, description: 'new' }]);
+
+        try {
+            await revert(db, {
+                modelName: 'Disease', target: '#10:2', user, version: '#10:1',
+            });
+        } catch (err) {
+            expect(err).toBeInstanceOf(ValidationError);
+            expect(err.toString()).toContain('Nothing to revert');
+            return;
+        }
+        throw new Error('Did not throw expected error');
+    });
+
+    test('throws error when the target is not the current version', async () => {
+        const db = mockHistory([{ ...previous }]);
+
+        try {
+            await revert(db, {
+                modelName: 'Disease', target: '#10:1', user, version: '#10:0',
+            });
+        } catch (err) {
+            expect(err).toBeInstanceOf(ValidationError);
+            expect(err.toString()).toContain('Only the current version');
+            return;
+        }
+        throw new Error('Did not throw expected error');
+    });
+});
+
+describe('restore', () => {
+    const user = { '@rid': '#5:0', groups: groups.filter((g) => g.name === 'admin'), name: 'admin' };
+    const deleted = {
+        '@class': 'Disease',
+        '@rid': '#10:1',
+        createdAt: 1,
+        createdBy: '#5:0',
+        deletedAt: 2,
+        deletedBy: '#5:0',
+        name: 'cancer',
+        source: '#3:1',
+        sourceId: 'cancer',
+        uuid: 'a2f4c1e6-7a4d-4a63-9e43-3f1f0c9f6e21',
+    };
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('throws error when the record is not deleted', async () => {
+        const active = { ...deleted, deletedAt: null, deletedBy: null };
+        const db = {
+            query: jest.fn().mockReturnValue({
+                all: jest.fn().mockResolvedValue([active]),
+            }),
+        };
+
+        try {
+            await restore(db, { modelName: 'Disease', target: '#10:1', user });
+        } catch (err) {
+            expect(err).toBeInstanceOf(ValidationError);
+            expect(err.toString()).toContain('has not been deleted');
+            return;
+        }
+        throw new Error('Did not throw expected error');
+    });
+
+    test('throws error when the record is a history copy', async () => {
+        const db = {
+            query: jest.fn()
+                .mockReturnValueOnce({ all: jest.fn().mockResolvedValue([{ ...deleted }]) })
+                .mockReturnValueOnce({ all: jest.fn().mockResolvedValue([{ count: 1 }]) }),
+        };
+
+        try {
+            await restore(db, { modelName: 'Disease', target: '#10:1', user });
+        } catch (err) {
+            expect(err).toBeInstanceOf(ValidationError);
+            expect(err.toString()).toContain('previous version of another record');
+            return;
+        }
+        throw new Error('Did not throw expected error');
+    });
+
+    test('throws error when restoring would duplicate an active record', async () => {
+        // the active index is defined on the Source class itself
+        const source = {
+            '@class': 'Source',
+            '@rid': '#11:1',
+            createdAt: 1,
+            createdBy: '#5:0',
+            deletedAt: 2,
+            deletedBy: '#5:0',
+            name: 'disease ontology',
+            updatedAt: 1,
+            updatedBy: '#5:0',
+            uuid: deleted.uuid,
+        };
+        const db = {
+            let: jest.fn(),
+            query: jest.fn()
+                .mockReturnValueOnce({ all: jest.fn().mockResolvedValue([source]) })
+                .mockReturnValueOnce({ all: jest.fn().mockResolvedValue([{ count: 0 }]) })
+                .mockReturnValueOnce({
+                    all: jest.fn().mockResolvedValue([{ '@class': 'Source', '@rid': '#11:5' }]),
+                }),
+        };
+
+        try {
+            await restore(db, { modelName: 'Source', target: '#11:1', user });
+        } catch (err) {
+            expect(err).toBeInstanceOf(RecordConflictError);
+            expect(db.let).not.toHaveBeenCalled();
+            return;
+        }
+        throw new Error('Did not throw expected error');
+    });
+});
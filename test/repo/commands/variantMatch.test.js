@@ -0,0 +1,150 @@
+const { matchVariant } = require('../../../src/repo/commands/variantMatch');
+const { QUERY_LIMIT } = require('../../../src/repo/commands/select');
+const { ValidationError } = require('../../../src/repo/error');
+
+const mockDb = (...results) => {
+    const query = jest.fn();
+
+    for (const records of results) {
+        query.mockReturnValueOnce({ all: jest.fn().mockResolvedValue(records) });
+    }
+    return { query };
+};
+
+const features = [
+    {
+        '@class': 'Feature', '@rid': '#1:0', displayName: 'KRAS', name: 'kras', sourceId: '3845',
+    },
+    {
+        '@class': 'Feature', '@rid': '#1:1', displayName: 'KRAS1', name: 'kras1', sourceId: 'kras1',
+    },
+];
+
+const types = [
+    { '@class': 'Vocabulary', '@rid': '#2:0', name: 'missense mutation' },
+    { '@class': 'Vocabulary', '@rid': '#2:1', name: 'mutation' },
+];
+
+describe('matchVariant', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('error on missing type', async () => {
+        const db = mockDb();
+        await expect(matchVariant(db, { variant: { reference1: 'KRAS' } })).rejects.toThrow(ValidationError);
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('error on position without a class', async () => {
+        const db = mockDb();
+        await expect(matchVariant(db, {
+            variant: { break1Start: { pos: 12 }, reference1: 'KRAS', type: 'mutation' },
+        })).rejects.toThrow('variant.break1Start must be a position with a @class');
+    });
+
+    test('no matches when the gene is not found', async () => {
+        const db = mockDb([], types);
+        const result = await matchVariant(db, { variant: { reference1: 'KRAS', type: 'mutation' } });
+        expect(result).toEqual([]);
+        expect(db.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('category variants only without positions', async () => {
+        const category = {
+            '@class': 'CategoryVariant', '@rid': '#3:0', reference1: '#1:0', type: '#2:1',
+        };
+        const db = mockDb(features, types, [category]);
+        const result = await matchVariant(db, { variant: { reference1: 'KRAS', type: 'mutation' } });
+        expect(db.query).toHaveBeenCalledTimes(3);
+        expect(db.query.mock.calls[2][0]).toContain('CategoryVariant');
+        expect(db.query.mock.calls[2][0]).toContain('reference2 IS NULL');
+        expect(result).toEqual([{
+            matchType: 'category',
+            reasons: [
+                'reference1 (KRAS) matches KRAS',
+                'type (mutation) matches mutation',
+                'category variant (no positions) of the matched gene(s)',
+            ],
+            variant: category,
+        }]);
+    });
+
+    test('positional matches ordered before category matches', async () => {
+        const category = {
+            '@class': 'CategoryVariant', '@rid': '#3:0', reference1: '#1:0', type: '#2:1',
+        };
+        const overlap = {
+            '@class': 'PositionalVariant',
+            '@rid': '#4:1',
+            break1End: { '@class': 'ProteinPosition', pos: 13 },
+            break1Repr: 'p.(G12_G13)',
+            break1Start: { '@class': 'ProteinPosition', pos: 12 },
+            reference1: '#1:0',
+            type: '#2:0',
+        };
+        const exact = {
+            '@class': 'PositionalVariant',
+            '@rid': '#4:0',
+            break1Repr: 'p.G12',
+            break1Start: { '@class': 'ProteinPosition', pos: 12 },
+            reference1: '#1:1',
+            type: '#2:0',
+            untemplatedSeq: 'D',
+        };
+        const db = mockDb(features, types, [category], [overlap, exact]);
+        const result = await matchVariant(db, {
+            variant: {
+                break1Start: { '@class': 'ProteinPosition', pos: 12 },
+                reference1: 'KRAS',
+                type: 'missense mutation',
+                untemplatedSeq: 'D',
+            },
+        });
+        expect(db.query.mock.calls[3][0]).toContain('PositionalVariant');
+        expect(result.map((match) => match.matchType)).toEqual(['exact', 'overlap', 'category']);
+        expect(result[0].reasons).toEqual([
+            'reference1 (KRAS1) is similar to KRAS',
+            'type (missense mutation) matches missense mutation',
+            'positions and sequence are the same',
+        ]);
+        expect(result[1].reasons[2]).toBe('positions (p.(G12_G13)) overlap the input positions');
+    });
+
+    test('selects every page of category variants', async () => {
+        const page = Array.from({ length: QUERY_LIMIT }, (_, index) => ({
+            '@class': 'CategoryVariant', '@rid': `#3:${index}`, reference1: '#1:0', type: '#2:1',
+        }));
+        const last = {
+            '@class': 'CategoryVariant', '@rid': `#3:${QUERY_LIMIT}`, reference1: '#1:0', type: '#2:1',
+        };
+        const db = mockDb(features, types, page, [last]);
+        const result = await matchVariant(db, { variant: { reference1: 'KRAS', type: 'mutation' } });
+        expect(db.query).toHaveBeenCalledTimes(4);
+        expect(db.query.mock.calls[3][0]).toContain(`@rid > #3:${QUERY_LIMIT - 1}`);
+        expect(result).toHaveLength(QUERY_LIMIT + 1);
+    });
+
+    test('fusion category variants of either partner', async () => {
+        const partner = {
+            '@class': 'Feature', '@rid': '#1:5', displayName: 'FLI1', name: 'fli1', sourceId: 'fli1',
+        };
+        const category = {
+            '@class': 'CategoryVariant', '@rid': '#3:1', reference1: '#1:5', type: '#2:2',
+        };
+        const db = mockDb(
+            [{
+                '@class': 'Feature', '@rid': '#1:4', displayName: 'EWSR1', name: 'ewsr1', sourceId: 'ewsr1',
+            }],
+            [partner],
+            [{ '@class': 'Vocabulary', '@rid': '#2:2', name: 'fusion' }],
+            [category],
+        );
+        const result = await matchVariant(db, {
+            variant: { reference1: 'EWSR1', reference2: 'FLI1', type: 'fusion' },
+        });
+        expect(db.query).toHaveBeenCalledTimes(4);
+        expect(result).toHaveLength(1);
+        expect(result[0].reasons[0]).toBe('reference1 (FLI1) matches FLI1');
+    });
+});
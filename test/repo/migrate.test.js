@@ -4,6 +4,7 @@
 
 const {
     migrate,
+    migrateSavedQueries,
     requiresMigration,
 } = require('../../src/repo/migrate');
 
@@ -174,4 +175,34 @@ describe('migrate', () => {
             expect(propertyMock).toHaveBeenCalled();
         });
     });
+
+    describe('migrateSavedQueries', () => {
+        let cls;
+
+        beforeEach(() => {
+            cls = { property: { create: jest.fn() } };
+            db.class.create = jest.fn().mockResolvedValue(cls);
+        });
+
+        test('creates the missing table', async () => {
+            db.class.list = jest.fn().mockResolvedValue([{ name: 'V' }]);
+            await migrateSavedQueries(db);
+            expect(db.class.create).toHaveBeenCalledWith('SavedQuery', null, null, false);
+            expect(cls.property.create).toHaveBeenCalled();
+        });
+
+        test('existing table is unchanged', async () => {
+            db.class.list = jest.fn().mockResolvedValue([{ name: 'SavedQuery' }]);
+            await migrateSavedQueries(db);
+            expect(db.class.create).not.toHaveBeenCalled();
+        });
+
+        test('missing table check only', async () => {
+            db.class.list = jest.fn().mockResolvedValue([{ name: 'V' }]);
+            await expect(migrateSavedQueries(db, { checkOnly: true })).rejects.toMatchObject({
+                message: 'The SavedQuery table does not exist and requires migration',
+            });
+            expect(db.class.create).not.toHaveBeenCalled();
+        });
+    });
 });
@@ -2,6 +2,8 @@ const {
     parse, parseRecord,
 } = require('../../../src/repo/query_builder');
 
+const { decodeCursor, encodeCursor } = require('../../../src/repo/query_builder/util');
+const { MAX_PATTERN_LENGTH } = require('../../../src/repo/query_builder/constants');
 const { stripSQL } = require('./util');
 
 describe('WrapperQuery.parseRecord', () => {
@@ -226,6 +228,118 @@ describe('WrapperQuery.parse', () => {
         });
     });
 
+    describe('cursor pagination', () => {
+        test('orders the first page by record ID', () => {
+            const parsed = parse({
+                history: true,
+                limit: 10,
+                paginate: true,
+                target: 'Disease',
+            });
+            const sql = 'SELECT * FROM Disease ORDER BY @rid ASC LIMIT 10';
+            const { query, params } = parsed.toString();
+            expect(params).toEqual({});
+            expect(stripSQL(query)).toBe(stripSQL(sql));
+            expect(parsed.expectedCount()).toBe(null);
+        });
+
+        test('starts after the record in the cursor', () => {
+            const parsed = parse({
+                cursor: encodeCursor('#4:10'),
+                history: true,
+                target: 'Disease',
+            });
+            const sql = 'SELECT * FROM (SELECT * FROM Disease) WHERE @rid > #4:10 ORDER BY @rid ASC LIMIT 1000';
+            const { query } = parsed.toString();
+            expect(parsed.paginate).toBe(true);
+            expect(stripSQL(query)).toBe(stripSQL(sql));
+        });
+
+        test('adds the record ID to the returned properties', () => {
+            const parsed = parse({
+                cursor: encodeCursor('#4:10'),
+                history: true,
+                returnProperties: ['name'],
+                target: 'Disease',
+            });
+            const sql = 'SELECT @rid, name FROM (SELECT * FROM Disease) WHERE @rid > #4:10 ORDER BY @rid ASC LIMIT 1000';
+            const { query } = parsed.toString();
+            expect(stripSQL(query)).toBe(stripSQL(sql));
+        });
+
+        test('next cursor is null for the last page', () => {
+            const parsed = parse({ limit: 2, paginate: true, target: 'Disease' });
+            parsed.setNextCursor([{ '@rid': '#4:1' }]);
+            expect(parsed.nextCursor).toBe(null);
+        });
+
+        test('next cursor starts after the last record', () => {
+            const parsed = parse({ limit: 2, paginate: true, target: 'Disease' });
+            parsed.setNextCursor([{ '@rid': '#4:1' }, { '@rid': '#4:3' }]);
+            expect(decodeCursor(parsed.nextCursor)).toBe('#4:3');
+        });
+
+        test('error on malformed cursor', () => {
+            expect(() => parse({ cursor: 'blargh', target: 'Disease' })).toThrow('Invalid cursor');
+            expect(() => parse({
+                cursor: Buffer.from(JSON.stringify({ rid: '#4:1 OR 1=1' })).toString('base64'),
+                target: 'Disease',
+            })).toThrow('Invalid cursor');
+        });
+
+        test('error on combining with skip', () => {
+            expect(() => parse({ paginate: true, skip: 10, target: 'Disease' })).toThrow('Cursor pagination cannot be combined');
+        });
+
+        test('error on combining with orderBy', () => {
+            expect(() => parse({ orderBy: ['name'], paginate: true, target: 'Disease' })).toThrow('Cursor pagination cannot be combined');
+        });
+    });
+
+    describe('groupBy', () => {
+        test('counts by linked properties', () => {
+            const parsed = parse({
+                groupBy: ['relevance.name', 'source.name'],
+                history: true,
+                target: 'Statement',
+            });
+            const sql = `SELECT relevance.name AS group0, source.name AS group1, count(*) AS count
+                FROM (SELECT * FROM Statement)
+                GROUP BY relevance.name, source.name
+                ORDER BY count DESC LIMIT 1000`;
+            const { query, params } = parsed.toString();
+            expect(params).toEqual({});
+            expect(stripSQL(query)).toBe(stripSQL(sql));
+            expect(parsed.expectedCount()).toBe(null);
+        });
+
+        test('accepts a comma delimited list', () => {
+            const parsed = parse({ groupBy: 'relevance.name,source', target: 'Statement' });
+            expect(parsed.groupBy).toEqual(['relevance.name', 'source']);
+        });
+
+        test('formats the groups with the property names', () => {
+            const parsed = parse({ groupBy: ['relevance.name', 'source.name'], target: 'Statement' });
+            expect(parsed.formatGroups([
+                { count: 3, group0: 'sensitivity', group1: 'civic' },
+                { count: 1, group0: 'resistance' },
+            ])).toEqual([
+                { count: 3, 'relevance.name': 'sensitivity', 'source.name': 'civic' },
+                { count: 1, 'relevance.name': 'resistance', 'source.name': null },
+            ]);
+        });
+
+        test('error on bad property', () => {
+            expect(() => parse({ groupBy: ['blargh'], target: 'Statement' })).toThrow('does not exist');
+        });
+
+        test('error on combining with returnProperties', () => {
+            expect(() => parse({
+                groupBy: ['source'], returnProperties: ['source'], target: 'Statement',
+            })).toThrow('cannot be combined');
+        });
+    });
+
     describe('subquery', () => {
         test('link in subquery', () => {
             const parsed = parse({
@@ -272,6 +386,472 @@ describe('WrapperQuery.parse', () => {
         });
     });
 
+    describe('variant keyword', () => {
+        test('fusion notation filters both genes', () => {
+            const parsed = parse({
+                keyword: '(EWSR1,FLI1):fusion(e.1,e.2)',
+                queryType: 'keyword',
+                target: 'PositionalVariant',
+            });
+            const { query, params } = parsed.toString();
+            expect(params).toEqual(expect.objectContaining({
+                param0: 'ewsr1', param4: 'fli1', param5: 'fli1',
+            }));
+            expect(stripSQL(query)).toContain('AND reference2 IN (SELECT * FROM (SELECT expand(rid)');
+            expect(stripSQL(query)).toContain('FROM Feature WHERE name = :param4 OR sourceId = :param5');
+        });
+    });
+
+    describe('ranked keyword', () => {
+        test('widens ontology candidates to aliases and misspellings', () => {
+            const parsed = parse({
+                keyword: 'Glioblastma',
+                queryType: 'keyword',
+                ranked: true,
+                target: 'Disease',
+            });
+            const { query, params } = parsed.toString();
+            expect(params).toEqual({
+                exactparam0w0: 'glioblastma',
+                param0fuzzy0: '%glio%',
+                param0fuzzy1: '%blas%',
+                param0fuzzy2: '%tma%',
+                partialparam0w0: 'glioblastma',
+            });
+            expect(query).toContain('UNIONALL($exact, $aliases, $partial, $fuzzy)');
+            expect(query).toContain(
+                '$fuzzy = (SELECT * FROM Disease WHERE (name.toLowerCase() LIKE :param0fuzzy0 OR sourceId.toLowerCase() LIKE :param0fuzzy0',
+            );
+            expect(query).toContain(
+                'OR name.toLowerCase() LIKE :param0fuzzy2 OR sourceId.toLowerCase() LIKE :param0fuzzy2) AND deletedAt IS NULL LIMIT 1000)',
+            );
+            expect(stripSQL(query)).toMatch(
+                /^SELECT \*, both\('AliasOf'\)\.name AS rankingAliases FROM \(/,
+            );
+            // not limited after the ranking projection
+            expect(stripSQL(query)).toMatch(/ WHERE deletedAt IS NULL\)$/);
+            expect(parsed.expectedCount()).toBe(null);
+        });
+
+        test('limits each kind of candidate before ranking', () => {
+            const { query } = parse({
+                keyword: 'Glioblastma',
+                queryType: 'keyword',
+                ranked: true,
+                target: 'Disease',
+            }).toString();
+            expect(query.match(/LIMIT 1000\)/g)).toHaveLength(4);
+            expect(stripSQL(query)).not.toMatch(/\) LIMIT 1000$/);
+        });
+
+        test('no misspellings for short keywords', () => {
+            const { query, params } = parse({
+                keyword: 'gbm',
+                queryType: 'keyword',
+                ranked: true,
+                target: 'Disease',
+            }).toString();
+            expect(query).toContain('UNIONALL($exact, $aliases, $partial)');
+            expect(Object.keys(params)).toEqual(['exactparam0w0', 'partialparam0w0']);
+        });
+
+        test('does not add misspellings for other classes', () => {
+            const { query } = parse({
+                keyword: 'kras',
+                queryType: 'keyword',
+                ranked: true,
+                target: 'Statement',
+            }).toString();
+            expect(query).toContain('UNIONALL($exact, $partial)');
+            expect(query).not.toContain('rankingAliases');
+        });
+
+        test('adds the scored properties to the returned properties', () => {
+            const { query } = parse({
+                keyword: 'kras',
+                queryType: 'keyword',
+                ranked: true,
+                returnProperties: ['source'],
+                target: 'Feature',
+            }).toString();
+            expect(query.startsWith(
+                'SELECT @rid, displayName, name, source, sourceId, both(\'AliasOf\').name AS rankingAliases FROM',
+            )).toBe(true);
+        });
+
+        test('orders the page by relevance', () => {
+            const parsed = parse({
+                keyword: 'glioblastoma',
+                limit: 2,
+                queryType: 'keyword',
+                ranked: true,
+                skip: 1,
+                target: 'Disease',
+            });
+            const records = [
+                { '@rid': '#1:0', name: 'glioblastoma multiforme', sourceId: 'doid:1' },
+                { '@rid': '#1:1', name: 'giant cell glioblastoma', sourceId: 'doid:2' },
+                {
+                    '@rid': '#1:2', name: 'gbm', rankingAliases: ['glioblastoma'], sourceId: 'gbm',
+                },
+                { '@rid': '#1:3', name: 'glioblastoma', sourceId: 'doid:3' },
+                { '@rid': '#1:4', name: 'glioma', sourceId: 'doid:4' },
+            ];
+            const result = parsed.rank(records);
+            expect(result.map((rec) => rec['@rid'])).toEqual(['#1:2', '#1:0']);
+            expect(result[0]).not.toHaveProperty('rankingAliases');
+            expect(Object.keys(parsed.relevance)).toEqual(['#1:2', '#1:0']);
+        });
+
+        test('error with orderBy', () => {
+            expect(() => parse({
+                keyword: 'kras',
+                orderBy: ['name'],
+                queryType: 'keyword',
+                ranked: true,
+                target: 'Feature',
+            })).toThrow('Ranked keyword search cannot be combined');
+        });
+
+        test('error with paginate', () => {
+            expect(() => parse({
+                keyword: 'kras',
+                paginate: true,
+                queryType: 'keyword',
+                ranked: true,
+                target: 'Feature',
+            })).toThrow('Ranked keyword search cannot be combined');
+        });
+    });
+
+    describe('shortestPath', () => {
+        test('between two records', () => {
+            const parsed = parse({
+                edges: ['AliasOf', 'SubClassOf'],
+                from: '#3:2',
+                queryType: 'shortestPath',
+                target: 'Disease',
+                to: '#3:4',
+            });
+            const sql = `SELECT expand(shortestPath(#3:2, #3:4, 'BOTH', ['AliasOf', 'SubClassOf'], {"maxDepth": 50, "edge": true}))
+                LIMIT 1000`;
+            const { query, params } = parsed.toString();
+            expect(params).toEqual({});
+            expect(stripSQL(query)).toBe(stripSQL(sql));
+        });
+
+        test('from a query', () => {
+            const parsed = parse({
+                depth: 5,
+                direction: 'out',
+                edges: ['SubClassOf'],
+                from: { filters: { name: 'cancer' } },
+                history: true,
+                queryType: 'shortestPath',
+                target: 'Disease',
+                to: '#3:4',
+            });
+            const sql = `SELECT expand(shortestPath($from[0], #3:4, 'OUT', ['SubClassOf'], {"maxDepth": 5, "edge": true}))
+                LET $from = (SELECT * FROM Disease WHERE name = :param0)
+                LIMIT 1000`;
+            const { query, params } = parsed.toString();
+            expect(params).toEqual({ param0: 'cancer' });
+            expect(stripSQL(query)).toBe(stripSQL(sql));
+        });
+
+        test('error on non-edge class', () => {
+            expect(() => parse({
+                edges: ['Disease'],
+                from: '#3:2',
+                queryType: 'shortestPath',
+                target: 'Disease',
+                to: '#3:4',
+            }).toString()).toThrow('Invalid edge parameter');
+        });
+
+        test('error on missing end point', () => {
+            expect(() => parse({
+                from: '#3:2',
+                queryType: 'shortestPath',
+                target: 'Disease',
+            }).toString()).toThrow('requires both');
+        });
+    });
+
+    describe('timeout', () => {
+        test('adds the timeout to the statement', () => {
+            const { query } = parse({
+                filters: { name: 'cancer' }, limit: 10, target: 'Disease', timeout: 500,
+            }).toString();
+            expect(query.endsWith('LIMIT 10 TIMEOUT 500 EXCEPTION')).toBe(true);
+        });
+
+        test('error on non-positive timeout', () => {
+            expect(() => parse({ target: 'Disease', timeout: 0 })).toThrow('must be greater than or equal to 1');
+        });
+    });
+
+    describe('NOT clause', () => {
+        test('negates a comparison', () => {
+            const parsed = parse({
+                filters: { NOT: { name: 'cancer' } },
+                history: true,
+                target: 'Disease',
+            });
+            const { query, params } = parsed.toString();
+            expect(params).toEqual({ param0: 'cancer' });
+            expect(stripSQL(query)).toBe(stripSQL('SELECT * FROM Disease WHERE NOT (name = :param0) LIMIT 1000'));
+        });
+
+        test('negates a nested clause', () => {
+            const parsed = parse({
+                filters: {
+                    AND: [
+                        { sourceId: '1234' },
+                        { NOT: { OR: [{ name: 'cancer' }, { name: 'carcinoma' }] } },
+                    ],
+                },
+                history: true,
+                target: 'Disease',
+            });
+            const { query, params } = parsed.toString();
+            expect(params).toEqual({ param0: '1234', param1: 'cancer', param2: 'carcinoma' });
+            expect(stripSQL(query)).toBe(stripSQL(`SELECT * FROM Disease
+                WHERE sourceId = :param0 AND NOT (name = :param1 OR name = :param2) LIMIT 1000`));
+        });
+
+        test('negates a subquery comparison', () => {
+            const parsed = parse({
+                filters: {
+                    NOT: {
+                        conditions: {
+                            filters: { reference1: { filters: { name: 'kras' }, target: 'Feature' } },
+                            target: 'Variant',
+                        },
+                        operator: 'CONTAINSANY',
+                    },
+                },
+                history: true,
+                target: 'Statement',
+            });
+            const { query, params } = parsed.toString();
+            expect(params).toEqual({ param0: 'kras' });
+            expect(stripSQL(query)).toBe(stripSQL(`SELECT * FROM Statement
+                WHERE NOT (conditions CONTAINSANY (SELECT * FROM (
+                    SELECT * FROM Variant WHERE reference1 IN (
+                        SELECT * FROM (SELECT * FROM Feature WHERE name = :param0) WHERE deletedAt IS NULL
+                    )
+                ) WHERE deletedAt IS NULL)) LIMIT 1000`));
+        });
+
+        test('error on list value', () => {
+            expect(() => parse({
+                filters: { NOT: [{ name: 'cancer' }] },
+                target: 'Disease',
+            })).toThrow('Expected NOT clause value to be a single clause or comparison');
+        });
+
+        test('error on NOT as a comparison operator', () => {
+            expect(() => parse({
+                filters: { name: 'cancer', operator: 'NOT' },
+                target: 'Disease',
+            })).toThrow('Invalid operator (NOT)');
+        });
+    });
+
+    describe('string operators', () => {
+        test('case-insensitive equality', () => {
+            const parsed = parse({
+                filters: { name: 'Cancer', operator: 'EQI' },
+                history: true,
+                target: 'Disease',
+            });
+            const { query, params } = parsed.toString();
+            expect(params).toEqual({ param0: 'cancer' });
+            expect(stripSQL(query)).toBe(stripSQL('SELECT * FROM Disease WHERE name.toLowerCase() = :param0 LIMIT 1000'));
+        });
+
+        test('like', () => {
+            const parsed = parse({
+                filters: { name: 'carcin%', operator: 'LIKE' },
+                history: true,
+                target: 'Disease',
+            });
+            const { query, params } = parsed.toString();
+            expect(params).toEqual({ param0: 'carcin%' });
+            expect(stripSQL(query)).toBe(stripSQL('SELECT * FROM Disease WHERE name LIKE :param0 LIMIT 1000'));
+        });
+
+        test('negated regular expression is not cast', () => {
+            const parsed = parse({
+                filters: { negate: true, operator: 'MATCHES', sourceId: '^DOID:\\d+$' },
+                history: true,
+                target: 'Disease',
+            });
+            const { query, params } = parsed.toString();
+            expect(params).toEqual({ param0: '^DOID:\\d+$' });
+            expect(stripSQL(query)).toBe(stripSQL('SELECT * FROM Disease WHERE NOT (sourceId MATCHES :param0) LIMIT 1000'));
+        });
+
+        test('allows quantified non-capturing group', () => {
+            expect(() => parse({
+                filters: { name: '(?:ab)+c', operator: 'MATCHES' },
+                target: 'Disease',
+            })).not.toThrow();
+        });
+
+        test('error on non-string property', () => {
+            expect(() => parse({
+                filters: { deprecated: 'true', operator: 'LIKE' },
+                target: 'Disease',
+            })).toThrow('String operator (LIKE) can only be used');
+        });
+
+        test('error on iterable property', () => {
+            expect(() => parse({
+                filters: { operator: 'EQI', subsets: 'a' },
+                target: 'Disease',
+            })).toThrow('String operator (EQI) can only be used');
+        });
+
+        test('error on list value', () => {
+            expect(() => parse({
+                filters: { name: ['cancer', 'carcinoma'], operator: 'LIKE' },
+                target: 'Disease',
+            })).toThrow('String operator (LIKE) can only be used');
+        });
+
+        test('error on long pattern', () => {
+            expect(() => parse({
+                filters: { name: 'a'.repeat(MAX_PATTERN_LENGTH + 1), operator: 'LIKE' },
+                target: 'Disease',
+            })).toThrow('exceeds the maximum length');
+        });
+
+        test('error on invalid regular expression', () => {
+            expect(() => parse({
+                filters: { name: '(abc', operator: 'MATCHES' },
+                target: 'Disease',
+            })).toThrow('Invalid regular expression');
+        });
+
+        test('error on nested quantifiers', () => {
+            expect(() => parse({
+                filters: { name: '^(a+)+$', operator: 'MATCHES' },
+                target: 'Disease',
+            })).toThrow('Nested quantifiers are not allowed');
+        });
+
+        test('error on nested quantifiers in an outer group', () => {
+            expect(() => parse({
+                filters: { name: '((ab)*c)*', operator: 'MATCHES' },
+                target: 'Disease',
+            })).toThrow('Nested quantifiers are not allowed');
+        });
+
+        test('error on quantified alternation', () => {
+            expect(() => parse({
+                filters: { name: '(a|a)*b', operator: 'MATCHES' },
+                target: 'Disease',
+            })).toThrow('Quantified groups containing an alternation (|) are not allowed');
+            expect(() => parse({
+                filters: { name: '^(a|aa)+$', operator: 'MATCHES' },
+                target: 'Disease',
+            })).toThrow('Quantified groups containing an alternation (|) are not allowed');
+        });
+
+        test('error on quantified alternation in an inner group', () => {
+            expect(() => parse({
+                filters: { name: '((a|aa)b)*', operator: 'MATCHES' },
+                target: 'Disease',
+            })).toThrow('Quantified groups containing an alternation (|) are not allowed');
+        });
+
+        test('alternation without a quantifier', () => {
+            const { params } = parse({
+                filters: { name: '^(kras|nras)?.*(mutation|variant)$', operator: 'MATCHES' },
+                target: 'Disease',
+            }).toString();
+            expect(Object.values(params)).toEqual(['^(kras|nras)?.*(mutation|variant)$']);
+        });
+
+        test('error on back-reference', () => {
+            expect(() => parse({
+                filters: { name: '(a)\\1', operator: 'MATCHES' },
+                target: 'Disease',
+            })).toThrow('Back-references are not allowed');
+        });
+    });
+
+    describe('asOf', () => {
+        test('selects the versions current at the given time', () => {
+            const parsed = parse({ asOf: 1000, filters: { name: 'cancer' }, target: 'Disease' });
+            const { query, params } = parsed.toString();
+            expect(params).toEqual({ param0: 'cancer' });
+            expect(stripSQL(query)).toBe(stripSQL(`SELECT * FROM (SELECT * FROM Disease WHERE name = :param0)
+                WHERE createdAt <= 1000 AND (updatedAt IS NULL OR updatedAt <= 1000)
+                AND (deletedAt IS NULL OR deletedAt > 1000)
+                LIMIT 1000`));
+        });
+
+        test('accepts a date', () => {
+            const parsed = parse({ asOf: '2021-03-01', target: 'Disease' });
+            expect(parsed.asOf).toBe(Date.parse('2021-03-01'));
+        });
+
+        test('applied before counting', () => {
+            const parsed = parse({ asOf: 1000, count: true, target: 'Disease' });
+            const { query } = parsed.toString();
+            expect(stripSQL(query)).toBe(stripSQL(`SELECT count(*) AS count FROM (SELECT * FROM (SELECT * FROM Disease)
+                WHERE createdAt <= 1000 AND (updatedAt IS NULL OR updatedAt <= 1000)
+                AND (deletedAt IS NULL OR deletedAt > 1000))`));
+        });
+
+        test('error on bad date', () => {
+            expect(() => parse({ asOf: 'yesterday', target: 'Disease' })).toThrow('Expected a timestamp or date');
+        });
+
+        test('error on negative timestamp', () => {
+            expect(() => parse({ asOf: -1, target: 'Disease' })).toThrow('Expected a timestamp or date');
+        });
+
+        test('error when combined with history', () => {
+            expect(() => parse({ asOf: 1000, history: true, target: 'Disease' })).toThrow('asOf cannot be combined with the history option');
+        });
+    });
+
+    describe('toJSON', () => {
+        test('filtered query', () => {
+            const parsed = parse({ filters: { name: 'cancer' }, limit: 10, target: 'Disease' });
+            const tree = parsed.toJSON();
+            expect(tree).toHaveProperty('limit', 10);
+            expect(tree).toHaveProperty('target', 'Disease');
+            expect(tree.query).toEqual({
+                filters: {
+                    filters: [{
+                        isLength: false, name: 'name', negate: false, operator: '=', value: 'cancer',
+                    }],
+                    model: 'Disease',
+                    operator: 'AND',
+                },
+                history: false,
+                target: 'Disease',
+            });
+        });
+
+        test('record ID target', () => {
+            const tree = parse({ target: ['#3:2', '#4:5'] }).toJSON();
+            expect(tree.query.target).toEqual(['#3:2', '#4:5']);
+        });
+
+        test('fixed query drops the subquery parser', () => {
+            const tree = parse({ keyword: 'kras', queryType: 'keyword', target: 'Feature' }).toJSON();
+            expect(tree.query).toEqual({
+                history: false, keyword: 'kras', queryType: 'keyword', ranked: false, target: 'Feature',
+            });
+        });
+    });
+
     describe('top level treeQuery', () => {
         test('target ridList', () => {
             const parsed = parse({
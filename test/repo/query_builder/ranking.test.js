@@ -0,0 +1,118 @@
+const { RELEVANCE } = require('../../../src/repo/query_builder/constants');
+const {
+    editDistance, fuzzyFragments, rankRecords, scoreRecord,
+} = require('../../../src/repo/query_builder/ranking');
+
+describe('editDistance', () => {
+    test.each([
+        ['', '', 0],
+        ['kras', 'kras', 0],
+        ['kras', '', 4],
+        ['glioblastma', 'glioblastoma', 1],
+        ['kitten', 'sitting', 3],
+    ])('%s vs %s', (first, second, expected) => {
+        expect(editDistance(first, second)).toBe(expected);
+        expect(editDistance(second, first)).toBe(expected);
+    });
+});
+
+describe('fuzzyFragments', () => {
+    test('no fragments when no edits are allowed', () => {
+        expect(fuzzyFragments('gbm')).toEqual([]);
+    });
+
+    test('one more fragment than the allowed edits', () => {
+        expect(fuzzyFragments('glioblastma')).toEqual(['glio', 'blas', 'tma']);
+    });
+
+    test.each([
+        ['xras', 'kras'],
+        ['vancer', 'cancer'],
+        ['qlioblastoma', 'glioblastoma'],
+        ['glioblastmoa', 'glioblastoma'],
+    ])('%s is matched to %s by one of its fragments', (keyword, text) => {
+        expect(editDistance(keyword, text)).toBeLessThanOrEqual(Math.floor(keyword.length / 4));
+        expect(fuzzyFragments(keyword).some((fragment) => text.includes(fragment))).toBe(true);
+    });
+});
+
+describe('scoreRecord', () => {
+    test('exact name', () => {
+        expect(scoreRecord({ name: 'glioblastoma' }, 'Glioblastoma')).toBe(RELEVANCE.EXACT);
+    });
+
+    test('exact alias', () => {
+        const record = { name: 'gbm', rankingAliases: ['glioblastoma'] };
+        expect(scoreRecord(record, 'glioblastoma')).toBe(RELEVANCE.ALIAS);
+    });
+
+    test('exact sourceId', () => {
+        expect(scoreRecord({ name: 'glioblastoma', sourceId: 'doid:3068' }, 'DOID:3068')).toBe(RELEVANCE.SOURCE_ID);
+    });
+
+    test('partial match', () => {
+        const score = scoreRecord({ name: 'glioblastoma multiforme' }, 'glioblastoma');
+        expect(score).toBeGreaterThan(RELEVANCE.PARTIAL);
+        expect(score).toBeLessThan(RELEVANCE.SOURCE_ID);
+    });
+
+    test('partial match scores closer matches higher', () => {
+        expect(scoreRecord({ name: 'breast cancer' }, 'cancer')).toBeGreaterThan(
+            scoreRecord({ name: 'hereditary breast cancer' }, 'cancer'),
+        );
+    });
+
+    test('partial match on every word', () => {
+        expect(scoreRecord({ name: 'cancer of the breast' }, 'breast cancer')).toBeGreaterThan(RELEVANCE.PARTIAL);
+    });
+
+    test('misspelled match', () => {
+        const score = scoreRecord({ name: 'glioblastoma' }, 'glioblastma');
+        expect(score).toBeGreaterThan(RELEVANCE.FUZZY);
+        expect(score).toBeLessThan(RELEVANCE.PARTIAL);
+    });
+
+    test('misspelled alias', () => {
+        const record = { name: 'gbm', rankingAliases: ['glioblastoma'] };
+        expect(scoreRecord(record, 'glioblastma')).toBeGreaterThan(RELEVANCE.FUZZY);
+    });
+
+    test('no match', () => {
+        expect(scoreRecord({ name: 'glioma' }, 'glioblastoma')).toBe(null);
+    });
+
+    test('short keywords must be spelled correctly', () => {
+        expect(scoreRecord({ name: 'kras' }, 'kra')).toBeGreaterThan(RELEVANCE.PARTIAL);
+        expect(scoreRecord({ name: 'kras' }, 'krs')).toBe(null);
+    });
+
+    test('record ID keyword', () => {
+        expect(scoreRecord({ '@rid': '#3:4', name: 'kras' }, '#3:4')).toBe(RELEVANCE.EXACT);
+    });
+});
+
+describe('rankRecords', () => {
+    const records = [
+        { name: 'glioblastoma multiforme', sourceId: '1' },
+        { name: 'glioma', sourceId: '2' },
+        { name: 'glioblastoma', sourceId: '3' },
+        { name: 'glioblastom', sourceId: '4' },
+    ];
+
+    test('orders by relevance', () => {
+        const ranked = rankRecords(records, 'glioblastoma');
+        expect(ranked.map(({ record }) => record.sourceId)).toEqual(['3', '1', '4']);
+        expect(ranked[0].score).toBe(RELEVANCE.EXACT);
+    });
+
+    test('keeps the original order for equal scores', () => {
+        const ranked = rankRecords([{ name: 'b kras' }, { name: 'a kras' }], 'kras');
+        expect(ranked.map(({ record }) => record.name)).toEqual(['b kras', 'a kras']);
+    });
+
+    test('keeps non-matching records as partial matches when not strict', () => {
+        const ranked = rankRecords(records, 'glioblastoma', { strict: false });
+        expect(ranked).toHaveLength(4);
+        expect(ranked[2]).toEqual({ record: records[1], score: RELEVANCE.PARTIAL });
+    });
+});
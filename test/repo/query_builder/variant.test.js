@@ -0,0 +1,60 @@
+const { buildBreakFilters, buildSequenceFilters } = require('../../../src/repo/query_builder/variant');
+
+describe('buildBreakFilters', () => {
+    test('single position', () => {
+        const filters = buildBreakFilters({ break1Start: { '@class': 'ProteinPosition', pos: 12 } });
+        expect(filters).toEqual([
+            { 'break1Start.@class': 'ProteinPosition' },
+            {
+                OR: [
+                    { AND: [{ 'break1Start.pos': 12 }, { 'break1End.pos': null }] },
+                    {
+                        AND: [
+                            { 'break1Start.pos': 12, operator: '<=' },
+                            { 'break1End.pos': 12, operator: '>=' },
+                        ],
+                    },
+                ],
+            },
+        ]);
+    });
+
+    test('position range', () => {
+        const filters = buildBreakFilters({
+            break1End: { '@class': 'ExonicPosition', pos: 21 },
+            break1Start: { '@class': 'ExonicPosition', pos: 18 },
+        });
+        expect(filters[1]).toEqual({
+            OR: [
+                {
+                    AND: [
+                        { 'break1Start.pos': 18, operator: '>=' },
+                        { 'break1Start.pos': 21, operator: '<=' },
+                        { 'break1End.pos': null },
+                    ],
+                },
+                {
+                    AND: [
+                        { 'break1Start.pos': 21, operator: '<=' },
+                        { 'break1End.pos': 18, operator: '>=' },
+                    ],
+                },
+            ],
+        });
+    });
+
+    test('ignores cytoband positions', () => {
+        const filters = buildBreakFilters({ break1Start: { '@class': 'CytobandPosition', arm: 'p' } });
+        expect(filters).toEqual([{ 'break1Start.@class': 'CytobandPosition' }]);
+    });
+});
+
+describe('buildSequenceFilters', () => {
+    test('matches masked and unspecified sequences', () => {
+        const filters = buildSequenceFilters({ refSeq: 'GT', untemplatedSeqSize: 1 });
+        expect(filters).toEqual([
+            { OR: [{ refSeq: 'GT' }, { refSeq: null }, { refSeq: 'xx' }] },
+            { OR: [{ untemplatedSeqSize: 1 }, { untemplatedSeqSize: null }] },
+        ]);
+    });
+});
@@ -13,7 +13,9 @@ const {
     getInheritingClasses,
     getPropsPerClass,
     oneliner,
+    withTimeout,
 } = require('../../../src/repo/subgraphs/util');
+const { QueryTimeoutError } = require('../../../src/repo/error');
 
 const {
     ADJACENCY,
@@ -246,3 +248,24 @@ describe('oneliner', () => {
         expect(result).toEqual('A BCD');
     });
 });
+
+describe('withTimeout', () => {
+    test('adds the timeout to select statements', async () => {
+        const db = { query: jest.fn().mockReturnValue({ all: jest.fn().mockResolvedValue([]) }) };
+        const params = { params: { ontology: 'Disease' } };
+        await withTimeout(db, 100).query(`
+            SELECT @rid FROM :ontology`, params).all();
+        const [[statement, statementParams]] = db.query.mock.calls;
+        expect(statement).toMatch(/SELECT @rid FROM :ontology TIMEOUT 100 EXCEPTION$/);
+        expect(statementParams).toBe(params);
+    });
+
+    test('error on database timeout', async () => {
+        const err = new Error('timed out');
+        err.type = 'com.orientechnologies.orient.core.exception.OTimeoutException';
+        const db = { query: jest.fn().mockReturnValue({ all: jest.fn().mockRejectedValue(err) }) };
+        await expect(
+            withTimeout(db, 100).query('SELECT @rid FROM V').all(),
+        ).rejects.toThrow(QueryTimeoutError);
+    });
+});
@@ -1,4 +1,5 @@
 const {
+    diffRecords,
     groupRecordsBy,
     trimRecords,
 } = require('../../src/repo/util');
@@ -148,3 +149,49 @@ describe('trimRecords', () => {
         ]);
     });
 });
+
+describe('diffRecords', () => {
+    test('returns only changed properties', () => {
+        expect(diffRecords(
+            { city: 'van', name: 'bob' },
+            { city: 'van', name: 'alice' },
+        )).toEqual({ name: { new: 'alice', old: 'bob' } });
+    });
+
+    test('treats added and removed properties as null', () => {
+        expect(diffRecords(
+            { name: 'bob' },
+            { city: 'van', name: 'bob', other: null },
+        )).toEqual({ city: { new: 'van', old: null } });
+    });
+
+    test('compares linked records by record ID', () => {
+        expect(diffRecords(
+            { source: { '@class': 'Source', '@rid': '#1:2', name: 'blargh' } },
+            { source: '#1:2' },
+        )).toEqual({});
+        expect(diffRecords(
+            { source: { '@rid': '#1:2' } },
+            { source: '#1:3' },
+        )).toEqual({ source: { new: '#1:3', old: '#1:2' } });
+    });
+
+    test('compares lists of links', () => {
+        expect(diffRecords(
+            { conditions: [{ '@rid': '#1:2' }, '#1:3'] },
+            { conditions: ['#1:2', '#1:3', '#1:4'] },
+        )).toEqual({ conditions: { new: ['#1:2', '#1:3', '#1:4'], old: ['#1:2', '#1:3'] } });
+    });
+
+    test('ignores database attributes, edges and requested properties', () => {
+        expect(diffRecords(
+            {
+                '@rid': '#1:2', '@version': 1, name: 'bob', out_AliasOf: [], updatedAt: 1,
+            },
+            {
+                '@rid': '#1:2', '@version': 2, name: 'bob', updatedAt: 2,
+            },
+            { ignore: ['updatedAt'] },
+        )).toEqual({});
+    });
+});
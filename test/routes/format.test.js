@@ -0,0 +1,74 @@
+const { formatDelimited, getColumnValues } = require('../../src/routes/format');
+
+describe('getColumnValues', () => {
+    test('top level property', () => {
+        expect(getColumnValues({ name: 'kras' }, 'name')).toEqual(['kras']);
+    });
+
+    test('linked record property', () => {
+        expect(getColumnValues({ source: { name: 'bcgsc' } }, 'source.name')).toEqual(['bcgsc']);
+    });
+
+    test('expands iterable properties', () => {
+        const record = {
+            conditions: [{ displayName: 'KRAS' }, { displayName: 'cancer' }],
+        };
+        expect(getColumnValues(record, 'conditions.displayName')).toEqual(['KRAS', 'cancer']);
+    });
+
+    test('missing property', () => {
+        expect(getColumnValues({ source: null }, 'source.name')).toEqual([]);
+    });
+});
+
+describe('formatDelimited', () => {
+    const records = [
+        {
+            '@rid': '#1:0',
+            conditions: [{ '@rid': '#2:0', displayName: 'KRAS' }, { '@rid': '#2:1', displayName: 'cancer' }],
+            source: { '@rid': '#3:0', name: 'bcgsc' },
+        },
+        {
+            '@rid': '#1:1',
+            conditions: [],
+            source: { '@rid': '#3:1', name: 'civic, with comma' },
+        },
+    ];
+
+    test('csv with the given columns', () => {
+        const result = formatDelimited(records, { columns: ['@rid', 'source.name', 'conditions.displayName'] });
+        expect(result).toBe([
+            '@rid,source.name,conditions.displayName',
+            '#1:0,bcgsc,KRAS;cancer',
+            '#1:1,"civic, with comma",',
+            '',
+        ].join('\r\n'));
+    });
+
+    test('tsv with custom list delimiter', () => {
+        const result = formatDelimited(records, {
+            columns: ['@rid', 'conditions.displayName'], delimiter: '\t', listDelimiter: '|',
+        });
+        expect(result).toBe([
+            '@rid\tconditions.displayName',
+            '#1:0\tKRAS|cancer',
+            '#1:1\t',
+            '',
+        ].join('\r\n'));
+    });
+
+    test('links without a nested property use the record ID', () => {
+        const result = formatDelimited(records, { columns: ['source', 'conditions'] });
+        expect(result.split('\r\n')[1]).toBe('#3:0,#2:0;#2:1');
+    });
+
+    test('escapes quotes and newlines', () => {
+        const result = formatDelimited([{ name: 'a "quoted"\nname' }], { columns: ['name'] });
+        expect(result).toBe('name\r\n"a ""quoted""\nname"\r\n');
+    });
+
+    test('defaults to the top level properties', () => {
+        const result = formatDelimited([{ count: 2 }]);
+        expect(result).toBe('count\r\n2\r\n');
+    });
+});
@@ -0,0 +1,74 @@
+const { ParsingError } = require('@bcgsc-pori/graphkb-parser');
+
+const { normalizeNotation, parseNotation, suggestNotations } = require('../../src/routes/notation');
+
+describe('normalizeNotation', () => {
+    test('unchanged notation', () => {
+        expect(normalizeNotation('KRAS:c.35G>A')).toEqual({
+            normalizations: [],
+            notation: 'KRAS:c.35G>A',
+        });
+    });
+
+    test('whitespace around separators', () => {
+        expect(normalizeNotation(' (EWSR1, FLI1):fusion(e.1, e.2) ')).toEqual({
+            normalizations: ['removed the whitespace around the separators'],
+            notation: '(EWSR1,FLI1):fusion(e.1,e.2)',
+        });
+    });
+
+    test('uppercase coordinate prefix', () => {
+        expect(normalizeNotation('KRAS:P.G12D').notation).toBe('KRAS:p.G12D');
+    });
+
+    test('three-letter amino acid codes', () => {
+        expect(normalizeNotation('KRAS:p.Gly12Asp')).toEqual({
+            normalizations: ['converted the three-letter amino acid codes to one-letter codes'],
+            notation: 'KRAS:p.G12D',
+        });
+        expect(normalizeNotation('TP53:p.ARG213TER').notation).toBe('TP53:p.R213*');
+    });
+
+    test('missing separator and protein prefix', () => {
+        expect(normalizeNotation('kras g12d')).toEqual({
+            normalizations: [
+                'added the separator (:) between the gene and the variant',
+                'added the missing protein coordinate prefix (p.)',
+                'uppercased the amino acids',
+            ],
+            notation: 'kras:p.G12D',
+        });
+    });
+});
+
+describe('parseNotation', () => {
+    test('does not normalize a notation which can be parsed', () => {
+        const { normalizations, result } = parseNotation('KRAS:p.G12D');
+        expect(normalizations).toEqual([]);
+        expect(result.reference1).toBe('KRAS');
+    });
+
+    test('parses the normalized notation', () => {
+        const { normalizations, result } = parseNotation('KRAS G12D');
+        expect(normalizations).toEqual([
+            'added the separator (:) between the gene and the variant',
+            'added the missing protein coordinate prefix (p.)',
+        ]);
+        expect(result.reference1).toBe('KRAS');
+        expect(result.untemplatedSeq).toBe('D');
+    });
+
+    test('throws the error for the original notation', () => {
+        expect(() => parseNotation('KRAS:p.G12D blargh')).toThrow(ParsingError);
+    });
+});
+
+describe('suggestNotations', () => {
+    test('removes trailing text', () => {
+        expect(suggestNotations('KRAS:p.G12D blargh')).toContain('KRAS:p.G12D');
+    });
+
+    test('no suggestions when nothing can be parsed', () => {
+        expect(suggestNotations('p.G12F')).toEqual([]);
+    });
+});
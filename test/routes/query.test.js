@@ -0,0 +1,41 @@
+const { EventEmitter } = require('events');
+
+const { waitForDrain } = require('../../src/routes/query');
+
+const mockResponse = () => {
+    const res = new EventEmitter();
+    res.destroyed = false;
+    return res;
+};
+
+describe('waitForDrain', () => {
+    test('true when the response drains', async () => {
+        const res = mockResponse();
+        const drained = waitForDrain(res);
+        res.emit('drain');
+        expect(await drained).toBe(true);
+        expect(res.listenerCount('close')).toBe(0);
+    });
+
+    test('false when the client disconnects first', async () => {
+        const res = mockResponse();
+        const drained = waitForDrain(res);
+        res.emit('close');
+        expect(await drained).toBe(false);
+        expect(res.listenerCount('drain')).toBe(0);
+    });
+
+    test('false on a response error', async () => {
+        const res = mockResponse();
+        const drained = waitForDrain(res);
+        res.emit('error', new Error('write after end'));
+        expect(await drained).toBe(false);
+    });
+
+    test('false when the response is already closed', async () => {
+        const res = mockResponse();
+        res.destroyed = true;
+        expect(await waitForDrain(res)).toBe(false);
+        expect(res.listenerCount('drain')).toBe(0);
+    });
+});
@@ -0,0 +1,104 @@
+const { EventEmitter } = require('events');
+
+const { getQueryTimeout, runWithTimeout } = require('../../src/routes/timeout');
+const {
+    QueryCancelledError, QueryTimeoutError, ValidationError,
+} = require('../../src/repo/error');
+
+const app = { conf: { GKB_QUERY_TIMEOUT: 1000 } };
+
+const mockResponse = () => {
+    const res = new EventEmitter();
+    res.writableEnded = false;
+    return res;
+};
+
+const delay = (ms, value) => new Promise((resolve) => {
+    setTimeout(resolve, ms, value);
+});
+
+describe('getQueryTimeout', () => {
+    test('defaults to the server timeout', () => {
+        expect(getQueryTimeout(app)).toBe(1000);
+    });
+
+    test('shorter timeout', () => {
+        expect(getQueryTimeout(app, '10')).toBe(10);
+    });
+
+    test('error on timeout greater than the server timeout', () => {
+        expect(() => getQueryTimeout(app, 5000)).toThrow(ValidationError);
+    });
+
+    test('error on non-integer timeout', () => {
+        expect(() => getQueryTimeout(app, 'blargh')).toThrow(ValidationError);
+    });
+});
+
+describe('runWithTimeout', () => {
+    test('resolves with the query result', async () => {
+        const res = mockResponse();
+        const result = await runWithTimeout(() => delay(1, ['record']), { res, timeout: 100 });
+        expect(result).toEqual(['record']);
+        expect(res.listenerCount('close')).toBe(0);
+    });
+
+    test('rejects with the query error', async () => {
+        const res = mockResponse();
+        const err = new Error('bad query');
+        await expect(
+            runWithTimeout(() => Promise.reject(err), { res, timeout: 100 }),
+        ).rejects.toBe(err);
+    });
+
+    test('error on timeout', async () => {
+        const res = mockResponse();
+        await expect(
+            runWithTimeout(() => delay(100), { res, timeout: 1 }),
+        ).rejects.toThrow(QueryTimeoutError);
+        expect(res.listenerCount('close')).toBe(0);
+    });
+
+    test('error on client disconnect', async () => {
+        const res = mockResponse();
+        const result = runWithTimeout(() => delay(100), { res, timeout: 1000 });
+        res.emit('close');
+        await expect(result).rejects.toThrow(QueryCancelledError);
+    });
+
+    test('releases the session once the query completes', async () => {
+        const res = mockResponse();
+        const release = jest.fn();
+        await runWithTimeout(() => delay(1), { release, res, timeout: 100 });
+        await delay(0);
+        expect(release).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not release the session while the timed out query is running', async () => {
+        const res = mockResponse();
+        const release = jest.fn();
+        const query = delay(50);
+        await expect(
+            runWithTimeout(() => query, { release, res, timeout: 1 }),
+        ).rejects.toThrow(QueryTimeoutError);
+        expect(release).not.toHaveBeenCalled();
+        await query;
+        await delay(0);
+        expect(release).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not release the session while the cancelled query is running', async () => {
+        const res = mockResponse();
+        const release = jest.fn();
+        const query = delay(50).then(() => {
+            throw new Error('query failed');
+        });
+        const result = runWithTimeout(() => query, { release, res, timeout: 1000 });
+        res.emit('close');
+        await expect(result).rejects.toThrow(QueryCancelledError);
+        expect(release).not.toHaveBeenCalled();
+        await expect(query).rejects.toThrow('query failed');
+        await delay(0);
+        expect(release).toHaveBeenCalledTimes(1);
+    });
+});